@@ -0,0 +1,99 @@
+/**
+ * Map Browser - Beneos Ambience
+ * Audio playlists for Beneos scenes and links between the Scenery and
+ * Battlemap scenes of the same flavor
+ *
+ * - One Playlist per location (flagged with the location ID), one looping sound per flavor
+ * - One JournalEntry per flavor linking its Scenery and Battlemap scenes, shown
+ *   as a map note on both scenes so the GM can cut between them
+ */
+
+import { getMapScenes } from './world-scenes.js';
+import { MODULE_ID } from './constants.js';
+
+/**
+ * Attach the flavor's ambience track to a scene, creating the playlist and sound if needed
+ * @param {Scene} scene - The new scene
+ * @param {{playlistName: string, soundName: string, url: string}} ambience - From the scene job
+ * @returns {Promise<PlaylistSound>}
+ */
+export async function attachAmbience(scene, ambience) {
+  const { locationId, flavorName } = scene.flags[MODULE_ID];
+
+  let playlist = game.playlists.find(p => p.flags?.[MODULE_ID]?.locationId === locationId)
+    ?? game.playlists.find(p => p.name === ambience.playlistName);
+  if (!playlist) {
+    playlist = await Playlist.create({
+      name: ambience.playlistName,
+      mode: CONST.PLAYLIST_MODES.SIMULTANEOUS,
+      channel: 'environment',
+      flags: { [MODULE_ID]: { locationId } }
+    });
+  }
+
+  let sound = playlist.sounds.find(s => s.path === ambience.url);
+  if (!sound) {
+    [sound] = await playlist.createEmbeddedDocuments('PlaylistSound', [{
+      name: ambience.soundName,
+      path: ambience.url,
+      repeat: true,
+      channel: 'environment',
+      flags: { [MODULE_ID]: { locationId, flavorName } }
+    }]);
+  }
+
+  await scene.update({ playlist: playlist.id, playlistSound: sound.id });
+  return sound;
+}
+
+/**
+ * Link a Beneos scene with the other half of its Scenery/Battlemap pair, if that exists in the world
+ * @param {Scene} scene - The new scene
+ * @param {string} journalName - Name for the shared journal entry
+ * @returns {Promise<JournalEntry|null>} null if there is no counterpart yet
+ */
+export async function linkScenePair(scene, journalName) {
+  const { locationId, flavorName, fileType } = scene.flags[MODULE_ID];
+  const otherType = fileType === 'scenery' ? 'battlemap' : 'scenery';
+  const counterpart = getMapScenes().find(other => {
+    const flags = other.flags[MODULE_ID];
+    return flags.locationId === locationId && flags.flavorName === flavorName && flags.fileType === otherType;
+  });
+  if (!counterpart) return null;
+
+  const [scenery, battlemap] = fileType === 'scenery' ? [scene, counterpart] : [counterpart, scene];
+  const content = `
+    <p>@UUID[${scenery.uuid}]{${game.i18n.localize('MAP_BROWSER.Scenery')}: ${scenery.name}}</p>
+    <p>@UUID[${battlemap.uuid}]{${game.i18n.localize('MAP_BROWSER.Battlemap')}: ${battlemap.name}}</p>`;
+
+  // One journal per flavor - refresh its links to point at the newest pair
+  let journal = game.journal.find(j =>
+    j.flags?.[MODULE_ID]?.locationId === locationId && j.flags[MODULE_ID].flavorName === flavorName);
+  if (journal) {
+    const page = journal.pages.contents[0];
+    if (page) await page.update({ 'text.content': content });
+    else await journal.createEmbeddedDocuments('JournalEntryPage', [{ name: journalName, type: 'text', text: { content } }]);
+  } else {
+    journal = await JournalEntry.create({
+      name: journalName,
+      pages: [{ name: journalName, type: 'text', text: { content } }],
+      flags: { [MODULE_ID]: { locationId, flavorName } }
+    });
+  }
+
+  for (const target of [scenery, battlemap]) {
+    await target.update({ journal: journal.id });
+    if (!target.notes.some(note => note.entryId === journal.id)) {
+      const { sceneX = 0, sceneY = 0, size = 100 } = target.dimensions ?? {};
+      await target.createEmbeddedDocuments('Note', [{
+        entryId: journal.id,
+        x: sceneX + size,
+        y: sceneY + size,
+        text: target === scenery
+          ? game.i18n.localize('MAP_BROWSER.GoToBattlemap')
+          : game.i18n.localize('MAP_BROWSER.GoToScenery')
+      }]);
+    }
+  }
+  return journal;
+}
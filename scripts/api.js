@@ -0,0 +1,242 @@
+/**
+ * Map Browser - Module API
+ * Catalogue queries and headless scene creation for macros and other modules.
+ * Available as game.modules.get('map-browser').api (and globalThis.MapBrowser) from the init hook on.
+ *
+ *   const api = game.modules.get('map-browser').api;
+ *   const [hit] = await api.search('swamp night', { tags: ['water'] });
+ *   const scene = await api.createScene({ locationId: hit.id, flavor: 'Night', activate: true });
+ *
+ * Maps are addressed the same way everywhere:
+ *   { locationId, flavor, file, fileType }
+ * - flavor    Flavor name or display name; the location's first flavor if omitted
+ * - file      Filename or sub-variant (e.g. "Gridless"); the flavor's first file if omitted
+ * - fileType  Beneos only: 'battlemap' (default when present) or 'scenery'
+ *
+ * Hooks fired for every scene the map browser creates, see scene-creation.js:
+ * - map-browser.preCreateScene (sceneData, context)
+ * - map-browser.sceneCreated (scene, context)
+ */
+
+import { loadManifest, getMediaUrl, getBeneosFile } from './manifest.js';
+import { parseQuery, searchLocations, getLocationSource } from './search.js';
+import { loadTagVocabulary } from './tags.js';
+import { getSceneJob, runSceneJob } from './scene-creation.js';
+import { pickRandomMap } from './surprise.js';
+import { showMedia } from './sharing.js';
+import { activateScene } from './history.js';
+
+/**
+ * Search the catalogue with the browser's query syntax
+ * @param {string} [query] - e.g. 'forest -night tag:river "old mill"'
+ * @param {Object} [filters]
+ * @param {string[]} [filters.tags] - Tags every match must carry (canonical or localized)
+ * @param {string[]} [filters.excludeTags] - Tags no match may carry
+ * @param {string} [filters.source] - 'czepeku', 'beneos' or a pack's source
+ * @param {string} [filters.setting] - Campaign setting (substring match)
+ * @param {boolean} [filters.animated] - Only locations with (true) or without (false) animated maps
+ * @param {number} [filters.limit] - Return at most this many results
+ * @returns {Promise<{id: string, title: string, source: string, setting: string, score: number,
+ *                    animated: boolean, tags: string[], flavors: string[]}[]>} Best match first;
+ *          flavors lists the names of the flavors that matched
+ */
+export async function search(query = '', { tags = [], excludeTags = [], source, setting, animated, limit } = {}) {
+  const manifest = await loadManifest();
+  await loadTagVocabulary(manifest);
+
+  // Filters reuse the query syntax, so localized tag names work here too
+  const extra = [
+    ...tags.map(tag => `tag:"${tag}"`),
+    ...excludeTags.map(tag => `-tag:"${tag}"`),
+    ...(source ? [`source:"${source}"`] : []),
+    ...(setting ? [`setting:"${setting}"`] : [])
+  ];
+  const parsed = parseQuery([query, ...extra].join(' '));
+
+  // Locations the GMs hid completely are out of the browser, so out of the API too
+  const results = searchLocations(manifest.locations.filter(location => !location.all_hidden), parsed)
+    .filter(({ location }) => animated === undefined || !!location.has_animated === animated)
+    .map(({ location, score, flavorIndices }) => ({
+      id: location.id,
+      title: location.title,
+      source: getLocationSource(location),
+      setting: location.setting || 'generic',
+      score,
+      animated: !!location.has_animated,
+      tags: [...location.smart_tags],
+      flavors: (flavorIndices ?? []).map(index => location.flavors[index].name)
+    }));
+  return limit > 0 ? results.slice(0, limit) : results;
+}
+
+/**
+ * Get a location from the catalogue
+ * @param {string} locationId - e.g. "beneos-ashur-fire-temple"
+ * @returns {Promise<Object|null>} A copy of the manifest entry, null if unknown
+ */
+export async function getLocation(locationId) {
+  const manifest = await loadManifest();
+  const location = manifest.locations.find(loc => loc.id === locationId);
+  return location ? foundry.utils.deepClone(location) : null;
+}
+
+/**
+ * List the flavors of a location and the files that can become scenes
+ * @param {string} locationId - The location ID
+ * @returns {Promise<{name: string, label: string, tags: string[], animated: boolean,
+ *                    files: {filename: string, label: string|null, fileType: string|null, animated: boolean}[]}[]>}
+ */
+export async function listFlavors(locationId) {
+  const location = await findLocation(locationId);
+  return location.flavors.filter(flavor => !flavor.hidden).map(flavor => {
+    const isBeneos = isBeneosFlavor(flavor);
+    const files = (isBeneos
+      ? ['battlemap', 'scenery'].flatMap(fileType =>
+        (flavor[`${fileType}_files`] || []).map(file => ({ file, fileType })))
+      : (flavor.files || []).map(file => ({ file, fileType: null }))).filter(({ file }) => !file.hidden);
+    return {
+      name: flavor.name,
+      label: flavor.display_name || flavor.name,
+      tags: [...(flavor.smart_tags || [])],
+      animated: files.some(({ file }) => file.animated),
+      files: files.map(({ file, fileType }) => ({
+        filename: file.filename,
+        label: file.sub_variant || null,
+        fileType,
+        animated: !!file.animated
+      }))
+    };
+  });
+}
+
+/**
+ * Get the URL a map is served from with the configured media source
+ * @param {{locationId: string, flavor?: string, file?: string, fileType?: string}} target
+ * @returns {Promise<string|null>} null if no media source is configured for the location
+ */
+export async function resolveMediaUrl(target) {
+  const { manifest, location, flavor, file, fileType } = await resolveTarget(target);
+  return getMediaUrl(manifest, location, flavor, file, !!fileType);
+}
+
+/**
+ * Create a scene from a map without any dialog
+ * Uses the same pipeline as the browser: real media size, scene defaults, grid calibration,
+ * Beneos ambience and the preCreateScene/sceneCreated hooks.
+ * @param {Object} options
+ * @param {string} options.locationId - The location ID
+ * @param {string} [options.flavor] - Flavor name or display name
+ * @param {string} [options.file] - Filename or sub-variant
+ * @param {string} [options.fileType] - Beneos: 'battlemap' or 'scenery'
+ * @param {Object} [options.sceneOverrides] - Scene data merged over the generated data, e.g. { navigation: false }
+ * @param {boolean} [options.activate=false] - Activate the scene once it exists
+ * @returns {Promise<Scene>} Rejects with a readable message if the map can't become a scene
+ */
+export async function createScene({ locationId, flavor, file, fileType, sceneOverrides, activate = false } = {}) {
+  const target = await resolveTarget({ locationId, flavor, file, fileType });
+  const job = getSceneJob(target.manifest, target.location, target.flavor, target.file, target.fileType);
+  if (sceneOverrides) job.sceneOverrides = sceneOverrides;
+
+  const { scene } = await runSceneJob(job);
+  if (activate) await activateScene(scene);
+  return scene;
+}
+
+/**
+ * Pick a random map, less likely the more scenes this world already has of it
+ * The result can be passed straight to createScene().
+ * @param {Object} [constraints]
+ * @param {string[]} [constraints.tags] - Tags the location or flavor must carry (canonical or localized)
+ * @param {string[]} [constraints.excludeTags] - Tags neither may carry
+ * @param {boolean} [constraints.animated] - Only animated (true) or only static (false) files
+ * @param {string} [constraints.source] - 'czepeku', 'beneos' or a pack's source
+ * @param {boolean} [constraints.avoidUsed=true] - Weigh against maps that already have scenes
+ * @returns {Promise<{locationId: string, flavor: string, file: string, fileType: string|null,
+ *                    title: string, used: number, matches: number}|null>} null if nothing matches
+ */
+export async function pickRandom(constraints = {}) {
+  const manifest = await loadManifest();
+  await loadTagVocabulary(manifest);
+  const pick = pickRandomMap(manifest, constraints);
+  if (!pick) return null;
+  return {
+    locationId: pick.location.id,
+    flavor: pick.flavor.name,
+    file: pick.file.filename,
+    fileType: pick.fileType,
+    title: pick.location.title,
+    used: pick.used,
+    matches: pick.matches
+  };
+}
+
+/**
+ * Show a map to players without creating a scene (GM only)
+ * Opens a viewer on the addressed clients; videos loop muted.
+ * @param {{locationId: string, flavor?: string, file?: string, fileType?: string}} target
+ * @param {Object} [options]
+ * @param {string[]} [options.users] - User IDs or names; every connected player if omitted
+ * @returns {Promise<string[]|null>} The addressed user IDs, null for everyone
+ */
+export async function showToPlayers(target, { users } = {}) {
+  const resolved = await resolveTarget(target);
+  const job = getSceneJob(resolved.manifest, resolved.location, resolved.flavor, resolved.file, resolved.fileType);
+  return showMedia({ url: job.mediaUrl, title: job.sceneName, isVideo: job.isVideo }, { users });
+}
+
+// ============================================================================
+// Resolving
+// ============================================================================
+
+async function findLocation(locationId, manifest) {
+  manifest ??= await loadManifest();
+  const location = manifest.locations.find(loc => loc.id === locationId);
+  if (!location) {
+    throw new Error(game.i18n.format('MAP_BROWSER.LocationNotFound', { id: locationId }));
+  }
+  return location;
+}
+
+/**
+ * Turn { locationId, flavor, file, fileType } into manifest objects
+ * @returns {Promise<{manifest: Object, location: Object, flavor: Object, file: Object, fileType: string|null}>}
+ */
+async function resolveTarget({ locationId, flavor: flavorName, file: fileName, fileType } = {}) {
+  const manifest = await loadManifest();
+  const location = await findLocation(locationId, manifest);
+
+  // Flavors and files the GMs hid can't become scenes
+  const flavors = (location.flavors || []).filter(f => !f.hidden);
+  const flavor = flavorName
+    ? flavors.find(f => f.name === flavorName) ?? flavors.find(f => f.display_name === flavorName)
+    : flavors[0];
+  if (!flavor) {
+    throw new Error(flavorName
+      ? game.i18n.format('MAP_BROWSER.FlavorNotFound', { name: flavorName })
+      : game.i18n.format('MAP_BROWSER.NoFlavors', { name: location.title }));
+  }
+
+  let file;
+  if (isBeneosFlavor(flavor)) {
+    fileType ??= getBeneosFile(flavor, 'battlemap') ? 'battlemap' : 'scenery';
+    const files = ((fileType === 'scenery' ? flavor.scenery_files : flavor.battlemap_files) || []).filter(f => !f.hidden);
+    file = fileName ? files.find(f => f.filename === fileName) : getBeneosFile(flavor, fileType);
+  } else {
+    fileType = null;
+    const files = (flavor.files || []).filter(f => !f.hidden);
+    file = fileName
+      ? files.find(f => f.filename === fileName) ?? files.find(f => f.sub_variant === fileName)
+      : files[0];
+  }
+  if (!file) {
+    throw new Error(fileName
+      ? game.i18n.format('MAP_BROWSER.FileNotFound', { name: fileName })
+      : game.i18n.format('MAP_BROWSER.NoFiles', { name: location.title }));
+  }
+
+  return { manifest, location, flavor, file, fileType };
+}
+
+function isBeneosFlavor(flavor) {
+  return !!(flavor.scenery_files || flavor.battlemap_files);
+}
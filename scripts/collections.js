@@ -0,0 +1,339 @@
+/**
+ * Map Browser - Collections
+ * Per-user named lists ("prep lists") of starred locations, flavors and files
+ *
+ * Items reference the manifest by ID so they survive manifest updates:
+ * - { locationId }                                  → a whole location
+ * - { locationId, flavorName }                      → one flavor
+ * - { locationId, flavorName, filename }            → a Czepeku file
+ * - { locationId, flavorName, fileType }            → a Beneos scenery/battlemap
+ *
+ * A GM can share collections with players: a snapshot goes into a world setting
+ * and follows every later change of the GM's list.
+ */
+
+import { MODULE_ID } from './constants.js';
+
+const SETTING = 'collections';
+const SHARED_SETTING = 'sharedCollections';
+const DEFAULT_ID = 'favorites';
+
+/**
+ * Register the collections setting (call during init)
+ */
+export function registerCollectionSettings() {
+  game.settings.register(MODULE_ID, SETTING, {
+    scope: 'user',
+    config: false,
+    type: Object,
+    default: { activeId: DEFAULT_ID, lists: [] }
+  });
+
+  // { lists: [{ id, name, items, sharedBy }] } - readable by every user
+  game.settings.register(MODULE_ID, SHARED_SETTING, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { lists: [] },
+    onChange: () => Hooks.callAll(`${MODULE_ID}.sharedCollectionsChanged`)
+  });
+}
+
+// ============================================================================
+// Reading
+// ============================================================================
+
+/**
+ * Get all collections, always including the default Favorites list
+ * @returns {{activeId: string, lists: {id: string, name: string, items: Object[]}[]}}
+ */
+export function getCollections() {
+  const data = game.settings.get(MODULE_ID, SETTING) || {};
+  const lists = Array.isArray(data.lists) ? data.lists : [];
+  if (!lists.some(list => list.id === DEFAULT_ID)) {
+    lists.unshift({ id: DEFAULT_ID, name: game.i18n.localize('MAP_BROWSER.Favorites'), items: [] });
+  }
+  const activeId = lists.some(list => list.id === data.activeId) ? data.activeId : DEFAULT_ID;
+  return { activeId, lists };
+}
+
+/**
+ * Find a collection by ID or (case-insensitive) name
+ * @param {string} idOrName - Collection ID or name
+ * @returns {Object|undefined}
+ */
+export function findCollection(idOrName) {
+  const needle = String(idOrName).toLowerCase();
+  return getCollections().lists.find(list => list.id === idOrName || list.name.toLowerCase() === needle);
+}
+
+/**
+ * Build a stable key for a collection item
+ * @param {Object} item - Collection item
+ * @returns {string}
+ */
+export function getItemKey(item) {
+  return [item.locationId, item.flavorName ?? '', item.filename ?? item.fileType ?? ''].join('|');
+}
+
+/**
+ * Get the item keys of a collection, for quick "is starred" lookups
+ * @param {string} [collectionId] - Defaults to the active collection
+ * @returns {Set<string>}
+ */
+export function getItemKeys(collectionId) {
+  const { activeId, lists } = getCollections();
+  const list = lists.find(l => l.id === (collectionId ?? activeId));
+  return new Set(list?.items.map(getItemKey) || []);
+}
+
+/**
+ * Look up the manifest entries a collection item points to
+ * @param {Object} manifest - The catalogue
+ * @param {Object} item - Collection item
+ * @returns {{location: Object|undefined, flavor: Object|undefined, flavorIndex: number, file: Object|undefined,
+ *            fileIndex: number, fileLabel: string|null, missing: boolean}}
+ */
+export function resolveCollectionItem(manifest, item) {
+  const location = manifest?.locations.find(l => l.id === item.locationId);
+  const flavorIndex = location?.flavors?.findIndex(f => f.name === item.flavorName && !f.hidden) ?? -1;
+  const flavor = location?.flavors?.[flavorIndex];
+  const fileIndex = flavor?.files?.findIndex(f => f.filename === item.filename && !f.hidden) ?? -1;
+  const file = flavor?.files?.[fileIndex];
+
+  let fileLabel = null;
+  if (item.fileType) {
+    fileLabel = game.i18n.localize(item.fileType === 'scenery' ? 'MAP_BROWSER.Scenery' : 'MAP_BROWSER.Battlemap');
+  } else if (item.filename) {
+    fileLabel = file?.sub_variant || game.i18n.localize('MAP_BROWSER.DefaultVariant');
+  }
+
+  return {
+    location,
+    flavor,
+    flavorIndex,
+    file,
+    fileIndex,
+    fileLabel,
+    missing: !location || (!!item.flavorName && !flavor) || (!!item.filename && !file)
+  };
+}
+
+// ============================================================================
+// Sharing
+// ============================================================================
+
+/**
+ * Get the collections GMs share with players
+ * @returns {{id: string, name: string, items: Object[], sharedBy: string}[]}
+ */
+export function getSharedCollections() {
+  const { lists } = game.settings.get(MODULE_ID, SHARED_SETTING) || {};
+  return Array.isArray(lists) ? lists : [];
+}
+
+/**
+ * @param {string} collectionId
+ * @returns {boolean} Whether the collection is shared with players
+ */
+export function isCollectionShared(collectionId) {
+  return getSharedCollections().some(list => list.id === collectionId);
+}
+
+/**
+ * Share one of the current user's collections with players, or stop sharing it (GM only)
+ * @param {string} idOrName - Collection ID or name
+ * @param {boolean} shared
+ */
+export async function setCollectionShared(idOrName, shared) {
+  const list = findCollection(idOrName);
+  if (!list) return;
+  const others = getSharedCollections().filter(l => l.id !== list.id);
+  const lists = shared
+    ? [...others, { id: list.id, name: list.name, items: list.items, sharedBy: game.user.id }]
+    : others;
+  await game.settings.set(MODULE_ID, SHARED_SETTING, { lists });
+}
+
+/**
+ * Bring the shared snapshots of the current user's collections up to date
+ * @param {Object} data - The user's collections as just saved
+ */
+async function syncShared(data) {
+  const shared = getSharedCollections();
+  const lists = shared.flatMap(snapshot => {
+    if (snapshot.sharedBy !== game.user.id) return [snapshot];
+    const list = data.lists.find(l => l.id === snapshot.id);
+    return list ? [{ ...snapshot, name: list.name, items: list.items }] : [];
+  });
+  if (!foundry.utils.objectsEqual({ lists }, { lists: shared })) {
+    await game.settings.set(MODULE_ID, SHARED_SETTING, { lists });
+  }
+}
+
+// ============================================================================
+// Writing
+// ============================================================================
+
+async function save(data) {
+  await game.settings.set(MODULE_ID, SETTING, data);
+  if (game.user.isGM) await syncShared(data);
+}
+
+/**
+ * Create a new collection
+ * @param {string} name - Display name, e.g. "Session 14"
+ * @param {Object} [options]
+ * @param {boolean} [options.activate=true] - Make it the list star buttons add to
+ * @returns {Promise<Object>} The new collection
+ */
+export async function createCollection(name, { activate = true } = {}) {
+  const data = getCollections();
+  const list = { id: foundry.utils.randomID(), name: name.trim() || game.i18n.localize('MAP_BROWSER.NewCollection'), items: [] };
+  data.lists.push(list);
+  if (activate) data.activeId = list.id;
+  await save(data);
+  return list;
+}
+
+/**
+ * Rename a collection
+ * @param {string} collectionId
+ * @param {string} name
+ */
+export async function renameCollection(collectionId, name) {
+  const data = getCollections();
+  const list = data.lists.find(l => l.id === collectionId);
+  if (!list || !name.trim()) return;
+  list.name = name.trim();
+  await save(data);
+}
+
+/**
+ * Delete a collection (the default Favorites list is only emptied)
+ * @param {string} collectionId
+ */
+export async function deleteCollection(collectionId) {
+  const data = getCollections();
+  if (collectionId === DEFAULT_ID) {
+    data.lists.find(l => l.id === DEFAULT_ID).items = [];
+  } else {
+    data.lists = data.lists.filter(l => l.id !== collectionId);
+  }
+  await save(data);
+}
+
+/**
+ * Select the collection that star buttons add to
+ * @param {string} collectionId
+ */
+export async function setActiveCollection(collectionId) {
+  const data = getCollections();
+  data.activeId = collectionId;
+  await save(data);
+}
+
+/**
+ * Add an item to a collection, creating the collection if the name is new
+ * @param {string} idOrName - Collection ID or name
+ * @param {Object} item - { locationId, flavorName?, filename?, fileType? }
+ * @returns {Promise<boolean>} false if the item was already in the collection
+ */
+export async function addToCollection(idOrName, item) {
+  if (!item?.locationId) throw new Error('Collection items need a locationId');
+  const target = findCollection(idOrName) ?? await createCollection(idOrName, { activate: false });
+
+  const data = getCollections();
+  const list = data.lists.find(l => l.id === target.id);
+  const key = getItemKey(item);
+  if (list.items.some(existing => getItemKey(existing) === key)) return false;
+
+  list.items.push({
+    locationId: item.locationId,
+    ...(item.flavorName ? { flavorName: item.flavorName } : {}),
+    ...(item.filename ? { filename: item.filename } : {}),
+    ...(item.fileType ? { fileType: item.fileType } : {}),
+    addedAt: Date.now()
+  });
+  await save(data);
+  return true;
+}
+
+/**
+ * Remove an item from a collection
+ * @param {string} idOrName - Collection ID or name
+ * @param {Object} item - The item (matched by key)
+ * @returns {Promise<boolean>} false if the item was not in the collection
+ */
+export async function removeFromCollection(idOrName, item) {
+  const target = findCollection(idOrName);
+  if (!target) return false;
+
+  const data = getCollections();
+  const list = data.lists.find(l => l.id === target.id);
+  const key = getItemKey(item);
+  const before = list.items.length;
+  list.items = list.items.filter(existing => getItemKey(existing) !== key);
+  if (list.items.length === before) return false;
+  await save(data);
+  return true;
+}
+
+/**
+ * Add the item to the active collection, or remove it if already there
+ * @param {Object} item
+ * @returns {Promise<boolean>} Whether the item is now starred
+ */
+export async function toggleStar(item) {
+  const { activeId } = getCollections();
+  if (await removeFromCollection(activeId, item)) return false;
+  await addToCollection(activeId, item);
+  return true;
+}
+
+// ============================================================================
+// Import / Export
+// ============================================================================
+
+/**
+ * Download collections as a JSON file
+ * @param {string} [collectionId] - Export only this collection (default: all)
+ */
+export function exportCollections(collectionId) {
+  const { lists } = getCollections();
+  const exported = collectionId ? lists.filter(l => l.id === collectionId) : lists;
+  const payload = { module: MODULE_ID, type: 'collections', version: 1, lists: exported };
+  const name = exported.length === 1 ? exported[0].name.slugify() : 'collections';
+  foundry.utils.saveDataToFile(JSON.stringify(payload, null, 2), 'text/json', `${MODULE_ID}-${name}.json`);
+}
+
+/**
+ * Import collections from exported JSON. Lists with a known name are merged.
+ * @param {string} json - File contents
+ * @returns {Promise<number>} Number of imported lists
+ */
+export async function importCollections(json) {
+  const payload = JSON.parse(json);
+  if (payload?.type !== 'collections' || !Array.isArray(payload.lists)) {
+    throw new Error(game.i18n.localize('MAP_BROWSER.CollectionsImportInvalid'));
+  }
+
+  const data = getCollections();
+  for (const imported of payload.lists) {
+    if (!imported?.name || !Array.isArray(imported.items)) continue;
+    let list = data.lists.find(l => l.id === imported.id || l.name === imported.name);
+    if (!list) {
+      list = { id: foundry.utils.randomID(), name: imported.name, items: [] };
+      data.lists.push(list);
+    }
+    const keys = new Set(list.items.map(getItemKey));
+    for (const item of imported.items) {
+      if (item?.locationId && !keys.has(getItemKey(item))) {
+        list.items.push(item);
+        keys.add(getItemKey(item));
+      }
+    }
+  }
+  await save(data);
+  return payload.lists.length;
+}
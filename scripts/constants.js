@@ -0,0 +1,5 @@
+/**
+ * Map Browser - Shared constants
+ */
+
+export const MODULE_ID = 'map-browser';
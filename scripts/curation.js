@@ -0,0 +1,281 @@
+/**
+ * Map Browser - Curation
+ * GM edits laid over the catalogue at load time: flavor names, tags and hidden files
+ *
+ * The overlay is a world setting, keyed by location ID and flavor name so it
+ * survives a regenerated manifest:
+ *   {
+ *     "locations": {
+ *       "abandoned-mine-entrance": {
+ *         "tags": { "add": ["mine"], "remove": ["forest"] },
+ *         "flavors": {
+ *           "unknown-d7d0dcca": {
+ *             "display_name": "Collapsed Tunnel",
+ *             "tags": { "add": ["cave"], "remove": [] },
+ *             "hidden_files": ["AbandonedMine_Print.jpg"],
+ *             "hidden": false
+ *           }
+ *         }
+ *       }
+ *     }
+ *   }
+ * Export/import uses the same shape wrapped like the collection files.
+ */
+
+import { refreshCatalogue } from './manifest.js';
+import { validateCuration, warnIssues } from './validation.js';
+import { MODULE_ID } from './constants.js';
+
+const SETTING = 'curation';
+const FILE_LISTS = ['files', 'scenery_files', 'battlemap_files'];
+
+/**
+ * Register the curation overlay setting (call during init)
+ */
+export function registerCurationSettings() {
+  game.settings.register(MODULE_ID, SETTING, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { locations: {} },
+    onChange: foundry.utils.debounce(() => refreshCatalogue(), 100)
+  });
+}
+
+/**
+ * Get the curation overlay
+ * Malformed entries are left out, so a bad import can't take the catalogue down
+ * and the next edit saves a clean overlay.
+ * @returns {{locations: Object}}
+ */
+export function getCuration() {
+  const data = foundry.utils.deepClone(game.settings.get(MODULE_ID, SETTING) || {});
+  const { locations, issues } = validateCuration(data.locations ?? {});
+  warnIssues('Curation', issues);
+  return { ...data, locations };
+}
+
+/**
+ * Problems in the stored overlay, for the health panel
+ * @returns {Object[]}
+ */
+export function getCurationIssues() {
+  return validateCuration(game.settings.get(MODULE_ID, SETTING)?.locations ?? {}).issues;
+}
+
+async function save(data) {
+  await game.settings.set(MODULE_ID, SETTING, data);
+}
+
+// ============================================================================
+// Applying
+// ============================================================================
+
+/**
+ * Lay the overlay over a catalogue
+ * Curated locations and flavors keep their original tags in `uncurated_tags`.
+ * Hidden flavors and files stay in their lists with `hidden: true`, so flavor and file
+ * indices are the same as in the uncurated catalogue; whatever displays them skips them.
+ * Locations whose flavors are all hidden stay in the catalogue with `all_hidden`,
+ * so curation mode can still bring them back.
+ * @param {Object} catalogue - From loadCatalogue()
+ * @returns {Object} A new catalogue with recounted totals
+ */
+export function applyCuration(catalogue) {
+  const overlay = getCuration().locations;
+  if (!Object.keys(overlay).length) return catalogue;
+
+  const locations = catalogue.locations.map(location => {
+    const edits = overlay[location.id];
+    if (!edits) return location;
+
+    const curated = { ...location, curated: true };
+    if (edits.tags) {
+      curated.uncurated_tags = location.smart_tags;
+      curated.smart_tags = applyTagEdits(location.smart_tags, edits.tags);
+    }
+    curated.flavors = location.flavors.map(flavor => curateFlavor(flavor, edits.flavors?.[flavor.name]));
+    const shown = curated.flavors.filter(flavor => !flavor.hidden);
+    curated.flavor_count = shown.length;
+    curated.all_hidden = location.flavors.length > 0 && shown.length === 0;
+    return curated;
+  });
+
+  const visible = locations.filter(loc => !loc.all_hidden);
+  const shownFlavors = loc => loc.flavors.filter(flavor => !flavor.hidden);
+  return {
+    ...catalogue,
+    locations,
+    total_locations: visible.length,
+    total_flavors: visible.reduce((sum, loc) => sum + shownFlavors(loc).length, 0),
+    total_files: visible.reduce((sum, loc) => sum + shownFlavors(loc).reduce((n, f) => n + countShownFiles(f), 0), 0)
+  };
+}
+
+function curateFlavor(flavor, edits) {
+  if (!edits) return flavor;
+
+  const curated = { ...flavor, curated: true };
+  if (edits.hidden) curated.hidden = true;
+  if (edits.display_name) curated.display_name = edits.display_name;
+  if (edits.tags) {
+    curated.uncurated_tags = flavor.smart_tags;
+    curated.smart_tags = applyTagEdits(flavor.smart_tags, edits.tags);
+  }
+  if (edits.hidden_files?.length) {
+    const hidden = new Set(edits.hidden_files);
+    for (const list of FILE_LISTS) {
+      if (curated[list]) {
+        curated[list] = curated[list].map(file => (hidden.has(file.filename) ? { ...file, hidden: true } : file));
+      }
+    }
+    if (countShownFiles(curated) === 0) curated.hidden = true;
+  }
+  return curated;
+}
+
+function countShownFiles(flavor) {
+  return FILE_LISTS.reduce((n, list) => n + (flavor[list] || []).filter(file => !file.hidden).length, 0);
+}
+
+function applyTagEdits(tags = [], { add = [], remove = [] }) {
+  const removed = new Set(remove);
+  return [...new Set([...tags.filter(tag => !removed.has(tag)), ...add])];
+}
+
+// ============================================================================
+// Editing
+// ============================================================================
+
+function getEntry(data, locationId, flavorName) {
+  const location = data.locations[locationId] ??= {};
+  if (!flavorName) return location;
+  location.flavors ??= {};
+  return location.flavors[flavorName] ??= {};
+}
+
+// Drop empty objects so the overlay only holds real edits
+function prune(data, locationId) {
+  const location = data.locations[locationId];
+  if (!location) return;
+  for (const [name, flavor] of Object.entries(location.flavors ?? {})) {
+    if (!flavor.hidden_files?.length) delete flavor.hidden_files;
+    if (!flavor.hidden) delete flavor.hidden;
+    if (!Object.keys(flavor).length) delete location.flavors[name];
+  }
+  if (location.flavors && !Object.keys(location.flavors).length) delete location.flavors;
+  if (!Object.keys(location).length) delete data.locations[locationId];
+}
+
+/**
+ * Rename a flavor
+ * @param {string} locationId
+ * @param {string} flavorName - The flavor's manifest name (not the display name)
+ * @param {string|null} displayName - New name, empty to restore the manifest name
+ */
+export async function setFlavorName(locationId, flavorName, displayName) {
+  const data = getCuration();
+  const entry = getEntry(data, locationId, flavorName);
+  if (displayName?.trim()) entry.display_name = displayName.trim();
+  else delete entry.display_name;
+  prune(data, locationId);
+  await save(data);
+}
+
+/**
+ * Set the tags of a location or flavor; stored as additions and removals
+ * relative to the manifest tags
+ * @param {string} locationId
+ * @param {string|null} flavorName - null for the location itself
+ * @param {string[]} baseTags - The uncurated tags
+ * @param {string[]} tags - The wanted tags
+ */
+export async function setTags(locationId, flavorName, baseTags, tags) {
+  const data = getCuration();
+  const entry = getEntry(data, locationId, flavorName);
+  const wanted = new Set(tags.map(tag => tag.trim().toLowerCase()).filter(Boolean));
+  const base = new Set(baseTags);
+  const add = [...wanted].filter(tag => !base.has(tag));
+  const remove = [...base].filter(tag => !wanted.has(tag));
+  if (add.length || remove.length) entry.tags = { add, remove };
+  else delete entry.tags;
+  prune(data, locationId);
+  await save(data);
+}
+
+/**
+ * Hide or show files, or a whole flavor
+ * @param {string} locationId
+ * @param {string} flavorName
+ * @param {string[]|null} filenames - null for the whole flavor
+ * @param {boolean} hidden
+ */
+export async function setHidden(locationId, flavorName, filenames, hidden) {
+  const data = getCuration();
+  const entry = getEntry(data, locationId, flavorName);
+  if (!filenames) {
+    entry.hidden = hidden;
+  } else {
+    const files = new Set(entry.hidden_files ?? []);
+    filenames.forEach(filename => (hidden ? files.add(filename) : files.delete(filename)));
+    entry.hidden_files = [...files];
+  }
+  prune(data, locationId);
+  await save(data);
+}
+
+/**
+ * List what is hidden in a location, for curation mode
+ * @param {string} locationId
+ * @returns {{flavorName: string, filename: string|null}[]}
+ */
+export function getHiddenEntries(locationId) {
+  const flavors = getCuration().locations[locationId]?.flavors ?? {};
+  return Object.entries(flavors).flatMap(([flavorName, edits]) => [
+    ...(edits.hidden ? [{ flavorName, filename: null, displayName: edits.display_name }] : []),
+    ...(edits.hidden_files ?? []).map(filename => ({ flavorName, filename, displayName: edits.display_name }))
+  ]);
+}
+
+// ============================================================================
+// Import / Export
+// ============================================================================
+
+/**
+ * Download the overlay as JSON
+ */
+export function exportCuration() {
+  const payload = { module: MODULE_ID, type: 'curation', version: 1, ...getCuration() };
+  foundry.utils.saveDataToFile(JSON.stringify(payload, null, 2), 'text/json', `${MODULE_ID}-curation.json`);
+}
+
+/**
+ * Import an exported overlay. Edits of the same location and flavor are replaced by the imported ones.
+ * @param {string} json - File contents
+ * @returns {Promise<number>} Number of imported locations
+ */
+export async function importCuration(json) {
+  const payload = JSON.parse(json);
+  if (payload?.type !== 'curation' || !payload.locations || typeof payload.locations !== 'object') {
+    throw new Error(game.i18n.localize('MAP_BROWSER.CurationImportInvalid'));
+  }
+
+  const { locations, issues } = validateCuration(payload.locations);
+  if (issues.length) {
+    console.warn(`${MODULE_ID} | Skipped invalid curation entries:`, issues);
+    ui.notifications.warn(game.i18n.format('MAP_BROWSER.CurationImportSkipped', { count: issues.length }));
+  }
+
+  const data = getCuration();
+  for (const [locationId, imported] of Object.entries(locations)) {
+    const location = data.locations[locationId] ??= {};
+    if (imported.tags) location.tags = imported.tags;
+    for (const [flavorName, flavor] of Object.entries(imported.flavors ?? {})) {
+      location.flavors ??= {};
+      location.flavors[flavorName] = { ...location.flavors[flavorName], ...flavor };
+    }
+    prune(data, locationId);
+  }
+  await save(data);
+  return Object.keys(locations).length;
+}
@@ -0,0 +1,226 @@
+/**
+ * Map Browser - Grid Calibration
+ * Work out how many pixels one grid square covers on a map
+ *
+ * Sources, best first:
+ * 1. A calibration override saved by the GM (per file or per location)
+ * 2. Manifest metadata on the file, flavor or location:
+ *    "grid": { "squares_across": 32 } or "grid": { "px_per_square": 140 }
+ * 3. Publisher conventions applied to the probed media size
+ * 4. The configured scene default grid size
+ */
+
+import { getSceneKey } from './world-scenes.js';
+import { getSceneProfile } from './scene-defaults.js';
+import { MODULE_ID } from './constants.js';
+
+const SETTING = 'gridOverrides';
+
+// Foundry rejects smaller grid sizes
+const MIN_GRID_SIZE = 50;
+
+// Known grid densities per scene profile. referenceWidth scales the
+// density for maps delivered at a different resolution than the original.
+const PUBLISHER_GRIDS = {
+  // Beneos battlemaps are rendered at 4K with 32 × 18 squares
+  beneosBattlemap: { pxPerSquare: 120, referenceWidth: 3840 },
+  // Cze & Peku export their maps at 140 px per square
+  czepeku: { pxPerSquare: 140 }
+};
+
+/**
+ * Register the calibration override setting (call during init)
+ */
+export function registerGridSettings() {
+  game.settings.register(MODULE_ID, SETTING, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+}
+
+// ============================================================================
+// Resolving
+// ============================================================================
+
+/**
+ * Get the grid metadata for a map from the manifest (file → flavor → location)
+ * @param {Object} location - Manifest location
+ * @param {Object} flavor - Manifest flavor
+ * @param {Object} file - Manifest file
+ * @returns {{squares_across?: number, px_per_square?: number}|null}
+ */
+export function getManifestGrid(location, flavor, file) {
+  return [file?.grid, flavor?.grid, location?.grid].find(isValidGrid) ?? null;
+}
+
+/**
+ * Get the saved calibration for a map, per file first, then per location
+ * @param {{locationId: string, flavorName: string, filename: string}} flags - Map browser scene flags
+ * @returns {{squares_across?: number, px_per_square?: number}|null}
+ */
+export function getGridOverride({ locationId, flavorName, filename }) {
+  const overrides = game.settings.get(MODULE_ID, SETTING) || {};
+  return [getSceneKey(locationId, flavorName, filename), getSceneKey(locationId)]
+    .map(key => overrides[key])
+    .find(isValidGrid) ?? null;
+}
+
+/**
+ * Work out the grid for a new scene
+ * @param {Object} flags - Map browser scene flags
+ * @param {{squares_across?: number, px_per_square?: number}|null} metadata - From getManifestGrid()
+ * @param {{width: number, height: number}} dimensions - Media size
+ * @param {number} fallbackSize - Grid size to use when nothing is known
+ * @returns {{size: number, scale: number, source: 'override'|'manifest'|'publisher'|'default'}}
+ *          scale > 1 means the scene must be enlarged to keep the grid at MIN_GRID_SIZE
+ */
+export function resolveGridSize(flags, metadata, dimensions, fallbackSize) {
+  const candidates = [
+    ['override', getGridOverride(flags)],
+    ['manifest', metadata],
+    ['publisher', getPublisherGrid(flags, dimensions)]
+  ];
+
+  for (const [source, grid] of candidates) {
+    const size = grid && gridToPixels(grid, dimensions.width);
+    if (!size) continue;
+    if (size >= MIN_GRID_SIZE) return { size: Math.round(size), scale: 1, source };
+    // Too dense for Foundry - enlarge the scene instead of distorting the grid
+    const scale = MIN_GRID_SIZE / size;
+    return { size: MIN_GRID_SIZE, scale, source };
+  }
+
+  return { size: fallbackSize, scale: 1, source: 'default' };
+}
+
+function getPublisherGrid(flags, dimensions) {
+  const convention = PUBLISHER_GRIDS[getSceneProfile(flags)];
+  if (!convention) return null;
+  const factor = convention.referenceWidth ? dimensions.width / convention.referenceWidth : 1;
+  return { px_per_square: convention.pxPerSquare * factor };
+}
+
+function gridToPixels(grid, width) {
+  if (grid.px_per_square > 0) return grid.px_per_square;
+  if (grid.squares_across > 0 && width > 0) return width / grid.squares_across;
+  return null;
+}
+
+function isValidGrid(grid) {
+  return !!grid && (grid.px_per_square > 0 || grid.squares_across > 0);
+}
+
+// ============================================================================
+// Interactive Calibration
+// ============================================================================
+
+/**
+ * Let the GM click two opposite grid corners on the canvas, then apply and
+ * persist the measured grid. The scene is viewed first if necessary.
+ * @param {Scene|string} sceneOrId - A scene created by the map browser
+ * @returns {Promise<{size: number, squaresAcross: number}|null>} null if cancelled
+ */
+export async function calibrateSceneGrid(sceneOrId) {
+  const scene = typeof sceneOrId === 'string' ? game.scenes.get(sceneOrId) : sceneOrId;
+  const flags = scene?.flags?.[MODULE_ID];
+  if (!flags?.locationId) {
+    ui.notifications.error(game.i18n.localize('MAP_BROWSER.NotMapBrowserScene'));
+    return null;
+  }
+  if (!scene.isView) await scene.view();
+
+  ui.notifications.info(game.i18n.localize('MAP_BROWSER.CalibrateClickFirst'));
+  const first = await waitForCanvasClick();
+  if (!first) return null;
+  ui.notifications.info(game.i18n.localize('MAP_BROWSER.CalibrateClickSecond'));
+  const second = await waitForCanvasClick();
+  if (!second) return null;
+
+  const dx = Math.abs(second.x - first.x);
+  const dy = Math.abs(second.y - first.y);
+  const result = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.localize('MAP_BROWSER.CalibrateGrid') },
+    content: `
+      <p>${game.i18n.format('MAP_BROWSER.CalibrateMeasured', { dx: Math.round(dx), dy: Math.round(dy) })}</p>
+      <div class="form-group">
+        <label>${game.i18n.localize('MAP_BROWSER.CalibrateSquares')}</label>
+        <input type="number" name="squares" value="1" min="1" step="1" autofocus>
+      </div>
+      <div class="form-group">
+        <label>
+          <input type="checkbox" name="wholeLocation">
+          ${game.i18n.localize('MAP_BROWSER.CalibrateWholeLocation')}
+        </label>
+      </div>`,
+    ok: {
+      label: game.i18n.localize('MAP_BROWSER.CalibrateApply'),
+      callback: (event, button) => ({
+        squares: button.form.elements.squares.valueAsNumber,
+        wholeLocation: button.form.elements.wholeLocation.checked
+      })
+    },
+    rejectClose: false
+  });
+  if (!result?.squares) return null;
+
+  // The two clicks span a square block, so both axes measure the same thing
+  const measured = (dx && dy ? (dx + dy) / 2 : Math.max(dx, dy)) / result.squares;
+  if (measured < MIN_GRID_SIZE) {
+    ui.notifications.warn(game.i18n.format('MAP_BROWSER.CalibrateTooSmall', { size: Math.round(measured), min: MIN_GRID_SIZE }));
+    return null;
+  }
+  const size = Math.round(measured);
+  const squaresAcross = scene.width / measured;
+
+  // Shift the background so the first clicked corner lands on a grid line
+  const { sceneX, sceneY } = scene.dimensions;
+  const offset = (value, start) => {
+    const remainder = (value - start) % size;
+    return remainder > size / 2 ? size - remainder : -remainder;
+  };
+  await scene.update({
+    'grid.size': size,
+    'background.offsetX': (scene.background.offsetX ?? 0) + offset(first.x, sceneX),
+    'background.offsetY': (scene.background.offsetY ?? 0) + offset(first.y, sceneY)
+  });
+
+  // Save relative to the map width so other resolutions of the file still fit
+  const key = result.wholeLocation
+    ? getSceneKey(flags.locationId)
+    : getSceneKey(flags.locationId, flags.flavorName, flags.filename);
+  const overrides = game.settings.get(MODULE_ID, SETTING) || {};
+  overrides[key] = { squares_across: Math.round(squaresAcross * 100) / 100 };
+  await game.settings.set(MODULE_ID, SETTING, overrides);
+
+  ui.notifications.info(game.i18n.format('MAP_BROWSER.CalibrateDone', { size }));
+  return { size, squaresAcross };
+}
+
+/**
+ * Wait for one left click on the canvas; Escape cancels
+ * @returns {Promise<{x: number, y: number}|null>} Canvas coordinates
+ */
+function waitForCanvasClick() {
+  return new Promise(resolve => {
+    const finish = (point) => {
+      canvas.stage.off('pointerdown', onClick);
+      document.removeEventListener('keydown', onKey, true);
+      resolve(point);
+    };
+    const onClick = (event) => {
+      if (event.button !== 0) return;
+      const { x, y } = event.getLocalPosition(canvas.stage);
+      finish({ x, y });
+    };
+    const onKey = (event) => {
+      if (event.key !== 'Escape') return;
+      event.stopPropagation();
+      ui.notifications.info(game.i18n.localize('MAP_BROWSER.CalibrateCancelled'));
+      finish(null);
+    };
+    canvas.stage.on('pointerdown', onClick);
+    document.addEventListener('keydown', onKey, true);
+  });
+}
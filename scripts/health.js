@@ -0,0 +1,200 @@
+/**
+ * Map Browser - Catalogue Health
+ * GM report of everything the validators found in the loaded packs, tag files,
+ * variant mapping and thumbnails
+ */
+
+import { loadManifest, refreshCatalogue } from './manifest.js';
+import { fetchJson } from './packs.js';
+import { validateCzepekuTags, validateBeneosTags, validateVariantMapping } from './validation.js';
+import { getCuration, getCurationIssues } from './curation.js';
+import { MODULE_ID } from './constants.js';
+
+const LEVELS = ['error', 'warning', 'info'];
+
+// Long lists are cut off in the panel; the export has everything
+const MAX_ROWS = 100;
+
+/**
+ * Register the health panel as a settings menu (call during init)
+ */
+export function registerHealthPanel() {
+  game.settings.registerMenu(MODULE_ID, 'healthMenu', {
+    name: 'MAP_BROWSER.Health',
+    label: 'MAP_BROWSER.HealthOpen',
+    hint: 'MAP_BROWSER.HealthHint',
+    icon: 'fas fa-heart-pulse',
+    type: CatalogueHealthApp,
+    restricted: true
+  });
+}
+
+/**
+ * Open the health panel (GM only)
+ */
+export function openHealthPanel() {
+  if (!game.user.isGM) return;
+  const existing = foundry.applications.instances.get('map-browser-health');
+  if (existing) existing.bringToFront();
+  else new CatalogueHealthApp().render(true);
+}
+
+/**
+ * Check the whole catalogue
+ * @param {Object} [options]
+ * @param {boolean} [options.reload=false] - Load the packs again first
+ * @returns {Promise<{issues: Object[], counts: Object, checkedAt: number}>}
+ */
+export async function getHealthReport({ reload = false } = {}) {
+  // Check what the packs ship - files the GMs hid are still in them
+  if (reload) await refreshCatalogue();
+  const catalogue = await loadManifest({ curated: false });
+  const issues = [...catalogue.issues];
+
+  for (const pack of catalogue.packs.filter(p => p.error)) {
+    issues.push({ level: 'error', code: 'schema', pack: pack.id, path: pack.id, detail: pack.error });
+  }
+
+  const builtin = catalogue.locations.filter(loc => loc.pack === MODULE_ID);
+  const checks = [
+    ['data/czepeku-tags.json', json => validateCzepekuTags(json).issues],
+    ['data/beneos-tags.json', json => validateBeneosTags(json).issues],
+    ['data/variant-thumbs/_mapping.json', json => validateVariantMapping(json, builtin).issues]
+  ];
+  for (const [file, validate] of checks) {
+    try {
+      issues.push(...validate(await fetchJson(`modules/${MODULE_ID}/${file}`)));
+    } catch (err) {
+      issues.push({ level: 'error', code: 'schema', path: file, detail: err.message });
+    }
+  }
+
+  issues.push(...await checkThumbnails(catalogue.locations));
+  issues.push(...getCurationIssues());
+
+  // Unknown flavors the GMs already named are fine
+  const curation = getCuration().locations;
+  for (const issue of issues.filter(i => i.code === 'unknown-flavor')) {
+    const [locationId, flavorName] = issue.path.split('/');
+    const name = curation[locationId]?.flavors?.[flavorName]?.display_name;
+    if (name) Object.assign(issue, { level: 'info', detail: `renamed to "${name}"` });
+  }
+
+  const counts = Object.fromEntries(LEVELS.map(level => [level, issues.filter(i => i.level === level).length]));
+  return { issues, counts, checkedAt: Date.now() };
+}
+
+/**
+ * Compare thumbnail flags with the files in each pack's thumbnail folder.
+ * Remote folders (http) cannot be listed and are skipped.
+ */
+async function checkThumbnails(locations) {
+  const issues = [];
+  const folders = new Map();
+  for (const location of locations) {
+    if (!location.thumbnail || !location.thumbnail_url) continue;
+    const url = location.thumbnail_url;
+    const folder = url.slice(0, url.lastIndexOf('/'));
+    if (/^(https?:)?\/\//.test(folder)) continue;
+    if (!folders.has(folder)) folders.set(folder, []);
+    folders.get(folder).push(location);
+  }
+
+  for (const [folder, folderLocations] of folders) {
+    let files;
+    try {
+      const result = await foundry.applications.apps.FilePicker.implementation.browse('data', folder);
+      files = new Set(result.files.map(file => decodeURIComponent(file).split('/').pop()));
+    } catch (err) {
+      issues.push({ level: 'info', code: 'missing-thumbnail', path: folder, detail: `could not list folder: ${err.message}` });
+      continue;
+    }
+    for (const location of folderLocations) {
+      const name = `${location.folder_name}.jpg`;
+      if (!files.has(name)) {
+        issues.push({ level: 'warning', code: 'missing-thumbnail', pack: location.pack, path: location.id, detail: `${folder}/${name}` });
+      }
+    }
+  }
+  return issues;
+}
+
+// ============================================================================
+// Panel
+// ============================================================================
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Issues grouped by kind, worst first
+ */
+class CatalogueHealthApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-health',
+    classes: ['map-browser-health'],
+    window: {
+      title: 'MAP_BROWSER.Health',
+      icon: 'fas fa-heart-pulse',
+      resizable: true
+    },
+    position: { width: 680, height: 560 }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/catalogue-health.hbs`, scrollable: ['.health-groups'] }
+  };
+
+  #report = null;
+  #checking = false;
+
+  async _prepareContext(options) {
+    if (!this.#report && !this.#checking) await this.#check();
+
+    const groups = new Map();
+    for (const issue of this.#report?.issues ?? []) {
+      if (!groups.has(issue.code)) groups.set(issue.code, []);
+      groups.get(issue.code).push(issue);
+    }
+    const severity = issues => Math.min(...issues.map(issue => LEVELS.indexOf(issue.level)));
+
+    return {
+      checking: this.#checking,
+      counts: this.#report?.counts,
+      checkedAt: this.#report && new Date(this.#report.checkedAt).toLocaleString(),
+      healthy: this.#report && !this.#report.counts.error && !this.#report.counts.warning,
+      groups: [...groups.entries()]
+        .sort(([, a], [, b]) => severity(a) - severity(b) || b.length - a.length)
+        .map(([code, issues]) => ({
+          code,
+          label: `MAP_BROWSER.HealthCodes.${code}`,
+          count: issues.length,
+          open: severity(issues) === 0,
+          issues: issues.slice(0, MAX_ROWS),
+          more: Math.max(0, issues.length - MAX_ROWS)
+        }))
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+    html.querySelector('[data-action="recheck"]')?.addEventListener('click', async () => {
+      await this.#check({ reload: true });
+      this.render();
+    });
+    html.querySelector('[data-action="export-report"]')?.addEventListener('click', () => {
+      foundry.utils.saveDataToFile(JSON.stringify(this.#report, null, 2), 'application/json', 'map-browser-health.json');
+    });
+  }
+
+  async #check(options) {
+    this.#checking = true;
+    try {
+      this.#report = await getHealthReport(options);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Health check failed:`, err);
+      ui.notifications.error(game.i18n.format('MAP_BROWSER.HealthFailed', { error: err.message }));
+    } finally {
+      this.#checking = false;
+    }
+  }
+}
@@ -0,0 +1,156 @@
+/**
+ * Map Browser - History
+ * Which maps this world has used: a log of the scenes the map browser created and activated,
+ * and the inventory of every map browser scene grouped by location
+ *
+ * Log entries (newest first):
+ *   { action: 'created' | 'activated', sceneId, sceneName, locationId, flavorName, filename, fileType?, date, userId }
+ * Entries whose scene was deleted are dropped, so the log only points at scenes that exist.
+ */
+
+import { getMapScenes, getSceneKey } from './world-scenes.js';
+import { MODULE_ID } from './constants.js';
+
+const SETTING = 'history';
+const MAX_ENTRIES = 200;
+
+/**
+ * Register the history setting (call during init)
+ */
+export function registerHistorySettings() {
+  game.settings.register(MODULE_ID, SETTING, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { entries: [] },
+    onChange: () => Hooks.callAll(`${MODULE_ID}.historyChanged`)
+  });
+}
+
+// ============================================================================
+// Log
+// ============================================================================
+
+/**
+ * Get the usage log
+ * @returns {Object[]} Newest first
+ */
+export function getHistory() {
+  const { entries } = game.settings.get(MODULE_ID, SETTING) || {};
+  return Array.isArray(entries) ? entries : [];
+}
+
+// Writes run one after another, so a create followed right away by an activate keeps both entries
+let pending = Promise.resolve();
+
+/**
+ * Change the log
+ * @param {Function} change - (entries) => new entries, or null to leave the log alone
+ * @returns {Promise<void>}
+ */
+function update(change) {
+  pending = pending.then(async () => {
+    const entries = change(getHistory());
+    if (entries) await game.settings.set(MODULE_ID, SETTING, { entries: entries.slice(0, MAX_ENTRIES) });
+  }).catch(err => console.error(`${MODULE_ID} | Failed to update the history:`, err));
+  return pending;
+}
+
+/**
+ * Log that a map browser scene was created or activated (GM only, other scenes are ignored)
+ * @param {'created'|'activated'} action
+ * @param {Scene} scene
+ */
+export async function recordHistory(action, scene) {
+  const flags = scene?.flags?.[MODULE_ID];
+  if (!game.user.isGM || !flags?.locationId) return;
+  const entry = {
+    action,
+    sceneId: scene.id,
+    sceneName: scene.name,
+    locationId: flags.locationId,
+    flavorName: flags.flavorName,
+    filename: flags.filename,
+    ...(flags.fileType ? { fileType: flags.fileType } : {}),
+    date: Date.now(),
+    userId: game.user.id
+  };
+  await update(entries => [entry, ...entries]);
+}
+
+/**
+ * Activate a scene from the map browser or the API, and log it
+ * Activations from the Scenes sidebar, the navigation bar or other modules are not logged.
+ * @param {Scene} scene
+ * @returns {Promise<void>}
+ */
+export async function activateScene(scene) {
+  await scene.activate();
+  await recordHistory('activated', scene);
+}
+
+/**
+ * The most recently used maps, one entry per file
+ * @param {number} [limit=12]
+ * @returns {Object[]} Log entries, newest first
+ */
+export function getRecentMaps(limit = 12) {
+  const seen = new Set();
+  return getHistory().filter(entry => {
+    const key = getSceneKey(entry.locationId, entry.flavorName, entry.filename);
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  }).slice(0, limit);
+}
+
+/**
+ * Drop log entries whose scene no longer exists
+ * @returns {Promise<number>} Number of removed entries
+ */
+export async function cleanHistory() {
+  if (!game.user.isGM) return 0;
+  let removed = 0;
+  await update(entries => {
+    const kept = entries.filter(entry => game.scenes.has(entry.sceneId));
+    removed = entries.length - kept.length;
+    return removed ? kept : null;
+  });
+  return removed;
+}
+
+// ============================================================================
+// World Inventory
+// ============================================================================
+
+/**
+ * Every map browser scene in the world, grouped by location
+ * Scenes of locations that left the catalogue are orphaned.
+ * @param {Object} manifest - The catalogue
+ * @returns {{locationId: string, location: Object|undefined, orphaned: boolean,
+ *            scenes: {scene: Scene, flavor: Object|undefined, lastUsed: number|null}[]}[]} Sorted by title
+ */
+export function getWorldInventory(manifest) {
+  const lastUsed = new Map();
+  for (const entry of getHistory()) {
+    if (!lastUsed.has(entry.sceneId)) lastUsed.set(entry.sceneId, entry.date);
+  }
+
+  const groups = new Map();
+  for (const scene of getMapScenes()) {
+    const { locationId, flavorName } = scene.flags[MODULE_ID];
+    if (!groups.has(locationId)) {
+      const location = manifest?.locations.find(l => l.id === locationId);
+      groups.set(locationId, { locationId, location, orphaned: !location, scenes: [] });
+    }
+    const group = groups.get(locationId);
+    group.scenes.push({
+      scene,
+      flavor: group.location?.flavors?.find(f => f.name === flavorName),
+      lastUsed: lastUsed.get(scene.id) ?? null
+    });
+  }
+
+  const title = group => group.location?.title ?? group.locationId;
+  return [...groups.values()].sort((a, b) => title(a).localeCompare(title(b)));
+}
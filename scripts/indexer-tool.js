@@ -0,0 +1,174 @@
+/**
+ * Map Browser - Manifest Indexer (GM tool)
+ * Builds map-manifest.json inside Foundry by browsing a FilePicker source
+ * (Data folder, S3 bucket, ...) and lets the GM download or install the result
+ */
+
+import { buildManifest } from './indexer.js';
+import { refreshCatalogue } from './manifest.js';
+import { fetchJson } from './packs.js';
+import { MODULE_ID } from './constants.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Register the indexer as a settings menu (call during init)
+ */
+export function registerIndexerTool() {
+  game.settings.registerMenu(MODULE_ID, 'indexerMenu', {
+    name: 'MAP_BROWSER.Indexer',
+    label: 'MAP_BROWSER.IndexerOpen',
+    hint: 'MAP_BROWSER.IndexerHint',
+    icon: 'fas fa-folder-tree',
+    type: ManifestIndexerApp,
+    restricted: true
+  });
+}
+
+/**
+ * Form: where the library is, then a report with download/install actions
+ */
+export class ManifestIndexerApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-indexer',
+    classes: ['map-browser-indexer'],
+    tag: 'form',
+    window: {
+      title: 'MAP_BROWSER.Indexer',
+      icon: 'fas fa-folder-tree',
+      contentClasses: ['standard-form'],
+      resizable: true
+    },
+    position: { width: 560, height: 'auto' },
+    form: {
+      handler: ManifestIndexerApp.#onSubmit,
+      closeOnSubmit: false
+    }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/manifest-indexer.hbs`, scrollable: ['.indexer-report'] }
+  };
+
+  #options = { source: 'data', root: 'maps', bucket: '', beneosRoot: 'Beneos', workerBaseUrl: '' };
+  #result = null;
+  #running = false;
+
+  async _prepareContext(options) {
+    const report = this.#result?.report;
+    return {
+      options: this.#options,
+      sources: { data: 'Data', public: 'Public', s3: 'S3' },
+      running: this.#running,
+      result: this.#result && {
+        totals: this.#result.manifest,
+        unparseable: report.unparseable,
+        warnings: report.warnings
+      }
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+    html.querySelector('[data-action="download-manifest"]')?.addEventListener('click', () => {
+      foundry.utils.saveDataToFile(JSON.stringify(this.#result.manifest, null, 2), 'application/json', 'map-manifest.json');
+    });
+    html.querySelector('[data-action="install-manifest"]')?.addEventListener('click', () => this.#install());
+  }
+
+  /**
+   * Walk the library and build the manifest
+   */
+  static async #onSubmit(event, form, formData) {
+    this.#options = { ...this.#options, ...formData.object };
+    this.#running = true;
+    this.#result = null;
+    await this.render();
+
+    try {
+      const { source, root, bucket } = this.#options;
+      const paths = await browseRecursive(source, root.replace(/\/+$/, ''), { bucket });
+      const [czepekuTags, beneosTags, thumbnails] = await Promise.all([
+        fetchJson(`modules/${MODULE_ID}/data/czepeku-tags.json`),
+        fetchJson(`modules/${MODULE_ID}/data/beneos-tags.json`),
+        listThumbnails()
+      ]);
+      this.#result = buildManifest(paths, {
+        czepekuTags,
+        beneosTags,
+        thumbnails,
+        beneosRoot: this.#options.beneosRoot || 'Beneos',
+        manifest: this.#getSourceFields()
+      });
+    } catch (err) {
+      console.error(`${MODULE_ID} | Indexing failed:`, err);
+      ui.notifications.error(game.i18n.format('MAP_BROWSER.IndexerFailed', { error: err.message }));
+    } finally {
+      this.#running = false;
+      this.render();
+    }
+  }
+
+  // Without a worker URL, Data/Public libraries are served from where they were indexed
+  #getSourceFields() {
+    const { source, root, workerBaseUrl } = this.#options;
+    if (workerBaseUrl) return { worker_base_url: workerBaseUrl };
+    if (source === 's3') return {};
+    return { media_source: { type: 'local', root, source } };
+  }
+
+  /**
+   * Write the manifest into the module's data folder and reload it
+   */
+  async #install() {
+    const proceed = await foundry.applications.api.DialogV2.confirm({
+      window: { title: game.i18n.localize('MAP_BROWSER.IndexerInstall') },
+      content: `<p>${game.i18n.localize('MAP_BROWSER.IndexerInstallConfirm')}</p>`
+    });
+    if (!proceed) return;
+
+    try {
+      const file = new File([JSON.stringify(this.#result.manifest, null, 2)], 'map-manifest.json', { type: 'application/json' });
+      await foundry.applications.apps.FilePicker.implementation.upload('data', `modules/${MODULE_ID}/data`, file, {}, { notify: false });
+      await refreshCatalogue();
+      ui.notifications.info(game.i18n.localize('MAP_BROWSER.IndexerInstalled'));
+    } catch (err) {
+      console.error(`${MODULE_ID} | Could not install manifest:`, err);
+      ui.notifications.error(game.i18n.format('MAP_BROWSER.IndexerFailed', { error: err.message }));
+    }
+  }
+}
+
+/**
+ * List every file below a FilePicker directory, relative to it
+ * @param {string} source - FilePicker source ('data', 'public', 's3')
+ * @param {string} root - Directory to index
+ * @param {Object} [options] - Passed to FilePicker.browse (bucket for S3)
+ * @returns {Promise<string[]>}
+ */
+async function browseRecursive(source, root, options = {}) {
+  const FilePicker = foundry.applications.apps.FilePicker.implementation;
+  const paths = [];
+  const queue = [root];
+  while (queue.length) {
+    const dir = queue.shift();
+    const result = await FilePicker.browse(source, dir, options);
+    queue.push(...result.dirs);
+    for (const file of result.files) {
+      const decoded = decodeURIComponent(file);
+      const start = decoded.indexOf(`${root}/`);
+      paths.push(start >= 0 ? decoded.slice(start + root.length + 1) : decoded);
+    }
+  }
+  return paths;
+}
+
+async function listThumbnails() {
+  try {
+    const result = await foundry.applications.apps.FilePicker.implementation
+      .browse('data', `modules/${MODULE_ID}/data/thumbs`);
+    return new Set(result.files.map(file => decodeURIComponent(file).split('/').pop()));
+  } catch {
+    return null;
+  }
+}
@@ -0,0 +1,373 @@
+/**
+ * Map Browser - Manifest Indexer
+ * Builds map-manifest.json from a list of file paths in a Czepeku/Beneos library
+ *
+ * Expected layout (paths relative to the library root):
+ *   {Location}/Maps/{file}                      Czepeku (files_in_root: false)
+ *   {Location}/{file}                           Czepeku (files_in_root: true)
+ *   Beneos/{Location}/{Subfolder}/{file}        Beneos - *Scenery*, *Battlemap*, audio
+ *
+ * Czepeku filenames are split into location words, markers and the flavor:
+ *   AbandonedMineEntrance_CrystalNight_Gridded_30x30.jpg
+ *   → flavor "Crystal Night", sub_variant "Gridded", grid { squares_across: 30 }
+ * Versions (v2), resolutions (140ppi) and trailing copy numbers ("Day (1)", "Day_2") are
+ * markers too, so copies of a file land in the same flavor.
+ * Names that leave nothing recognizable get an "unknown-xxxxxxxx" flavor
+ * and are listed in the report.
+ *
+ * This file has no Foundry dependencies so the Node script in tools/ can use it.
+ */
+
+import { countFiles } from './validation.js';
+
+const IMAGE_EXTENSIONS = ['jpg', 'jpeg', 'png', 'webp'];
+const VIDEO_EXTENSIONS = ['mp4', 'webm', 'm4v'];
+const AUDIO_EXTENSIONS = ['ogg', 'mp3', 'wav', 'm4a', 'flac'];
+
+// Filename words that describe the file rather than the flavor
+const GRID_MARKERS = {
+  gridded: 'Gridded',
+  grid: 'Gridded',
+  gridless: 'Gridless',
+  nogrid: 'Gridless',
+  ungridded: 'Gridless'
+};
+const IGNORED_WORDS = new Set(['animated', 'animation', 'map', 'battlemap', 'vtt', 'hd', 'uhd', '4k', '8k', 'print', 'final', 'ver', 'v']);
+
+const DEFAULT_FLAVOR = 'Original';
+
+/**
+ * Build the manifest
+ * @param {string[]} paths - File paths relative to the library root, '/' separated
+ * @param {Object} [options]
+ * @param {Object} [options.czepekuTags] - Contents of czepeku-tags.json
+ * @param {Object} [options.beneosTags] - Contents of beneos-tags.json
+ * @param {Set<string>} [options.thumbnails] - Names of the files in data/thumbs
+ * @param {string} [options.beneosRoot='Beneos'] - Top-level folder of the Beneos library
+ * @param {Object} [options.manifest] - Extra top-level fields (worker_base_url, media_source, ...)
+ * @returns {{manifest: Object, report: {unparseable: {path: string, reason: string}[], warnings: string[]}}}
+ */
+export function buildManifest(paths, options = {}) {
+  const { czepekuTags = {}, beneosTags = {}, thumbnails = null, beneosRoot = 'Beneos' } = options;
+  const report = { unparseable: [], warnings: [] };
+
+  // Group files by top-level folder
+  const czepeku = new Map();
+  const beneos = new Map();
+  for (const path of paths) {
+    const parts = path.split('/').filter(Boolean);
+    if (parts[0] === beneosRoot) {
+      if (parts.length !== 4) {
+        report.unparseable.push({ path, reason: 'Expected Beneos/{Location}/{Subfolder}/{file}' });
+        continue;
+      }
+      getGroup(beneos, parts[1]).push(parts.slice(2));
+    } else if (parts.length >= 2) {
+      getGroup(czepeku, parts[0]).push(parts.slice(1));
+    } else {
+      report.unparseable.push({ path, reason: 'File outside a location folder' });
+    }
+  }
+
+  const locations = [
+    ...[...czepeku].map(([folder, files]) => indexCzepekuLocation(folder, files, czepekuTags, report)),
+    ...[...beneos].map(([folder, files]) => indexBeneosLocation(folder, files, beneosTags, beneosRoot, report))
+  ].filter(Boolean);
+
+  for (const location of locations) {
+    location.thumbnail = thumbnails ? thumbnails.has(`${location.folder_name}.jpg`) : true;
+    if (!location.thumbnail) report.warnings.push(`No thumbnail for ${location.folder_name}`);
+  }
+  locations.sort((a, b) => naturalCompare(a.title, b.title));
+
+  const manifest = {
+    ...options.manifest,
+    generated_at: new Date().toISOString(),
+    total_locations: locations.length,
+    total_flavors: locations.reduce((sum, loc) => sum + loc.flavors.length, 0),
+    total_files: locations.reduce((sum, loc) => sum + loc.flavors.reduce((n, f) => n + countFiles(f), 0), 0),
+    locations
+  };
+  return { manifest, report };
+}
+
+// ============================================================================
+// Czepeku
+// ============================================================================
+
+function indexCzepekuLocation(folder, files, czepekuTags, report) {
+  const id = slugify(folder);
+  const inMaps = files.filter(parts => parts.length === 2 && parts[0].toLowerCase() === 'maps');
+  const inRoot = files.filter(parts => parts.length === 1);
+  const filesInRoot = inMaps.length === 0;
+  const candidates = filesInRoot ? inRoot : inMaps;
+
+  // Everything else is left out of the manifest - say so, unless it is a soundtrack
+  for (const parts of files) {
+    if (candidates.includes(parts) || AUDIO_EXTENSIONS.includes(getExtension(parts.at(-1)))) continue;
+    report.unparseable.push({
+      path: `${folder}/${parts.join('/')}`,
+      reason: parts.length === 1 ? 'Loose file next to the Maps folder' : 'Expected {Location}/Maps/{file} or {Location}/{file}'
+    });
+  }
+
+  const locationWords = new Set(splitWords(folder).map(word => word.toLowerCase()));
+  const flavorTags = czepekuTags[id] ?? {};
+  if (!czepekuTags[id]) report.warnings.push(`No czepeku-tags entry for ${id}`);
+
+  const flavors = new Map();
+  for (const parts of candidates) {
+    const filename = parts.at(-1);
+    const path = `${folder}/${parts.join('/')}`;
+    const extension = getExtension(filename);
+    if (!IMAGE_EXTENSIONS.includes(extension) && !VIDEO_EXTENSIONS.includes(extension)) {
+      if (!AUDIO_EXTENSIONS.includes(extension)) report.unparseable.push({ path, reason: 'Not a map image or video' });
+      continue;
+    }
+
+    const parsed = parseCzepekuFilename(filename, locationWords);
+    if (!parsed.flavor) {
+      parsed.flavor = `unknown-${hash(filename)}`;
+      report.unparseable.push({ path, reason: `No flavor in filename, filed as ${parsed.flavor}` });
+    }
+
+    if (!flavors.has(parsed.flavor)) {
+      flavors.set(parsed.flavor, {
+        name: parsed.flavor,
+        display_name: parsed.flavor,
+        smart_tags: flavorTags[parsed.flavor] ?? [],
+        has_animated: false,
+        files: []
+      });
+    }
+    const flavor = flavors.get(parsed.flavor);
+    flavor.files.push({
+      filename,
+      animated: VIDEO_EXTENSIONS.includes(extension),
+      sub_variant: parsed.subVariant,
+      ...(parsed.grid ? { grid: parsed.grid } : {})
+    });
+    flavor.has_animated ||= VIDEO_EXTENSIONS.includes(extension);
+  }
+
+  if (flavors.size === 0) {
+    report.warnings.push(`No maps found in ${folder}`);
+    return null;
+  }
+
+  const flavorList = [...flavors.values()].sort((a, b) =>
+    (b.name === DEFAULT_FLAVOR) - (a.name === DEFAULT_FLAVOR) || naturalCompare(a.name, b.name));
+  for (const flavor of flavorList) {
+    flavor.files.sort((a, b) => a.animated - b.animated || naturalCompare(a.filename, b.filename));
+  }
+
+  return makeLocation({
+    id,
+    title: folder,
+    folder_name: folder,
+    files_in_root: filesInRoot,
+    source: 'czepeku'
+  }, flavorList);
+}
+
+/**
+ * Split a Czepeku filename into flavor, sub-variant and grid size
+ * @param {string} filename
+ * @param {Set<string>} locationWords - Lower-cased words of the location name
+ * @returns {{flavor: string|null, subVariant: string|null, grid: Object|null}}
+ */
+export function parseCzepekuFilename(filename, locationWords = new Set()) {
+  const words = splitWords(filename.slice(0, filename.length - getExtension(filename).length - 1));
+  const flavorWords = [];
+  let subVariant = null;
+  let grid = null;
+
+  for (let i = 0; i < words.length; i++) {
+    const word = words[i];
+    const lower = word.toLowerCase();
+    const size = lower.match(/^(\d+)x(\d+)$/);
+    if (size) {
+      grid = { squares_across: Number(size[1]) };
+    } else if (GRID_MARKERS[lower]) {
+      subVariant = GRID_MARKERS[lower];
+    } else if ((lower === 'v' || lower === 'ver') && /^\d+$/.test(words[i + 1] ?? '')) {
+      // Version number, split into "v" and "2" by splitWords()
+      i++;
+    } else if (IGNORED_WORDS.has(lower) || /^(v\d+|\d+(dpi|ppi|px))$/.test(lower)) {
+      continue;
+    } else if (locationWords.has(lower) && flavorWords.length === 0) {
+      // Location prefix ("AbandonedMineEntrance_Day") - only before the flavor starts
+      continue;
+    } else {
+      flavorWords.push(word);
+    }
+  }
+
+  // Copy numbers: "Day (1)", "Day_2" - numbers inside a name ("Level 2 Night") stay
+  while (/^\d+$/.test(flavorWords.at(-1) ?? '')) flavorWords.pop();
+
+  if (flavorWords.some(word => /[a-z]/i.test(word))) {
+    return { flavor: flavorWords.join(' '), subVariant, grid };
+  }
+  // Just the location name ("AbandonedMineEntrance_Gridded.jpg") is the original map
+  const hasLocationName = words.some(word => locationWords.has(word.toLowerCase()));
+  return { flavor: hasLocationName ? DEFAULT_FLAVOR : null, subVariant, grid };
+}
+
+// ============================================================================
+// Beneos
+// ============================================================================
+
+function indexBeneosLocation(folder, files, beneosTags, beneosRoot, report) {
+  const entry = Object.entries(beneosTags.locations ?? {}).find(([, loc]) => loc.folder_name === folder);
+  const key = entry?.[0] ?? slugify(folder);
+  const info = entry?.[1] ?? {};
+  if (!entry) report.warnings.push(`No beneos-tags entry for ${folder}`);
+
+  const keywordMapping = beneosTags.keyword_mapping ?? {};
+  const baseTags = info.base_tags ?? [];
+
+  const flavors = new Map();
+  for (const [subfolder, filename] of files) {
+    const path = `${beneosRoot}/${folder}/${subfolder}/${filename}`;
+    if (!flavors.has(subfolder)) {
+      flavors.set(subfolder, {
+        name: subfolder,
+        display_name: getBeneosDisplayName(subfolder),
+        smart_tags: deriveBeneosTags(subfolder, baseTags, keywordMapping),
+        has_animated: false,
+        scenery_files: [],
+        battlemap_files: []
+      });
+    }
+    const flavor = flavors.get(subfolder);
+    const extension = getExtension(filename);
+
+    if (AUDIO_EXTENSIONS.includes(extension)) {
+      if (flavor.audio_file) report.warnings.push(`Several audio files in ${folder}/${subfolder}, using ${flavor.audio_file}`);
+      flavor.audio_file ??= filename;
+      continue;
+    }
+    if (!IMAGE_EXTENSIONS.includes(extension) && !VIDEO_EXTENSIONS.includes(extension)) {
+      report.unparseable.push({ path, reason: 'Not a map image, video or audio file' });
+      continue;
+    }
+
+    const lower = filename.toLowerCase();
+    const list = lower.includes('scenery') ? flavor.scenery_files
+      : lower.includes('battlemap') ? flavor.battlemap_files
+        : null;
+    if (!list) {
+      report.unparseable.push({ path, reason: 'Neither Scenery nor Battlemap in filename' });
+      continue;
+    }
+    const animated = VIDEO_EXTENSIONS.includes(extension);
+    list.push({ filename, animated });
+    flavor.has_animated ||= animated;
+  }
+
+  const flavorList = [...flavors.values()]
+    .filter(flavor => countFiles(flavor) > 0)
+    .sort((a, b) => naturalCompare(a.name, b.name));
+  if (flavorList.length === 0) {
+    report.warnings.push(`No maps found in ${beneosRoot}/${folder}`);
+    return null;
+  }
+
+  return makeLocation({
+    id: `beneos-${key}`,
+    title: info.title ?? folder,
+    folder_name: folder,
+    beneos_path: `${beneosRoot}/${folder}`,
+    source: 'beneos',
+    ...(info.setting ? { setting: info.setting } : {})
+  }, flavorList);
+}
+
+/**
+ * "24-01_Ravenloft_1F_Bridge_Down" → "Ravenloft 1F Bridge Down"
+ * @param {string} subfolder
+ * @returns {string}
+ */
+function getBeneosDisplayName(subfolder) {
+  return subfolder.replace(/^\d+(-\d+)?_/, '').replace(/_/g, ' ').trim() || subfolder;
+}
+
+function deriveBeneosTags(subfolder, baseTags, keywordMapping) {
+  const tags = new Set(baseTags);
+  for (const word of splitWords(subfolder)) {
+    const mapped = keywordMapping[word.toLowerCase()];
+    if (Array.isArray(mapped)) mapped.forEach(tag => tags.add(tag));
+  }
+  return [...tags];
+}
+
+// ============================================================================
+// Helpers
+// ============================================================================
+
+function makeLocation(fields, flavors) {
+  // Location tags: the most common flavor tags first
+  const counts = new Map();
+  for (const flavor of flavors) {
+    for (const tag of flavor.smart_tags) counts.set(tag, (counts.get(tag) ?? 0) + 1);
+  }
+  const smartTags = [...counts.entries()]
+    .sort((a, b) => b[1] - a[1] || a[0].localeCompare(b[0]))
+    .slice(0, 8)
+    .map(([tag]) => tag);
+
+  return {
+    ...fields,
+    thumbnail: true,
+    has_animated: flavors.some(flavor => flavor.has_animated),
+    smart_tags: smartTags,
+    flavor_count: flavors.length,
+    flavors,
+    searchable_text: [fields.title, ...flavors.map(f => f.display_name), ...smartTags].join(' ').toLowerCase()
+  };
+}
+
+function getGroup(map, key) {
+  if (!map.has(key)) map.set(key, []);
+  return map.get(key);
+}
+
+function getExtension(filename) {
+  const dot = filename.lastIndexOf('.');
+  return dot >= 0 ? filename.slice(dot + 1).toLowerCase() : '';
+}
+
+/**
+ * Split on separators and camelCase: "CrystalNight_Gridded-30x30" → ["Crystal", "Night", "Gridded", "30x30"]
+ */
+function splitWords(text) {
+  return text
+    .replace(/([a-z])([A-Z])/g, '$1 $2')
+    .replace(/(?<!\d)([A-Za-z])(\d)/g, '$1 $2')
+    .split(/[\s_\-.()[\]]+/)
+    .filter(Boolean);
+}
+
+function slugify(text) {
+  return text
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/[^a-z0-9]+/g, '-')
+    .replace(/^-+|-+$/g, '');
+}
+
+// FNV-1a, 8 hex digits - stable "unknown-xxxxxxxx" names for unparseable files
+function hash(text) {
+  let value = 0x811c9dc5;
+  for (let i = 0; i < text.length; i++) {
+    value ^= text.charCodeAt(i);
+    value = Math.imul(value, 0x01000193);
+  }
+  return (value >>> 0).toString(16).padStart(8, '0');
+}
+
+function naturalCompare(a, b) {
+  return String(a).localeCompare(String(b), undefined, { numeric: true, sensitivity: 'base' });
+}
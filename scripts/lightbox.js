@@ -0,0 +1,325 @@
+/**
+ * Map Browser - Lightbox
+ * Full-size preview of a location's maps, streamed from the media source
+ *
+ * - Images, or videos playing muted in a loop
+ * - Mouse wheel zooms at the cursor, dragging pans, double click resets
+ * - ←/→ step through every file, ↑/↓ jump between flavors, Esc closes
+ * - Compare two variants side by side or with a swipe divider
+ */
+
+import { getMediaUrl, getBeneosFile } from './manifest.js';
+import { MODULE_ID } from './constants.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const VIDEO_EXTENSIONS = /\.(mp4|webm|m4v)$/i;
+const MIN_ZOOM = 1;
+const MAX_ZOOM = 8;
+
+/**
+ * List everything in a location the lightbox can show
+ * Czepeku: one entry per file. Beneos: one per scenery/battlemap, using the file
+ * the create buttons use.
+ * @param {Object} manifest - The catalogue
+ * @param {Object} location - The location data
+ * @returns {Object[]} { flavorIndex, fileIndex, fileType, flavor, file, label, url, isVideo }
+ */
+export function getLightboxEntries(manifest, location) {
+  return location.flavors.flatMap((flavor, flavorIndex) => {
+    if (flavor.hidden) return [];
+    const isBeneos = !!(flavor.scenery_files || flavor.battlemap_files);
+    const files = isBeneos
+      ? ['scenery', 'battlemap']
+        .map(fileType => ({ fileType, file: getBeneosFile(flavor, fileType) }))
+        .filter(({ file }) => file)
+      : (flavor.files || []).map((file, fileIndex) => ({ fileIndex, file, fileType: null })).filter(({ file }) => !file.hidden);
+
+    return files.map(({ file, fileIndex, fileType }) => ({
+      flavorIndex,
+      fileIndex: fileIndex ?? null,
+      fileType,
+      flavor,
+      file,
+      label: [flavor.display_name, fileType ? game.i18n.localize(`MAP_BROWSER.${fileType.capitalize()}`) : file.sub_variant]
+        .filter(Boolean).join(' - '),
+      url: getMediaUrl(manifest, location, flavor, file, isBeneos),
+      isVideo: !!file.animated || VIDEO_EXTENSIONS.test(file.filename)
+    }));
+  });
+}
+
+// A flavor (all its files) or one file of it: fileIndex for Czepeku, fileType for Beneos
+function isEntryOf(entry, { flavorIndex, fileIndex, fileType }) {
+  if (entry.flavorIndex !== flavorIndex) return false;
+  return fileType ? entry.fileType === fileType : fileIndex === undefined || entry.fileIndex === fileIndex;
+}
+
+/**
+ * Lightbox window for one location
+ */
+export class MapLightbox extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-lightbox',
+    classes: ['map-browser-lightbox'],
+    window: {
+      icon: 'fas fa-expand',
+      resizable: true
+    },
+    position: {
+      width: Math.round(window.innerWidth * 0.8),
+      height: Math.round(window.innerHeight * 0.85)
+    }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/lightbox.hbs` }
+  };
+
+  #location;
+  #entries;
+  #index;
+  #compareIndex = null;
+  #compareMode = 'side'; // 'side' | 'swipe'
+  #swipe = 50; // Divider position in percent
+  #view = { zoom: 1, x: 0, y: 0 };
+  #thumbnail;
+  #onCreate;
+  #onShare;
+  #keyHandler = null;
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.manifest - The catalogue
+   * @param {Object} options.location - The location to show
+   * @param {number} [options.flavorIndex] - Start at this flavor
+   * @param {number} [options.fileIndex] - ...and this file (Czepeku)
+   * @param {string} [options.fileType] - ...or this file type (Beneos)
+   * @param {{flavorIndex: number, fileIndex?: number, fileType?: string}} [options.only] - Show nothing but this
+   *        flavor or file, e.g. the one item a GM shared with players
+   * @param {string} [options.thumbnail] - Shown when there is no media source
+   * @param {Function} [options.onCreate] - (flavor, file, fileType) => Promise, creates a scene
+   * @param {Function} [options.onShare] - (flavor, file, fileType) => Promise, shows the map to players
+   */
+  constructor({ manifest, location, flavorIndex, fileIndex, fileType, only, thumbnail, onCreate, onShare, ...options } = {}) {
+    super(options);
+    this.#location = location;
+    this.#entries = getLightboxEntries(manifest, location);
+    if (only) this.#entries = this.#entries.filter(entry => isEntryOf(entry, only));
+    this.#thumbnail = thumbnail;
+    this.#onCreate = onCreate;
+    this.#onShare = onShare;
+    const start = this.#entries.findIndex(entry => isEntryOf(entry, { flavorIndex, fileIndex, fileType }));
+    this.#index = Math.max(0, start);
+  }
+
+  get title() {
+    return this.#location.title;
+  }
+
+  async _prepareContext(options) {
+    const entry = this.#entries[this.#index];
+    const compare = this.#compareIndex !== null ? this.#entries[this.#compareIndex] : null;
+    return {
+      entry,
+      compare,
+      compareMode: this.#compareMode,
+      swipe: this.#swipe,
+      thumbnail: this.#thumbnail,
+      position: `${this.#index + 1} / ${this.#entries.length}`,
+      canCreate: !!this.#onCreate && !!entry?.url,
+      canShare: !!this.#onShare && !!entry?.url,
+      entries: this.#entries.map((e, index) => ({ index, label: e.label, selected: index === this.#index })),
+      compareEntries: this.#entries.map((e, index) => ({ index, label: e.label, selected: index === this.#compareIndex }))
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelector('[data-action="lightbox-prev"]')?.addEventListener('click', () => this.#step(-1));
+    html.querySelector('[data-action="lightbox-next"]')?.addEventListener('click', () => this.#step(1));
+    html.querySelector('[name="entry"]')?.addEventListener('change', ev => this.#show(Number(ev.target.value)));
+    html.querySelector('[name="compare"]')?.addEventListener('change', ev => {
+      this.#compareIndex = ev.target.value === '' ? null : Number(ev.target.value);
+      this.render();
+    });
+    html.querySelector('[name="compareMode"]')?.addEventListener('change', ev => {
+      this.#compareMode = ev.target.value;
+      this.render();
+    });
+    html.querySelector('[name="swipe"]')?.addEventListener('input', ev => {
+      this.#swipe = Number(ev.target.value);
+      this.#applySwipe();
+    });
+    html.querySelector('[data-action="lightbox-reset"]')?.addEventListener('click', () => this.#resetView());
+    html.querySelector('[data-action="lightbox-create"]')?.addEventListener('click', async (ev) => {
+      const button = ev.currentTarget;
+      const entry = this.#entries[this.#index];
+      button.disabled = true;
+      try {
+        await this.#onCreate(entry.flavor, entry.file, entry.fileType);
+      } finally {
+        button.disabled = false;
+      }
+    });
+    html.querySelector('[data-action="lightbox-share"]')?.addEventListener('click', () => {
+      const entry = this.#entries[this.#index];
+      this.#onShare(entry.flavor, entry.file, entry.fileType);
+    });
+
+    html.querySelectorAll('.lightbox-stage').forEach(stage => this.#activateStage(stage));
+    html.querySelectorAll('.lightbox-media').forEach(media => {
+      media.addEventListener('error', () => media.parentElement.classList.add('failed'));
+    });
+    this.#applyView();
+    this.#applySwipe();
+
+    if (!this.#keyHandler) {
+      this.#keyHandler = ev => this.#onKeyDown(ev);
+      document.addEventListener('keydown', this.#keyHandler);
+    }
+  }
+
+  async close(options) {
+    if (this.#keyHandler) document.removeEventListener('keydown', this.#keyHandler);
+    this.#keyHandler = null;
+    return super.close(options);
+  }
+
+  // -------------------------------------------------------------------------
+  // Navigation
+  // -------------------------------------------------------------------------
+
+  #show(index) {
+    // Nothing to navigate when the location has no viewable files
+    if (this.#entries.length === 0) return;
+    this.#index = (index + this.#entries.length) % this.#entries.length;
+    if (this.#compareIndex === this.#index) this.#compareIndex = null;
+    this.#view = { zoom: 1, x: 0, y: 0 };
+    this.render();
+  }
+
+  #step(delta) {
+    this.#show(this.#index + delta);
+  }
+
+  // Jump to the first file of the next/previous flavor
+  #stepFlavor(delta) {
+    if (this.#entries.length === 0) return;
+    const flavors = [...new Set(this.#entries.map(entry => entry.flavorIndex))];
+    const current = flavors.indexOf(this.#entries[this.#index].flavorIndex);
+    const target = flavors[(current + delta + flavors.length) % flavors.length];
+    this.#show(this.#entries.findIndex(entry => entry.flavorIndex === target));
+  }
+
+  #onKeyDown(ev) {
+    // Only while this window is on top and nobody is typing
+    if (ui.activeWindow !== this || ev.target.closest?.('input, select, textarea')) return;
+    const actions = {
+      ArrowLeft: () => this.#step(-1),
+      ArrowRight: () => this.#step(1),
+      ArrowUp: () => this.#stepFlavor(-1),
+      ArrowDown: () => this.#stepFlavor(1),
+      '+': () => this.#zoomAt(1.25),
+      '-': () => this.#zoomAt(0.8),
+      0: () => this.#resetView(),
+      Escape: () => this.close()
+    };
+    const action = actions[ev.key];
+    if (!action) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    action();
+  }
+
+  // -------------------------------------------------------------------------
+  // Zoom & Pan
+  // -------------------------------------------------------------------------
+
+  #activateStage(stage) {
+    stage.addEventListener('wheel', ev => {
+      ev.preventDefault();
+      const rect = stage.getBoundingClientRect();
+      this.#zoomAt(ev.deltaY < 0 ? 1.2 : 1 / 1.2, ev.clientX - rect.left - rect.width / 2, ev.clientY - rect.top - rect.height / 2);
+    }, { passive: false });
+
+    stage.addEventListener('dblclick', () => this.#resetView());
+
+    stage.addEventListener('pointerdown', ev => {
+      // The swipe divider has its own handle
+      if (ev.button !== 0 || ev.target.closest('.swipe-handle')) return;
+      const start = { x: ev.clientX, y: ev.clientY, viewX: this.#view.x, viewY: this.#view.y };
+      stage.setPointerCapture(ev.pointerId);
+      stage.classList.add('panning');
+      const move = e => {
+        this.#view.x = start.viewX + (e.clientX - start.x);
+        this.#view.y = start.viewY + (e.clientY - start.y);
+        this.#applyView();
+      };
+      const up = () => {
+        stage.classList.remove('panning');
+        stage.removeEventListener('pointermove', move);
+        stage.removeEventListener('pointerup', up);
+        stage.removeEventListener('pointercancel', up);
+      };
+      stage.addEventListener('pointermove', move);
+      stage.addEventListener('pointerup', up);
+      stage.addEventListener('pointercancel', up);
+    });
+
+    const handle = stage.querySelector('.swipe-handle');
+    handle?.addEventListener('pointerdown', ev => {
+      ev.stopPropagation();
+      handle.setPointerCapture(ev.pointerId);
+      const move = e => {
+        const rect = stage.getBoundingClientRect();
+        this.#swipe = Math.clamp(((e.clientX - rect.left) / rect.width) * 100, 0, 100);
+        this.#applySwipe();
+      };
+      const up = () => {
+        handle.removeEventListener('pointermove', move);
+        handle.removeEventListener('pointerup', up);
+      };
+      handle.addEventListener('pointermove', move);
+      handle.addEventListener('pointerup', up);
+    });
+  }
+
+  /**
+   * Zoom by a factor, keeping the point under the cursor (offset from the stage center) in place
+   */
+  #zoomAt(factor, offsetX = 0, offsetY = 0) {
+    const zoom = Math.clamp(this.#view.zoom * factor, MIN_ZOOM, MAX_ZOOM);
+    const applied = zoom / this.#view.zoom;
+    this.#view.x = offsetX - (offsetX - this.#view.x) * applied;
+    this.#view.y = offsetY - (offsetY - this.#view.y) * applied;
+    this.#view.zoom = zoom;
+    if (zoom === MIN_ZOOM) this.#view.x = this.#view.y = 0;
+    this.#applyView();
+  }
+
+  #resetView() {
+    this.#view = { zoom: 1, x: 0, y: 0 };
+    this.#applyView();
+  }
+
+  // Side-by-side panes share one view so the same spot stays lined up
+  #applyView() {
+    const { zoom, x, y } = this.#view;
+    this.element?.querySelectorAll('.lightbox-media').forEach(media => {
+      media.style.transform = `translate(${x}px, ${y}px) scale(${zoom})`;
+    });
+    const label = this.element?.querySelector('.zoom-level');
+    if (label) label.textContent = `${Math.round(zoom * 100)}%`;
+  }
+
+  #applySwipe() {
+    const stage = this.element?.querySelector('.lightbox-stage.swipe');
+    if (!stage) return;
+    stage.querySelector('.compare-layer').style.clipPath = `inset(0 0 0 ${this.#swipe}%)`;
+    stage.querySelector('.swipe-handle').style.left = `${this.#swipe}%`;
+    const slider = this.element.querySelector('[name="swipe"]');
+    if (slider) slider.value = this.#swipe;
+  }
+}
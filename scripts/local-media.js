@@ -0,0 +1,414 @@
+/**
+ * Map Browser - Local Media
+ * Download streamed maps into the Foundry Data folder so scenes keep working
+ * when the worker or OneDrive share is down
+ *
+ * - Files go to {localFolder}/{locationId}/{flavor}/{filename} via FilePicker.upload
+ * - The scene background is rewritten; flags keep both paths:
+ *   flags['map-browser'].localPath and .remoteSrc
+ * - Downloaded files are indexed (size, source URL) for the disk usage view
+ * - Bulk runs persist their queue, so a failed or interrupted run can be resumed
+ * - Files are held in memory between download and upload, one at a time; larger ones
+ *   than MAX_DOWNLOAD_SIZE are skipped
+ */
+
+import { getMapScenes } from './world-scenes.js';
+import { loadManifest } from './manifest.js';
+import { checkMediaReachable } from './media.js';
+import { MODULE_ID } from './constants.js';
+
+const FOLDER_SETTING = 'localFolder';
+const DEFAULT_SETTING = 'makeLocalDefault';
+const INDEX_SETTING = 'localFiles';
+const QUEUE_SETTING = 'localQueue';
+
+// Animated 4K maps run to hundreds of MB - past this a download risks running the tab out of memory
+const MAX_DOWNLOAD_SIZE = 500 * 1024 * 1024;
+
+/**
+ * Register the local media settings and the storage view (call during init)
+ */
+export function registerLocalMediaSettings() {
+  game.settings.register(MODULE_ID, FOLDER_SETTING, {
+    name: 'MAP_BROWSER.LocalFolder',
+    hint: 'MAP_BROWSER.LocalFolderHint',
+    scope: 'world',
+    config: true,
+    type: String,
+    default: 'map-browser',
+    filePicker: 'folder'
+  });
+
+  game.settings.register(MODULE_ID, DEFAULT_SETTING, {
+    name: 'MAP_BROWSER.MakeLocalDefault',
+    hint: 'MAP_BROWSER.MakeLocalDefaultHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false
+  });
+
+  // { [path]: { size, url, locationId, date } }
+  game.settings.register(MODULE_ID, INDEX_SETTING, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  // { sceneIds: string[], failed: { [sceneId]: string } }
+  game.settings.register(MODULE_ID, QUEUE_SETTING, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: { sceneIds: [], failed: {} }
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'localStorageMenu', {
+    name: 'MAP_BROWSER.LocalStorage',
+    label: 'MAP_BROWSER.LocalStorageOpen',
+    hint: 'MAP_BROWSER.LocalStorageHint',
+    icon: 'fas fa-hard-drive',
+    type: LocalStorageApp,
+    restricted: true
+  });
+}
+
+/**
+ * Whether new scenes should be made local right away
+ * @returns {boolean}
+ */
+export function isMakeLocalDefault() {
+  return game.settings.get(MODULE_ID, DEFAULT_SETTING);
+}
+
+/**
+ * Check whether a scene still streams its background from a remote URL
+ * @param {Scene} scene
+ * @returns {boolean}
+ */
+export function isSceneRemote(scene) {
+  return /^https?:\/\//i.test(scene.background?.src ?? '');
+}
+
+// ============================================================================
+// Downloading
+// ============================================================================
+
+/**
+ * Download a scene's background into the Data folder and point the scene at the copy
+ * @param {Scene|string} sceneOrId - A scene created by the map browser
+ * @param {Object} [options]
+ * @param {Function} [options.onProgress] - Called with (loadedBytes, totalBytes|null)
+ * @returns {Promise<string|null>} The local path, or null if the scene was already local
+ */
+export async function makeSceneLocal(sceneOrId, { onProgress } = {}) {
+  const scene = typeof sceneOrId === 'string' ? game.scenes.get(sceneOrId) : sceneOrId;
+  const flags = scene?.flags?.[MODULE_ID];
+  if (!flags?.locationId) {
+    throw new Error(game.i18n.localize('MAP_BROWSER.NotMapBrowserScene'));
+  }
+  if (!isSceneRemote(scene)) return null;
+
+  const url = scene.background.src;
+  const index = game.settings.get(MODULE_ID, INDEX_SETTING) || {};
+
+  // Another scene may already have downloaded the same file
+  let path = Object.keys(index).find(key => index[key].url === url);
+  if (!path || !(await fileExists(path))) {
+    path = getLocalPath(flags);
+    if (!(await fileExists(path))) {
+      const reachable = await checkMediaReachable(url);
+      checkDownloadSize(reachable?.size);
+      let blob = await downloadMedia(url, onProgress);
+      await uploadMedia(path, blob);
+      const size = blob.size;
+      blob = null; // Let the file go before the next one is fetched
+      index[path] = { size, url, locationId: flags.locationId, date: Date.now() };
+    } else {
+      index[path] ??= { size: null, url, locationId: flags.locationId, date: Date.now() };
+    }
+    await game.settings.set(MODULE_ID, INDEX_SETTING, index);
+  }
+
+  await scene.update({
+    'background.src': path,
+    [`flags.${MODULE_ID}.localPath`]: path,
+    [`flags.${MODULE_ID}.remoteSrc`]: url
+  });
+  return path;
+}
+
+/**
+ * Make several scenes local, one at a time, with a progress bar and a resumable queue
+ * @param {Array<Scene|string>} [scenes] - Defaults to every remote map browser scene
+ * @returns {Promise<{done: Scene[], failed: {scene: Scene, error: string}[]}>}
+ */
+export async function makeScenesLocal(scenes) {
+  const targets = (scenes ?? getMapScenes())
+    .map(scene => (typeof scene === 'string' ? game.scenes.get(scene) : scene))
+    .filter(scene => scene && isSceneRemote(scene));
+  const done = [];
+  const failed = [];
+  if (targets.length === 0) {
+    ui.notifications.info(game.i18n.localize('MAP_BROWSER.LocalNothingToDo'));
+    return { done, failed };
+  }
+
+  // Add to the stored queue rather than replacing it, so making one scene local
+  // does not drop what an earlier bulk run left pending or failed
+  const stored = game.settings.get(MODULE_ID, QUEUE_SETTING) || {};
+  const queue = {
+    sceneIds: [...new Set([
+      ...(stored.sceneIds ?? []).filter(id => game.scenes.has(id) && isSceneRemote(game.scenes.get(id))),
+      ...targets.map(scene => scene.id)
+    ])],
+    failed: { ...stored.failed }
+  };
+  await game.settings.set(MODULE_ID, QUEUE_SETTING, queue);
+
+  const total = targets.length;
+  const progress = ui.notifications.info(
+    game.i18n.format('MAP_BROWSER.LocalProgress', { done: 0, total, name: '' }),
+    { progress: true }
+  );
+
+  for (const [index, scene] of targets.entries()) {
+    const message = game.i18n.format('MAP_BROWSER.LocalProgress', { done: index + 1, total, name: scene.name });
+    progress?.update?.({ pct: index / total, message });
+    try {
+      await makeSceneLocal(scene, {
+        onProgress: (loaded, size) => {
+          if (!size) return;
+          progress?.update?.({ pct: (index + loaded / size) / total, message });
+        }
+      });
+      done.push(scene);
+      queue.sceneIds = queue.sceneIds.filter(id => id !== scene.id);
+      delete queue.failed[scene.id];
+    } catch (err) {
+      console.error(`${MODULE_ID} | Could not make ${scene.name} local:`, err);
+      failed.push({ scene, error: err.message });
+      queue.failed[scene.id] = err.message;
+    }
+    // Persist after every scene so a reload can resume where this stopped
+    await game.settings.set(MODULE_ID, QUEUE_SETTING, queue);
+  }
+
+  progress?.update?.({
+    pct: 1,
+    message: game.i18n.format('MAP_BROWSER.LocalDone', { done: done.length, total })
+  });
+  if (failed.length) {
+    ui.notifications.warn(game.i18n.format('MAP_BROWSER.LocalFailed', { count: failed.length }));
+  }
+  return { done, failed };
+}
+
+/**
+ * Continue the last bulk run with the scenes that are still pending or failed
+ * @returns {Promise<{done: Scene[], failed: {scene: Scene, error: string}[]}>}
+ */
+export async function resumeMakeLocal() {
+  const queue = game.settings.get(MODULE_ID, QUEUE_SETTING);
+  return makeScenesLocal(queue.sceneIds.filter(id => game.scenes.has(id)));
+}
+
+/**
+ * Build the Data path for a map file
+ * @param {{locationId: string, flavorName: string, filename: string}} flags
+ * @returns {string}
+ */
+function getLocalPath({ locationId, flavorName, filename }) {
+  const folder = game.settings.get(MODULE_ID, FOLDER_SETTING).replace(/\/+$/, '');
+  return [folder, locationId, (flavorName || 'default').slugify({ strict: true }), filename].join('/');
+}
+
+/**
+ * Fetch a media file, reporting progress when the server sends a content length
+ * @param {string} url
+ * @param {Function} [onProgress]
+ * @returns {Promise<Blob>}
+ */
+async function downloadMedia(url, onProgress) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`HTTP ${response.status}`);
+  }
+  const total = Number(response.headers.get('content-length')) || null;
+  checkDownloadSize(total);
+  if (!response.body?.getReader) return response.blob();
+
+  const reader = response.body.getReader();
+  const chunks = [];
+  let loaded = 0;
+  for (;;) {
+    const { done, value } = await reader.read();
+    if (done) break;
+    chunks.push(value);
+    loaded += value.length;
+    // Hosts that send no length are stopped once the file gets too big
+    if (loaded > MAX_DOWNLOAD_SIZE) {
+      await reader.cancel();
+      checkDownloadSize(loaded);
+    }
+    onProgress?.(loaded, total);
+  }
+  return new Blob(chunks, { type: response.headers.get('content-type') || '' });
+}
+
+/**
+ * Refuse files over MAX_DOWNLOAD_SIZE
+ * @param {number|null} [size] - Bytes, if known
+ */
+function checkDownloadSize(size) {
+  if (size > MAX_DOWNLOAD_SIZE) {
+    throw new Error(game.i18n.format('MAP_BROWSER.LocalTooLarge', {
+      size: formatBytes(size),
+      limit: formatBytes(MAX_DOWNLOAD_SIZE)
+    }));
+  }
+}
+
+/**
+ * Upload a file into the Data folder, creating the directories on the way
+ * @param {string} path - Target path including the filename
+ * @param {Blob} blob
+ */
+async function uploadMedia(path, blob) {
+  const FilePicker = foundry.applications.apps.FilePicker.implementation;
+  const parts = path.split('/');
+  const filename = parts.pop();
+
+  for (let i = 1; i <= parts.length; i++) {
+    try {
+      await FilePicker.createDirectory('data', parts.slice(0, i).join('/'));
+    } catch {
+      // Already exists
+    }
+  }
+
+  const file = new File([blob], filename, { type: blob.type });
+  const result = await FilePicker.upload('data', parts.join('/'), file, {}, { notify: false });
+  if (result === false || result?.status === 'error') {
+    throw new Error(result?.message || `Upload failed: ${path}`);
+  }
+}
+
+async function fileExists(path) {
+  const dir = path.slice(0, path.lastIndexOf('/'));
+  try {
+    const result = await foundry.applications.apps.FilePicker.implementation.browse('data', dir);
+    return result.files.some(file => decodeURIComponent(file) === path);
+  } catch {
+    return false;
+  }
+}
+
+// ============================================================================
+// Disk Usage View
+// ============================================================================
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Overview of downloaded maps, per location, with bulk and resume actions
+ */
+export class LocalStorageApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-local-storage',
+    classes: ['map-browser-local-storage'],
+    window: {
+      title: 'MAP_BROWSER.LocalStorage',
+      icon: 'fas fa-hard-drive',
+      resizable: true
+    },
+    position: { width: 560, height: 520 }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/local-storage.hbs` }
+  };
+
+  #busy = false;
+
+  async _prepareContext(options) {
+    const index = game.settings.get(MODULE_ID, INDEX_SETTING) || {};
+    const queue = game.settings.get(MODULE_ID, QUEUE_SETTING);
+    let titles = new Map();
+    try {
+      const manifest = await loadManifest();
+      titles = new Map(manifest.locations.map(loc => [loc.id, loc.title]));
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Could not load manifest for location names:`, err);
+    }
+
+    const scenes = getMapScenes();
+    const locations = new Map();
+    const getEntry = (locationId) => {
+      if (!locations.has(locationId)) {
+        locations.set(locationId, {
+          locationId, title: titles.get(locationId) ?? locationId, files: 0, bytes: 0, remote: 0
+        });
+      }
+      return locations.get(locationId);
+    };
+    for (const entry of Object.values(index)) {
+      const location = getEntry(entry.locationId);
+      location.files++;
+      location.bytes += entry.size ?? 0;
+    }
+    for (const scene of scenes) {
+      if (isSceneRemote(scene)) getEntry(scene.flags[MODULE_ID].locationId).remote++;
+    }
+
+    const rows = [...locations.values()]
+      .map(location => ({ ...location, size: formatBytes(location.bytes) }))
+      .sort((a, b) => b.bytes - a.bytes || a.title.localeCompare(b.title));
+    const pending = queue.sceneIds.filter(id => game.scenes.has(id));
+
+    return {
+      busy: this.#busy,
+      folder: game.settings.get(MODULE_ID, FOLDER_SETTING),
+      totalSize: formatBytes(rows.reduce((sum, row) => sum + row.bytes, 0)),
+      fileCount: Object.keys(index).length,
+      remoteCount: scenes.filter(isSceneRemote).length,
+      localCount: scenes.filter(scene => !isSceneRemote(scene)).length,
+      pendingCount: pending.length,
+      failures: pending
+        .filter(id => queue.failed[id])
+        .map(id => ({ name: game.scenes.get(id).name, error: queue.failed[id] })),
+      rows
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+    const run = async (task) => {
+      if (this.#busy) return;
+      this.#busy = true;
+      this.render();
+      try {
+        await task();
+      } finally {
+        this.#busy = false;
+        this.render();
+      }
+    };
+
+    html.querySelector('[data-action="make-all-local"]')?.addEventListener('click', () => run(() => makeScenesLocal()));
+    html.querySelector('[data-action="resume-local"]')?.addEventListener('click', () => run(() => resumeMakeLocal()));
+    html.querySelectorAll('[data-action="make-location-local"]').forEach(btn => {
+      btn.addEventListener('click', () => run(() => makeScenesLocal(
+        getMapScenes().filter(scene => scene.flags[MODULE_ID].locationId === btn.dataset.locationId)
+      )));
+    });
+  }
+}
+
+function formatBytes(bytes) {
+  if (!bytes) return '0 B';
+  const units = ['B', 'KB', 'MB', 'GB', 'TB'];
+  const exponent = Math.min(Math.floor(Math.log(bytes) / Math.log(1024)), units.length - 1);
+  return `${(bytes / 1024 ** exponent).toFixed(exponent ? 1 : 0)} ${units[exponent]}`;
+}
@@ -4,16 +4,85 @@
  *
  * Features:
  * - 2-level UI: Location Grid → Flavor Panel
- * - Smart search with auto-generated tags
+ * - Virtualized grid: only visible cards are in the DOM, cards re-render one by one
+ * - Keyboard navigation across cards and files, shortcuts to create, preview and star; a keybinding opens the browser
+ * - Ranked fuzzy search with query syntax (-word, "phrase", tag:, source:, setting:)
+ * - Faceted tag filter sidebar (include/exclude, AND/OR)
+ * - Grouped browsing by publisher, campaign setting or primary tag
+ * - Per-user collections ("prep lists") of starred locations, flavors and files
+ * - Batch scene creation into a Scenes folder per location
+ * - Duplicate detection: badges for maps already in the world, "open existing" on create
+ * - Change the map variant of an existing scene in place
+ * - Configurable scene defaults per source and per location
+ * - Grid size detection from manifest metadata and publisher conventions, interactive calibration
  * - One-click Scene creation
+ * - Shared creation pipeline: reachability check, media size probing with retries, cancellable progress
+ * - Module API (search, locations, headless scene creation) and preCreateScene/sceneCreated hooks
+ * - "Surprise me": random maps under tag/animated constraints, weighted away from maps already used
+ * - "Show to players": broadcast a map to players' screens without a scene; read-only player browser of shared collections
+ * - Usage history: "Recent" strip of created/activated maps, world inventory of map browser scenes by location
  * - Support for animated maps (MP4, WebM)
  * - Support for Czepeku and Beneos map collections
- * - Beneos maps: Separate Scenery/Battlemap buttons
+ * - Pluggable media sources (Worker, OneDrive, Foundry Data, HTTP, S3) per manifest or location
+ * - "Make local": download maps into the Data folder, bulk/resume for existing scenes, disk usage view
+ * - Manifest indexer (GM tool; tools/build-manifest.mjs for Node)
+ * - Map packs: several manifests (module, world, user) merged into one catalogue
+ * - Schema validation at load time and a GM "Catalogue health" report
+ * - GM curation mode: rename flavors, edit tags, hide files (exportable overlay)
+ * - Lightbox: full-size image/video preview with zoom, pan and Day/Night comparison
+ * - Beneos maps: Separate Scenery/Battlemap buttons, ambience playlists, linked Scenery/Battlemap pairs
+ * - English and German UI, localized tag labels (search matches both the label and the tag)
  */
 
-const MODULE_ID = 'map-browser';
+import {
+  parseQuery, isEmptyQuery, searchLocations, highlightText, isTagMatched, getLocationSource, getTagLabel
+} from './search.js';
+import { loadTagVocabulary } from './tags.js';
+import {
+  registerCollectionSettings, getCollections, getItemKey, getItemKeys, toggleStar, createCollection,
+  renameCollection, deleteCollection, setActiveCollection, addToCollection, removeFromCollection,
+  exportCollections, importCollections, resolveCollectionItem, isCollectionShared, setCollectionShared
+} from './collections.js';
+import { getSceneKey, indexWorldScenes, findExistingScenes } from './world-scenes.js';
+import { loadManifest, hasMediaSource, getBeneosFile, getThumbnailUrl } from './manifest.js';
+import { registerMediaBackend } from './media-sources.js';
+import { listSceneVariants, changeSceneVariant, promptSceneVariant } from './variants.js';
+import { registerSceneDefaultSettings } from './scene-defaults.js';
+import { registerGridSettings, calibrateSceneGrid } from './grid.js';
+import { getSceneJob, createScenes } from './scene-creation.js';
+import { search, getLocation, listFlavors, createScene, resolveMediaUrl, pickRandom, showToPlayers } from './api.js';
+import { SurprisePicker } from './surprise.js';
+import { registerSharingSettings, registerSharingSocket, isPlayerBrowserEnabled, showMedia, promptShareTargets } from './sharing.js';
+import { PlayerBrowserApp } from './player-browser.js';
+import { registerHistorySettings, recordHistory, activateScene, cleanHistory, getRecentMaps, getHistory, getWorldInventory } from './history.js';
+import {
+  registerLocalMediaSettings, isMakeLocalDefault, isSceneRemote, makeScenesLocal, resumeMakeLocal, LocalStorageApp
+} from './local-media.js';
+import { registerIndexerTool } from './indexer-tool.js';
+import { registerPack, registerPackSettings, registerModulePacks, getPacks } from './packs.js';
+import { validateVariantMapping, warnIssues } from './validation.js';
+import { registerHealthPanel, openHealthPanel, getHealthReport } from './health.js';
+import {
+  registerCurationSettings, setFlavorName, setTags, setHidden, getHiddenEntries, exportCuration, importCuration
+} from './curation.js';
+import { MapLightbox } from './lightbox.js';
+import { VirtualGrid } from './virtual-grid.js';
+import { MODULE_ID } from './constants.js';
+
 const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
 
+// Browsing modes for the location grid
+const GROUP_MODES = {
+  none: 'MAP_BROWSER.GroupNone',
+  source: 'MAP_BROWSER.GroupSource',
+  setting: 'MAP_BROWSER.GroupSetting',
+  tag: 'MAP_BROWSER.GroupTag'
+};
+
+// Fixed section order for publishers and settings (unknown values sort after these)
+const SOURCE_ORDER = ['czepeku', 'beneos'];
+const SETTING_ORDER = ['curse-of-strahd', 'descent-into-avernus', 'sci-fi', 'generic'];
+
 // ============================================================================
 // Map Browser Application
 // ============================================================================
@@ -34,26 +103,100 @@ class MapBrowserApp extends HandlebarsApplicationMixin(ApplicationV2) {
     position: { width: 1000, height: 750 }
   };
 
+  // Searching only re-renders status and facets, so the search field keeps focus
   static PARTS = {
-    main: { template: `modules/${MODULE_ID}/templates/browser.hbs` }
+    header: { template: `modules/${MODULE_ID}/templates/browser-header.hbs` },
+    status: { template: `modules/${MODULE_ID}/templates/browser-status.hbs` },
+    facets: { template: `modules/${MODULE_ID}/templates/facets.hbs`, scrollable: ['.facet-list'] },
+    results: { template: `modules/${MODULE_ID}/templates/browser.hbs`, scrollable: ['.collection-items', '.inventory-groups'] }
   };
 
   // State
   #manifest = null;
   #variantMapping = null;
+  #tagVocabulary = [];
   #searchQuery = '';
   #expandedLocation = null;
   #loading = true;
-  #cursorPosition = undefined;
-  #scrollPosition = 0;
-  #shouldScrollToExpanded = false;
   #showAnimatedOnly = false;
+  #makeLocal = isMakeLocalDefault();
+  #curating = false; // GM curation mode
+  #showFacets = true;
+  #tagFilters = new Map(); // tag → 'include' | 'exclude'
+  #tagFilterMode = 'and';
+  #groupBy = 'none';
+  #collapsedGroups = new Set(); // `${groupBy}:${key}`
+  #view = 'browse'; // 'browse' | 'collections' | 'inventory'
+  #selection = new Set(); // Batch selection in the expanded card: `${flavorIndex}|${fileIndex|fileType}`
+  #results = null; // Output of #filterLocations() for the last render
+  #cardData = null; // Lookups shared by every card, see #syncGrid()
+  #templates = null; // Compiled card and group header templates
+  #previewOverlay = null;
+  #previewTimeout = null;
+  #lastFocus = null; // { key, fileKey } of the last focused grid item, for tabbing back in
+
+  #grid = new VirtualGrid({
+    renderItem: item => this.#renderGridItem(item),
+    activateItem: element => this.#activateListeners(element)
+  });
 
   constructor(options = {}) {
     super(options);
     MapBrowserApp.#instance = this;
   }
 
+  /**
+   * Drop the loaded catalogue and load it again on the next render
+   */
+  reloadCatalogue() {
+    this.#manifest = null;
+    this.#selection.clear();
+    if (this.rendered) this.render();
+  }
+
+  /**
+   * Re-render what shows world scenes: the cards' "In world" badges or the world inventory
+   */
+  refreshCards() {
+    if (!this.rendered) return;
+    if (this.#view === 'inventory') this.render({ parts: ['results'] });
+    else this.#syncGrid();
+  }
+
+  /**
+   * Re-render the "Recent" strip after the usage log changed
+   */
+  refreshHistory() {
+    if (this.rendered) this.render({ parts: ['header'] });
+  }
+
+  /**
+   * Open the "Surprise me" picker, replacing any open one
+   * @param {Object} [constraints] - See pickRandomMap(); defaults to the active tag and animated filters
+   */
+  async openSurprise(constraints) {
+    if (!this.#manifest) await this.#loadManifest();
+    const filtered = state => [...this.#tagFilters].filter(([, s]) => s === state).map(([tag]) => tag);
+    constraints ??= {
+      tags: filtered('include'),
+      excludeTags: filtered('exclude'),
+      animated: this.#showAnimatedOnly ? true : undefined
+    };
+
+    await foundry.applications.instances.get('map-browser-surprise')?.close();
+    new SurprisePicker({
+      manifest: this.#manifest,
+      vocabulary: this.#tagVocabulary,
+      constraints,
+      getThumbnail: ({ location, flavor, file }) =>
+        this.#getVariantThumbUrl(location.id, flavor.name, file.filename) ?? getThumbnailUrl(location),
+      onCreate: ({ location, flavor, file, fileType }) =>
+        this.#createSceneFromJob(getSceneJob(this.#manifest, location, flavor, file, fileType)),
+      onPreview: ({ location, flavorIndex, fileIndex, fileType }) =>
+        this.#openLightbox(location, { flavorIndex, fileIndex, fileType })
+    }).render(true);
+  }
+
   // -------------------------------------------------------------------------
   // Data Preparation
   // -------------------------------------------------------------------------
@@ -63,741 +206,1708 @@ class MapBrowserApp extends HandlebarsApplicationMixin(ApplicationV2) {
     if (!this.#manifest) {
       await this.#loadManifest();
     }
+    this.#templates ??= {
+      card: await foundry.applications.handlebars.getTemplate(`modules/${MODULE_ID}/templates/location-card.hbs`),
+      group: await foundry.applications.handlebars.getTemplate(`modules/${MODULE_ID}/templates/group-header.hbs`)
+    };
 
-    // Filter locations based on search and animated toggle
-    let locations = this.#manifest?.locations || [];
-
-    // Filter by animated if toggle is on
-    if (this.#showAnimatedOnly) {
-      locations = locations.filter(loc => loc.has_animated);
-    }
-
-    if (this.#searchQuery) {
-      const query = this.#searchQuery.toLowerCase();
-      const queryTerms = query.split(/\s+/).filter(t => t.length > 0);
-
-      locations = locations.filter(loc => {
-        // Check location name
-        const locationMatch = loc.title.toLowerCase().includes(query) ||
-                              loc.folder_name.toLowerCase().includes(query);
-        if (locationMatch) return true;
-
-        // Check smart tags
-        const tagMatch = loc.smart_tags?.some(tag => queryTerms.some(term => tag.includes(term)));
-        if (tagMatch) return true;
-
-        // Check flavor names and their tags
-        const flavorMatch = loc.flavors?.some(f =>
-          f.display_name?.toLowerCase().includes(query) ||
-          f.smart_tags?.some(tag => queryTerms.some(term => tag.includes(term)))
-        );
-        if (flavorMatch) return true;
-
-        // Check searchable text
-        return loc.searchable_text?.toLowerCase().includes(query);
-      });
-    }
-
-    // Prepare locations for display
-    const displayLocations = locations.map(loc => {
-      const isExpanded = loc.id === this.#expandedLocation;
-
-      // Add variant thumbnails to files if expanded
-      let flavors = loc.flavors;
-      if (isExpanded && this.#variantMapping) {
-        flavors = loc.flavors.map(flavor => ({
-          ...flavor,
-          files: flavor.files?.map(file => ({
-            ...file,
-            variantThumb: this.#getVariantThumbUrl(loc.id, flavor.name, file.filename)
-          })),
-          // Beneos maps: add thumbnails to scenery/battlemap files
-          scenery_files: flavor.scenery_files?.map(file => ({
-            ...file,
-            variantThumb: this.#getVariantThumbUrl(loc.id, flavor.name, file.filename)
-          })),
-          battlemap_files: flavor.battlemap_files?.map(file => ({
-            ...file,
-            variantThumb: this.#getVariantThumbUrl(loc.id, flavor.name, file.filename)
-          }))
-        }));
-      }
+    // The grid picks these up in _onRender and only builds the cards it shows
+    this.#results = this.#filterLocations();
+    const { locations, tagCounts } = this.#results;
 
-      return {
-        ...loc,
-        flavors,
-        expanded: isExpanded,
-        thumbnail: this.#getThumbnailUrl(loc),
-        tagBadges: loc.smart_tags.slice(0, 4) // Limit displayed tags
-      };
-    });
+    const collections = getCollections();
+    const activeCollection = collections.lists.find(list => list.id === collections.activeId);
 
     return {
-      locations: displayLocations,
+      view: this.#view,
+      collections: collections.lists.map(list => ({
+        id: list.id,
+        name: list.name,
+        count: list.items.length,
+        active: list.id === collections.activeId
+      })),
+      activeCollection: {
+        ...activeCollection,
+        count: activeCollection.items.length,
+        shared: isCollectionShared(activeCollection.id),
+        items: this.#view === 'collections' ? this.#prepareCollectionItems(activeCollection) : []
+      },
+      recent: this.#prepareRecentMaps(),
+      inventory: this.#view === 'inventory' ? this.#prepareInventory() : null,
+      groupBy: this.#groupBy,
+      groupByOptions: GROUP_MODES,
       totalLocations: this.#manifest?.total_locations || 0,
       totalFlavors: this.#manifest?.total_flavors || 0,
       totalFiles: this.#manifest?.total_files || 0,
+      packs: this.#getPackSummaries(),
+      ...this.#getHealthBadge(),
       searchQuery: this.#searchQuery,
       loading: this.#loading,
-      hasOneDriveUrl: !!(this.#manifest?.worker_base_url || this.#manifest?.onedrive_api_base),
-      resultCount: displayLocations.length,
+      hasOneDriveUrl: hasMediaSource(this.#manifest),
+      resultCount: locations.length,
+      showStatus: !this.#loading && this.#view === 'browse' && !!this.#searchQuery,
       showAnimatedOnly: this.#showAnimatedOnly,
-      animatedCount: this.#manifest?.locations?.filter(l => l.has_animated).length || 0
+      makeLocal: this.#makeLocal,
+      isGM: game.user.isGM,
+      curating: this.#curating,
+      animatedCount: this.#manifest?.locations?.filter(l => l.has_animated).length || 0,
+      showFacets: this.#showFacets,
+      showFacetSidebar: this.#showFacets && !this.#loading && this.#view === 'browse',
+      facetMode: this.#tagFilterMode,
+      activeFacetCount: this.#tagFilters.size,
+      facets: this.#tagVocabulary.map(tag => ({
+        tag,
+        label: getTagLabel(tag),
+        count: tagCounts.get(tag) || 0,
+        state: this.#tagFilters.get(tag) || null
+      })).sort((a, b) => (b.state ? 1 : 0) - (a.state ? 1 : 0) || b.count - a.count)
     };
   }
 
-  async #loadManifest() {
-    this.#loading = true;
-    try {
-      const response = await fetch(`modules/${MODULE_ID}/data/map-manifest.json`);
-      if (!response.ok) {
-        throw new Error(`HTTP ${response.status}`);
-      }
-      this.#manifest = await response.json();
-      console.log(`${MODULE_ID} | Loaded manifest: ${this.#manifest.total_locations} locations`);
-
-      // Load variant thumbnail mapping
-      try {
-        const mappingResponse = await fetch(`modules/${MODULE_ID}/data/variant-thumbs/_mapping.json`);
-        if (mappingResponse.ok) {
-          this.#variantMapping = await mappingResponse.json();
-          console.log(`${MODULE_ID} | Loaded variant mapping: ${Object.keys(this.#variantMapping).length} entries`);
-        }
-      } catch (e) {
-        console.log(`${MODULE_ID} | No variant mapping found`);
-      }
-    } catch (err) {
-      console.error(`${MODULE_ID} | Failed to load manifest:`, err);
-      ui.notifications.error('Failed to load map manifest. Check console for details.');
-      this.#manifest = { locations: [], total_locations: 0, total_flavors: 0, total_files: 0 };
-    }
-    this.#loading = false;
-  }
-
-  #getThumbnailUrl(location) {
-    // Use local thumbnail from module folder (fast loading)
-    if (location.thumbnail) {
-      return `modules/${MODULE_ID}/data/thumbs/${location.folder_name}.jpg`;
-    }
-    // Fallback to placeholder
-    return 'icons/svg/mystery-man.svg';
-  }
+  /**
+   * Apply curation visibility, the animated toggle, the search and the tag facets
+   * @returns {{locations: Object[], matchingFlavors: Map, searchMatches: Map, tagCounts: Map}}
+   */
+  #filterLocations() {
+    let locations = this.#manifest?.locations || [];
 
-  #getVariantThumbUrl(locationId, flavorName, filename) {
-    if (!this.#variantMapping) return null;
-    const key = `${locationId}|${flavorName}|${filename}`;
-    const variantId = this.#variantMapping[key];
-    if (variantId) {
-      return `modules/${MODULE_ID}/data/variant-thumbs/${variantId}.webp`;
+    // Locations the GMs hid completely only show up while curating
+    if (!this.#curating) {
+      locations = locations.filter(loc => !loc.all_hidden);
     }
-    return null;
-  }
-
-  // -------------------------------------------------------------------------
-  // Scene Creation
-  // -------------------------------------------------------------------------
 
-  async #createScene(location, flavor, file) {
-    // Check for either Worker URL or legacy OneDrive API base
-    if (!this.#manifest?.worker_base_url && !this.#manifest?.onedrive_api_base) {
-      ui.notifications.error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
-      return;
+    // Filter by animated if toggle is on
+    if (this.#showAnimatedOnly) {
+      locations = locations.filter(loc => loc.has_animated);
     }
 
-    // Build the file path (files can be in Maps subfolder or directly in root)
-    const filePath = location.files_in_root
-      ? `${location.folder_name}/${file.filename}`
-      : `${location.folder_name}/Maps/${file.filename}`;
-
-    // Encode path components (but not slashes)
-    const encodedPath = filePath.split('/').map(p => encodeURIComponent(p)).join('/');
-
-    // Build image URL - prefer Worker URL (recommended) over legacy OneDrive API
-    let imageUrl;
-    if (this.#manifest.worker_base_url) {
-      // Cloudflare Worker URL - simple format, handles auth internally
-      imageUrl = `${this.#manifest.worker_base_url}/${encodedPath}`;
-    } else {
-      // Legacy OneDrive API URL (may not work with new share format)
-      imageUrl = `${this.#manifest.onedrive_api_base}/${encodedPath}:/content#${file.filename}`;
+    // Ranked search - also narrows each location down to its matching flavors
+    const matchingFlavors = new Map();
+    const searchMatches = new Map();
+    const parsedQuery = parseQuery(this.#searchQuery);
+    if (!isEmptyQuery(parsedQuery)) {
+      const results = searchLocations(locations, parsedQuery);
+      locations = results.map(result => {
+        if (result.flavorIndices) matchingFlavors.set(result.location.id, result.flavorIndices);
+        searchMatches.set(result.location.id, result.matches);
+        return result.location;
+      });
     }
 
-    // Build scene name
-    let sceneName = location.title;
-    if (flavor.name !== 'Original') {
-      sceneName += ` - ${flavor.display_name}`;
-    }
-    if (file.sub_variant) {
-      sceneName += ` (${file.sub_variant})`;
+    // Filter by tag facets - a location matches if at least one flavor matches
+    if (this.#tagFilters.size > 0) {
+      locations = locations.filter(loc => {
+        const flavors = loc.flavors || [];
+        const shown = flavors.flatMap((flavor, index) => (flavor.hidden ? [] : [index]));
+        if (shown.length === 0) {
+          return this.#matchesTagFilters(new Set(loc.smart_tags || []));
+        }
+        const candidates = matchingFlavors.get(loc.id) ?? shown;
+        const indices = candidates
+          .filter(index => this.#matchesTagFilters(this.#getFlavorTags(loc, flavors[index])));
+        matchingFlavors.set(loc.id, indices);
+        return indices.length > 0;
+      });
     }
 
-    // Check if file is animated (video)
-    const isVideo = file.animated || false;
+    // Count tags on what is left, so the facet counts follow the active filters
+    const tagCounts = this.#countTags(locations, matchingFlavors);
 
-    // Load media to get actual dimensions (preserves aspect ratio)
-    const loadingMsg = isVideo ? 'Loading video dimensions...' : 'Loading image dimensions...';
-    ui.notifications.info(game.i18n.localize('MAP_BROWSER.LoadingImage') || loadingMsg);
-    let imgWidth = 4096;  // Default fallback
-    let imgHeight = 4096;
+    return { locations, matchingFlavors, searchMatches, tagCounts };
+  }
 
-    try {
-      const dimensions = await this.#loadMediaDimensions(imageUrl, isVideo);
-      imgWidth = dimensions.width;
-      imgHeight = dimensions.height;
-      console.log(`${MODULE_ID} | Media dimensions: ${imgWidth}x${imgHeight} (video: ${isVideo})`);
-    } catch (err) {
-      console.warn(`${MODULE_ID} | Could not load media dimensions, using defaults:`, err);
-      ui.notifications.warn('Could not determine media size, using defaults.');
-    }
+  // -------------------------------------------------------------------------
+  // Location Grid
+  // -------------------------------------------------------------------------
 
-    // Create Scene with actual image dimensions
-    const sceneData = {
-      name: sceneName,
-      width: imgWidth,
-      height: imgHeight,
-      backgroundColor: '#000000',
-      background: {
-        src: imageUrl
-      },
-      grid: {
-        type: 1,           // Square grid
-        size: 100,         // 100px per grid square
-        distance: 5,       // 5 feet per square (PF2E standard)
-        units: 'ft'
-      },
-      padding: 0,          // No padding - show image as-is
-      tokenVision: false,  // Disable for quick setup
-      flags: {
-        [MODULE_ID]: {
-          source: 'czepeku',
-          locationId: location.id,
-          flavorName: flavor.name,
-          filename: file.filename
-        }
+  /**
+   * Hand the current results to the grid. Cards whose HTML did not change keep their elements.
+   */
+  #syncGrid() {
+    if (!this.#grid.mounted || !this.#results) return;
+    this.#hidePreview();
+    const collections = getCollections();
+    this.#cardData = {
+      starred: getItemKeys(),
+      worldScenes: indexWorldScenes(),
+      multiplePacks: (this.#manifest?.packs?.length || 0) > 1,
+      // @root for location-card.hbs
+      root: {
+        curating: this.#curating,
+        activeCollection: collections.lists.find(list => list.id === collections.activeId)
       }
     };
 
-    try {
-      console.log(`${MODULE_ID} | Creating scene:`, sceneData);
-      const scene = await Scene.create(sceneData);
-
-      if (!scene) {
-        throw new Error('Scene.create() returned undefined - check Foundry permissions');
-      }
-
-      ui.notifications.info(`${game.i18n.localize('MAP_BROWSER.SceneCreated')}: ${sceneName}`);
-
-      // Ask to activate
-      const activate = await Dialog.confirm({
-        title: game.i18n.localize('MAP_BROWSER.SceneCreated'),
-        content: `<p>${game.i18n.localize('MAP_BROWSER.ActivateScene')}</p>`,
-        yes: () => true,
-        no: () => false
-      });
-
-      if (activate && scene.activate) {
-        await scene.activate();
+    const items = [];
+    for (const group of this.#groupLocations(this.#results.locations)) {
+      if (group.label) items.push({ key: `group:${group.key}`, type: 'header', group: group.key, header: group });
+      if (group.collapsed) continue;
+      for (const location of group.locations) {
+        items.push({ key: location.id, type: 'card', group: group.key, wide: location.id === this.#expandedLocation, location });
       }
-    } catch (err) {
-      console.error(`${MODULE_ID} | Failed to create scene:`, err);
-      console.error(`${MODULE_ID} | Scene data was:`, sceneData);
-      ui.notifications.error(`Failed to create scene: ${err.message}`);
     }
+    // Rebuilt cards lose focus; put it back on the same card or file
+    const focus = this.#getStop(document.activeElement);
+    this.#grid.setItems(items);
+    if (focus && !focus.stop.isConnected) this.#focusStop(focus.key, focus.fileKey);
+  }
+
+  #renderGridItem(item) {
+    const options = { allowProtoMethodsByDefault: true, allowProtoPropertiesByDefault: true };
+    if (item.type === 'header') return this.#templates.group(item.header, options);
+    return this.#templates.card(this.#prepareCard(item.location), { ...options, data: { root: this.#cardData.root } });
   }
 
   /**
-   * Create a Scene from a Beneos map (Scenery or Battlemap)
-   * @param {Object} location - The location data
-   * @param {Object} flavor - The flavor (subfolder) data
-   * @param {string} fileType - 'scenery' or 'battlemap'
+   * Display data for one location card
+   * @param {Object} loc - The location data
+   * @returns {Object}
    */
-  async #createBeneosScene(location, flavor, fileType) {
-    if (!this.#manifest?.worker_base_url && !this.#manifest?.onedrive_api_base) {
-      ui.notifications.error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
-      return;
-    }
-
-    // Get the appropriate file list
-    const files = fileType === 'scenery' ? flavor.scenery_files : flavor.battlemap_files;
-    if (!files || files.length === 0) {
-      ui.notifications.warn(`No ${fileType} files found for this scene.`);
-      return;
-    }
-
-    // Prefer animated version, fall back to static
-    let file = files.find(f => f.animated) || files[0];
-    const isVideo = file.animated;
-
-    // Build the file path: Beneos/{location}/{subfolder}/{filename}
-    const filePath = `${location.beneos_path}/${flavor.name}/${file.filename}`;
-
-    // Encode path components (but not slashes)
-    const encodedPath = filePath.split('/').map(p => encodeURIComponent(p)).join('/');
-
-    // Build media URL
-    let mediaUrl;
-    if (this.#manifest.worker_base_url) {
-      mediaUrl = `${this.#manifest.worker_base_url}/${encodedPath}`;
-    } else {
-      mediaUrl = `${this.#manifest.onedrive_api_base}/${encodedPath}:/content#${file.filename}`;
+  #prepareCard(loc) {
+    const { matchingFlavors, searchMatches } = this.#results;
+    const { starred, worldScenes, multiplePacks } = this.#cardData;
+    const sceneCount = (map, ...key) => map.get(getSceneKey(...key))?.length || 0;
+    const isExpanded = loc.id === this.#expandedLocation;
+
+    const matches = searchMatches.get(loc.id);
+
+    // Keep the manifest indices so buttons still resolve the right flavor and file;
+    // entries the GMs hid stay in the manifest and are only left out here
+    const shown = files => files?.map((file, index) => ({ ...file, index })).filter(file => !file.hidden);
+    let flavors = (loc.flavors || []).map((flavor, index) => ({
+      ...flavor,
+      index,
+      files: shown(flavor.files),
+      scenery_files: shown(flavor.scenery_files),
+      battlemap_files: shown(flavor.battlemap_files),
+      nameHtml: highlightText(flavor.display_name, matches),
+      tagBadges: (flavor.smart_tags || []).map(tag => ({ tag, label: getTagLabel(tag), matched: isTagMatched(tag, matches) }))
+    })).filter(flavor => !flavor.hidden);
+    if (matchingFlavors.has(loc.id)) {
+      const indices = matchingFlavors.get(loc.id);
+      flavors = flavors.filter(flavor => indices.includes(flavor.index));
     }
 
-    // Build scene name
-    let sceneName = `${location.title} - ${flavor.display_name}`;
-    if (fileType === 'scenery') {
-      sceneName += ' (Scenery)';
-    }
-
-    // Load media to get dimensions
-    const loadingMsg = isVideo ? 'Loading video dimensions...' : 'Loading image dimensions...';
-    ui.notifications.info(game.i18n.localize('MAP_BROWSER.LoadingImage') || loadingMsg);
-    let mediaWidth = 3840;  // 4K default
-    let mediaHeight = 2160;
-
-    try {
-      const dimensions = await this.#loadMediaDimensions(mediaUrl, isVideo);
-      mediaWidth = dimensions.width;
-      mediaHeight = dimensions.height;
-      console.log(`${MODULE_ID} | Media dimensions: ${mediaWidth}x${mediaHeight} (video: ${isVideo})`);
-    } catch (err) {
-      console.warn(`${MODULE_ID} | Could not load media dimensions, using defaults:`, err);
-      ui.notifications.warn('Could not determine media size, using 4K defaults.');
+    // Add variant thumbnails and star state to files if expanded
+    if (isExpanded) {
+      flavors = flavors.map(flavor => {
+        const itemKey = extra => getItemKey({ locationId: loc.id, flavorName: flavor.name, ...extra });
+        const decorate = file => ({
+          ...file,
+          variantThumb: this.#getVariantThumbUrl(loc.id, flavor.name, file.filename),
+          starred: starred.has(itemKey({ filename: file.filename })),
+          selected: this.#selection.has(`${flavor.index}|${file.index}`),
+          sceneCount: sceneCount(worldScenes.byFile, loc.id, flavor.name, file.filename)
+        });
+        const beneosSceneCount = fileType => {
+          const file = getBeneosFile(flavor, fileType);
+          return file ? sceneCount(worldScenes.byFile, loc.id, flavor.name, file.filename) : 0;
+        };
+        return {
+          ...flavor,
+          starred: starred.has(itemKey({})),
+          files: flavor.files?.map(decorate),
+          // Beneos maps: add thumbnails to scenery/battlemap files
+          scenery_files: flavor.scenery_files?.map(decorate),
+          battlemap_files: flavor.battlemap_files?.map(decorate),
+          scenery_starred: starred.has(itemKey({ fileType: 'scenery' })),
+          battlemap_starred: starred.has(itemKey({ fileType: 'battlemap' })),
+          scenery_selected: this.#selection.has(`${flavor.index}|scenery`),
+          battlemap_selected: this.#selection.has(`${flavor.index}|battlemap`),
+          scenery_scene_count: beneosSceneCount('scenery'),
+          battlemap_scene_count: beneosSceneCount('battlemap'),
+          sceneCount: sceneCount(worldScenes.byFlavor, loc.id, flavor.name)
+        };
+      });
     }
 
-    // Create Scene
-    const sceneData = {
-      name: sceneName,
-      width: mediaWidth,
-      height: mediaHeight,
-      backgroundColor: '#000000',
-      background: {
-        src: mediaUrl
-      },
-      grid: {
-        type: fileType === 'battlemap' ? 1 : 0,  // Grid for battlemap, none for scenery
-        size: 100,
-        distance: 5,
-        units: 'ft'
-      },
-      padding: 0,
-      tokenVision: false,
-      flags: {
-        [MODULE_ID]: {
-          source: 'beneos',
-          locationId: location.id,
-          flavorName: flavor.name,
-          filename: file.filename,
-          fileType: fileType
-        }
-      }
+    return {
+      ...loc,
+      flavors,
+      expanded: isExpanded,
+      isBeneos: getLocationSource(loc) === 'beneos',
+      packLabel: multiplePacks ? this.#getPackLabel(loc.pack) : null,
+      hiddenEntries: isExpanded && this.#curating ? this.#getHiddenEntries(loc) : [],
+      selectionCount: isExpanded ? this.#selection.size : 0,
+      sceneCount: sceneCount(worldScenes.byLocation, loc.id),
+      starred: starred.has(getItemKey({ locationId: loc.id })),
+      thumbnail: getThumbnailUrl(loc),
+      titleHtml: highlightText(loc.title, matches),
+      // Limit displayed tags, but keep the ones the search hit
+      tagBadges: loc.smart_tags
+        .map(tag => ({ tag, label: getTagLabel(tag), matched: isTagMatched(tag, matches) }))
+        .sort((a, b) => b.matched - a.matched)
+        .slice(0, 4)
     };
-
-    try {
-      console.log(`${MODULE_ID} | Creating Beneos scene:`, sceneData);
-      const scene = await Scene.create(sceneData);
-
-      if (!scene) {
-        throw new Error('Scene.create() returned undefined - check Foundry permissions');
-      }
-
-      ui.notifications.info(`${game.i18n.localize('MAP_BROWSER.SceneCreated')}: ${sceneName}`);
-
-      // Ask to activate
-      const activate = await Dialog.confirm({
-        title: game.i18n.localize('MAP_BROWSER.SceneCreated'),
-        content: `<p>${game.i18n.localize('MAP_BROWSER.ActivateScene')}</p>`,
-        yes: () => true,
-        no: () => false
-      });
-
-      if (activate && scene.activate) {
-        await scene.activate();
-      }
-    } catch (err) {
-      console.error(`${MODULE_ID} | Failed to create Beneos scene:`, err);
-      console.error(`${MODULE_ID} | Scene data was:`, sceneData);
-      ui.notifications.error(`Failed to create scene: ${err.message}`);
-    }
   }
 
   /**
-   * Load an image to get its dimensions
-   * @param {string} url - The image URL
-   * @returns {Promise<{width: number, height: number}>}
+   * Expand a card (collapsing the open one) or collapse it
+   * @param {string} locationId
    */
-  async #loadImageDimensions(url) {
-    return new Promise((resolve, reject) => {
-      const img = new Image();
-      img.crossOrigin = 'anonymous';
+  #toggleLocation(locationId) {
+    const wasExpanded = this.#expandedLocation === locationId;
+    this.#expandedLocation = wasExpanded ? null : locationId;
+    this.#selection.clear();
+    this.#syncGrid();
+    if (!wasExpanded) this.#grid.scrollToKey(locationId);
+  }
 
-      const timeout = setTimeout(() => {
-        reject(new Error('Image load timeout'));
-      }, 30000); // 30 second timeout
+  // -------------------------------------------------------------------------
+  // Collections
+  // -------------------------------------------------------------------------
 
-      img.onload = () => {
-        clearTimeout(timeout);
-        resolve({ width: img.naturalWidth, height: img.naturalHeight });
+  /**
+   * Resolve collection items against the manifest for display
+   * @param {Object} collection - The collection to display
+   * @returns {Object[]}
+   */
+  #prepareCollectionItems(collection) {
+    return collection.items.map(item => {
+      const { location, flavor, flavorIndex, fileIndex, file, fileLabel, missing } = resolveCollectionItem(this.#manifest, item);
+      return {
+        ...item,
+        key: getItemKey(item),
+        missing,
+        title: location?.title || item.locationId,
+        thumbnail: location ? getThumbnailUrl(location) : 'icons/svg/mystery-man.svg',
+        flavorLabel: flavor?.display_name || item.flavorName,
+        fileLabel,
+        animated: file?.animated,
+        flavorIndex,
+        fileIndex,
+        isBeneosFile: !!(item.fileType && flavor),
+        isFile: fileIndex >= 0
       };
+    });
+  }
 
-      img.onerror = () => {
-        clearTimeout(timeout);
-        reject(new Error('Failed to load image'));
-      };
+  // -------------------------------------------------------------------------
+  // History
+  // -------------------------------------------------------------------------
 
-      img.src = url;
+  /**
+   * The "Recent" strip - maps last created or activated, one per file
+   * @returns {Object[]}
+   */
+  #prepareRecentMaps() {
+    return getRecentMaps().flatMap(entry => {
+      const location = this.#manifest?.locations.find(l => l.id === entry.locationId);
+      if (!location) return [];
+      const flavor = location.flavors?.find(f => f.name === entry.flavorName);
+      return [{
+        ...entry,
+        title: location.title,
+        detail: entry.sceneName,
+        thumbnail: this.#getVariantThumbUrl(entry.locationId, entry.flavorName, entry.filename) ?? getThumbnailUrl(location),
+        icon: entry.action === 'activated' ? 'fa-bullseye' : 'fa-plus',
+        when: game.i18n.format(entry.action === 'activated' ? 'MAP_BROWSER.RecentActivated' : 'MAP_BROWSER.RecentCreated', {
+          time: foundry.utils.timeSince(entry.date)
+        }),
+        flavorLabel: flavor?.display_name || entry.flavorName
+      }];
     });
   }
 
   /**
-   * Load a video to get its dimensions
-   * @param {string} url - The video URL
-   * @returns {Promise<{width: number, height: number}>}
+   * The world inventory view - every map browser scene, grouped by location
+   * @returns {{groups: Object[], sceneCount: number, orphanedCount: number}}
    */
-  async #loadVideoDimensions(url) {
-    return new Promise((resolve, reject) => {
-      const video = document.createElement('video');
-      video.crossOrigin = 'anonymous';
-      video.preload = 'metadata';
-
-      const timeout = setTimeout(() => {
-        video.src = '';
-        reject(new Error('Video metadata load timeout'));
-      }, 30000); // 30 second timeout
-
-      video.onloadedmetadata = () => {
-        clearTimeout(timeout);
-        resolve({ width: video.videoWidth, height: video.videoHeight });
-        video.src = ''; // Clean up
-      };
-
-      video.onerror = () => {
-        clearTimeout(timeout);
-        reject(new Error('Failed to load video metadata'));
-      };
+  #prepareInventory() {
+    const groups = getWorldInventory(this.#manifest).map(({ locationId, location, orphaned, scenes }) => ({
+      locationId,
+      orphaned,
+      title: location?.title || locationId,
+      thumbnail: location ? getThumbnailUrl(location) : 'icons/svg/mystery-man.svg',
+      scenes: scenes.map(({ scene, flavor, lastUsed }) => ({
+        id: scene.id,
+        name: scene.name,
+        active: scene.active,
+        flavorLabel: flavor?.display_name || scene.flags[MODULE_ID].flavorName,
+        lastUsed: lastUsed ? foundry.utils.timeSince(lastUsed) : null
+      }))
+    }));
+    return {
+      groups,
+      sceneCount: groups.reduce((sum, group) => sum + group.scenes.length, 0),
+      orphanedCount: groups.filter(group => group.orphaned).length
+    };
+  }
 
-      video.src = url;
-    });
+  /**
+   * Read the collection item described by a star button's data attributes
+   * @param {DOMStringMap} dataset - { locationId, flavorIndex?, fileIndex?, fileType? }
+   * @returns {Object|null}
+   */
+  #getStarItem(dataset) {
+    const location = this.#manifest?.locations.find(l => l.id === dataset.locationId);
+    if (!location) return null;
+    const flavor = dataset.flavorIndex !== undefined ? location.flavors?.[parseInt(dataset.flavorIndex)] : null;
+    const file = flavor && dataset.fileIndex !== undefined ? flavor.files?.[parseInt(dataset.fileIndex)] : null;
+    return {
+      locationId: location.id,
+      flavorName: flavor?.name,
+      filename: file?.filename,
+      fileType: dataset.fileType
+    };
   }
 
   /**
-   * Load media dimensions (image or video)
-   * @param {string} url - The media URL
-   * @param {boolean} isVideo - Whether the media is a video
-   * @returns {Promise<{width: number, height: number}>}
+   * Ask for a collection name
+   * @param {string} title - Dialog title
+   * @param {string} [value] - Pre-filled name
+   * @returns {Promise<string|null>}
    */
-  async #loadMediaDimensions(url, isVideo = false) {
-    if (isVideo) {
-      return this.#loadVideoDimensions(url);
-    }
-    return this.#loadImageDimensions(url);
+  async #promptCollectionName(title, value = '') {
+    const name = await foundry.applications.api.DialogV2.prompt({
+      window: { title },
+      content: `<input type="text" name="name" value="${foundry.utils.escapeHTML(value)}" autofocus>`,
+      ok: { callback: (event, button) => button.form.elements.name.value }
+    }).catch(() => null);
+    return name?.trim() || null;
   }
 
   // -------------------------------------------------------------------------
-  // Event Handling
+  // Curation
   // -------------------------------------------------------------------------
 
-  _onRender(context, options) {
-    const html = this.element;
-
-    // Search input with debounce
-    const searchInput = html.querySelector('[name="search"]');
-    let searchTimeout;
-    searchInput?.addEventListener('input', (ev) => {
-      clearTimeout(searchTimeout);
-      const cursorPos = ev.target.selectionStart;
-      searchTimeout = setTimeout(() => {
-        this.#searchQuery = ev.target.value;
-        this.#cursorPosition = cursorPos;
-        this.render();
-      }, 500); // Longer debounce for smoother typing
-    });
+  /**
+   * Hidden flavors and files of a location, labelled for the unhide list
+   */
+  #getHiddenEntries(location) {
+    return getHiddenEntries(location.id).map(entry => ({
+      ...entry,
+      label: entry.filename
+        ? `${entry.displayName || entry.flavorName} / ${entry.filename}`
+        : entry.displayName || entry.flavorName
+    }));
+  }
 
-    // Restore cursor position after render
-    if (searchInput && this.#cursorPosition !== undefined) {
-      searchInput.focus();
-      searchInput.setSelectionRange(this.#cursorPosition, this.#cursorPosition);
-    } else if (searchInput && !this.#searchQuery) {
-      searchInput.focus();
-    }
+  #activateCurationListeners(html) {
+    const findTarget = (dataset) => {
+      const location = this.#manifest.locations.find(l => l.id === dataset.locationId);
+      const flavor = dataset.flavorIndex !== undefined ? location?.flavors[Number(dataset.flavorIndex)] : null;
+      return { location, flavor };
+    };
 
-    // Animated toggle
-    const animatedToggle = html.querySelector('[data-action="toggle-animated"]');
-    animatedToggle?.addEventListener('click', () => {
-      this.#showAnimatedOnly = !this.#showAnimatedOnly;
-      this.render();
+    html.querySelector('[data-action="toggle-curate"]')?.addEventListener('click', () => {
+      this.#curating = !this.#curating;
+      this.#renderResults();
     });
 
-    // Location card click → expand/collapse
-    html.querySelectorAll('[data-action="toggle-location"]').forEach(el => {
-      el.addEventListener('click', (ev) => {
-        const locationId = ev.currentTarget.dataset.locationId;
-        const grid = html.querySelector('.locations-grid');
-
-        // Save scroll position
-        this.#scrollPosition = grid?.scrollTop || 0;
-
-        // Toggle expansion
-        const wasExpanded = this.#expandedLocation === locationId;
-        this.#expandedLocation = wasExpanded ? null : locationId;
+    html.querySelector('[data-action="export-curation"]')?.addEventListener('click', () => exportCuration());
 
-        // Mark that we should scroll to the expanded card
-        this.#shouldScrollToExpanded = !wasExpanded;
+    const importInput = html.querySelector('[name="importCuration"]');
+    html.querySelector('[data-action="import-curation"]')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', async (ev) => {
+      const file = ev.target.files?.[0];
+      if (!file) return;
+      try {
+        const count = await importCuration(await foundry.utils.readTextFromFile(file));
+        ui.notifications.info(game.i18n.format('MAP_BROWSER.CurationImported', { count }));
+      } catch (err) {
+        console.error(`${MODULE_ID} | Failed to import curation:`, err);
+        ui.notifications.error(`${game.i18n.localize('MAP_BROWSER.CurationImportFailed')}: ${err.message}`);
+      }
+    });
 
-        this.render();
+    html.querySelectorAll('[data-action="rename-flavor"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        ev.stopPropagation();
+        const { location, flavor } = findTarget(ev.currentTarget.dataset);
+        if (!flavor) return;
+        const name = await foundry.applications.api.DialogV2.prompt({
+          window: { title: game.i18n.localize('MAP_BROWSER.RenameFlavor') },
+          content: `<p class="hint">${game.i18n.format('MAP_BROWSER.RenameFlavorHint', { name: foundry.utils.escapeHTML(flavor.name) })}</p>
+            <input type="text" name="name" value="${foundry.utils.escapeHTML(flavor.display_name)}" autofocus>`,
+          ok: { callback: (event, button) => button.form.elements.name.value }
+        }).catch(() => null);
+        if (name === null || name === undefined) return;
+        await setFlavorName(location.id, flavor.name, name === flavor.name ? '' : name);
       });
     });
 
-    // Create scene button (Czepeku)
-    html.querySelectorAll('[data-action="create-scene"]').forEach(el => {
+    html.querySelectorAll('[data-action="edit-tags"]').forEach(el => {
       el.addEventListener('click', async (ev) => {
         ev.stopPropagation();
-        const { locationId, flavorIndex, fileIndex } = ev.currentTarget.dataset;
-
-        const location = this.#manifest.locations.find(l => l.id === locationId);
-        const flavor = location?.flavors[parseInt(flavorIndex)];
-        const file = flavor?.files[parseInt(fileIndex)];
-
-        if (location && flavor && file) {
-          await this.#createScene(location, flavor, file);
-        }
+        const { location, flavor } = findTarget(ev.currentTarget.dataset);
+        const target = flavor ?? location;
+        if (!target) return;
+        const tags = await foundry.applications.api.DialogV2.prompt({
+          window: { title: game.i18n.format('MAP_BROWSER.EditTags', { name: target.display_name ?? target.title }) },
+          content: `<p class="hint">${game.i18n.localize('MAP_BROWSER.EditTagsHint')}</p>
+            <input type="text" name="tags" value="${foundry.utils.escapeHTML((target.smart_tags || []).join(', '))}" autofocus>`,
+          ok: { callback: (event, button) => button.form.elements.tags.value }
+        }).catch(() => null);
+        if (tags === null || tags === undefined) return;
+        await setTags(location.id, flavor?.name ?? null, target.uncurated_tags ?? target.smart_tags ?? [], tags.split(','));
       });
     });
 
-    // Create Beneos scene button (Scenery/Battlemap)
-    const beneosButtons = html.querySelectorAll('[data-action="create-beneos-scene"]');
-    console.log(`${MODULE_ID} | Found ${beneosButtons.length} Beneos scene buttons`);
-
-    beneosButtons.forEach(el => {
+    html.querySelectorAll('[data-action="hide-flavor"]').forEach(el => {
       el.addEventListener('click', async (ev) => {
         ev.stopPropagation();
-        const { locationId, flavorIndex, fileType } = ev.currentTarget.dataset;
-        console.log(`${MODULE_ID} | Beneos button clicked:`, { locationId, flavorIndex, fileType });
-
-        const location = this.#manifest.locations.find(l => l.id === locationId);
-        const flavor = location?.flavors[parseInt(flavorIndex)];
-        console.log(`${MODULE_ID} | Found location:`, location?.title, 'flavor:', flavor?.display_name);
+        const { location, flavor } = findTarget(ev.currentTarget.dataset);
+        if (flavor) await setHidden(location.id, flavor.name, null, true);
+      });
+    });
 
-        if (location && flavor) {
-          await this.#createBeneosScene(location, flavor, fileType);
-        } else {
-          console.error(`${MODULE_ID} | Could not find location or flavor!`, { location, flavor });
-        }
+    // Czepeku: one file; Beneos: every file behind the scenery/battlemap button
+    html.querySelectorAll('[data-action="hide-file"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        ev.stopPropagation();
+        const { fileIndex, fileType } = ev.currentTarget.dataset;
+        const { location, flavor } = findTarget(ev.currentTarget.dataset);
+        if (!flavor) return;
+        const files = fileType
+          ? (fileType === 'scenery' ? flavor.scenery_files : flavor.battlemap_files)
+          : [flavor.files?.[Number(fileIndex)]];
+        const filenames = (files || []).filter(Boolean).map(file => file.filename);
+        if (filenames.length) await setHidden(location.id, flavor.name, filenames, true);
       });
     });
 
-    // Handle thumbnail errors - show placeholder
-    html.querySelectorAll('.location-thumbnail').forEach(img => {
-      img.addEventListener('error', () => {
-        img.src = 'icons/svg/mystery-man.svg';
+    html.querySelectorAll('[data-action="unhide"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        ev.stopPropagation();
+        const { locationId, flavorName, filename } = ev.currentTarget.dataset;
+        await setHidden(locationId, flavorName, filename ? [filename] : null, false);
       });
     });
+  }
 
-    // Hover-to-enlarge for thumbnails - creates overlay on hover (with 500ms delay)
-    let previewOverlay = null;
-    let previewTimeout = null;
+  // -------------------------------------------------------------------------
+  // Grouping
+  // -------------------------------------------------------------------------
 
-    const showPreview = (img) => {
-      if (previewOverlay) return;
+  /**
+   * Split locations into sections for the current browsing mode
+   * @param {Object[]} locations - Locations (already filtered and ranked)
+   * @returns {{key: string, label: string|null, count: number, collapsed: boolean, locations: Object[]}[]}
+   */
+  #groupLocations(locations) {
+    if (this.#groupBy === 'none') {
+      return [{ key: 'all', label: null, count: locations.length, collapsed: false, locations }];
+    }
 
-      previewOverlay = document.createElement('img');
-      previewOverlay.className = 'thumbnail-preview-overlay';
-      previewOverlay.src = img.src;
-      document.body.appendChild(previewOverlay);
-    };
+    const groups = new Map();
+    for (const loc of locations) {
+      const key = this.#getGroupKey(loc);
+      if (!groups.has(key)) groups.set(key, []);
+      groups.get(key).push(loc);
+    }
 
-    const hidePreview = () => {
-      // Cancel pending preview
-      if (previewTimeout) {
-        clearTimeout(previewTimeout);
-        previewTimeout = null;
-      }
-      // Remove existing preview
-      if (previewOverlay) {
-        previewOverlay.remove();
-        previewOverlay = null;
-      }
-    };
+    const order = this.#groupBy === 'source' ? SOURCE_ORDER : this.#groupBy === 'setting' ? SETTING_ORDER : [];
+    const rank = key => (order.includes(key) ? order.indexOf(key) : order.length);
+
+    return [...groups.entries()]
+      .sort(([a, locsA], [b, locsB]) => rank(a) - rank(b) || locsB.length - locsA.length || a.localeCompare(b))
+      .map(([key, locs]) => ({
+        key,
+        label: this.#getGroupLabel(key),
+        count: locs.length,
+        collapsed: this.#collapsedGroups.has(`${this.#groupBy}:${key}`),
+        locations: locs
+      }));
+  }
 
-    const schedulePreview = (img) => {
-      hidePreview(); // Clear any existing
-      previewTimeout = setTimeout(() => showPreview(img), 500);
-    };
+  #getGroupKey(location) {
+    switch (this.#groupBy) {
+      case 'source': return getLocationSource(location);
+      case 'setting': return location.setting || 'generic';
+      case 'tag': return location.smart_tags?.[0] || 'untagged';
+      default: return 'all';
+    }
+  }
 
-    // Add hover handlers for location thumbnails
-    html.querySelectorAll('.location-thumbnail').forEach(img => {
-      img.addEventListener('mouseenter', () => schedulePreview(img));
-      img.addEventListener('mouseleave', hidePreview);
-    });
-
-    // Add hover handlers for variant thumbnails
-    html.querySelectorAll('.variant-thumbnail').forEach(img => {
-      img.addEventListener('mouseenter', () => schedulePreview(img));
-      img.addEventListener('mouseleave', hidePreview);
-    });
-
-    // Restore scroll position or scroll to expanded card
-    const grid = html.querySelector('.locations-grid');
-    if (grid) {
-      if (this.#shouldScrollToExpanded && this.#expandedLocation) {
-        // Find the expanded card and scroll to it
-        const expandedCard = html.querySelector(`.location-card.expanded`);
-        if (expandedCard) {
-          // Use setTimeout to ensure DOM is fully rendered
-          setTimeout(() => {
-            expandedCard.scrollIntoView({ behavior: 'instant', block: 'start' });
-            // Add a small offset so the card isn't at the very top
-            grid.scrollTop = Math.max(0, grid.scrollTop - 10);
-          }, 10);
+  #getGroupLabel(key) {
+    // Publisher keys of add-on packs default to the pack ID
+    if (this.#groupBy === 'source' && this.#manifest?.packs?.some(pack => pack.id === key)) {
+      return this.#getPackLabel(key);
+    }
+    const i18nKey = this.#groupBy === 'source' ? `MAP_BROWSER.Sources.${key}`
+      : this.#groupBy === 'setting' ? `MAP_BROWSER.Settings.${key}`
+      : null;
+    if (i18nKey && game.i18n.has(i18nKey)) return game.i18n.localize(i18nKey);
+    if (this.#groupBy === 'tag') {
+      return key === 'untagged' ? game.i18n.localize('MAP_BROWSER.Untagged') : getTagLabel(key).capitalize();
+    }
+    return key.split('-').map(word => word.charAt(0).toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  // -------------------------------------------------------------------------
+  // Tag Facets
+  // -------------------------------------------------------------------------
+
+  /**
+   * Get the effective tags of a flavor (location tags + flavor tags)
+   * @param {Object} location - The location data
+   * @param {Object} flavor - The flavor data
+   * @returns {Set<string>}
+   */
+  #getFlavorTags(location, flavor) {
+    return new Set([...(location.smart_tags || []), ...(flavor.smart_tags || [])]);
+  }
+
+  /**
+   * Count on how many locations each tag appears (on the location or any matching flavor)
+   * @param {Object[]} locations - The locations to count
+   * @param {Map<string, number[]>} matchingFlavors - Flavor indices per location id narrowed by search or facets
+   * @returns {Map<string, number>}
+   */
+  #countTags(locations, matchingFlavors) {
+    const counts = new Map();
+    for (const loc of locations) {
+      const tags = new Set(loc.smart_tags || []);
+      const indices = matchingFlavors.get(loc.id);
+      loc.flavors?.forEach((f, index) => {
+        if (f.hidden || (indices && !indices.includes(index))) return;
+        f.smart_tags?.forEach(tag => tags.add(tag));
+      });
+      tags.forEach(tag => counts.set(tag, (counts.get(tag) || 0) + 1));
+    }
+    return counts;
+  }
+
+  /**
+   * Check a tag set against the active include/exclude facets
+   * @param {Set<string>} tags - The tags to check
+   * @returns {boolean}
+   */
+  #matchesTagFilters(tags) {
+    const included = [];
+    for (const [tag, state] of this.#tagFilters) {
+      if (state === 'exclude' && tags.has(tag)) return false;
+      if (state === 'include') included.push(tag);
+    }
+    if (included.length === 0) return true;
+    return this.#tagFilterMode === 'and'
+      ? included.every(tag => tags.has(tag))
+      : included.some(tag => tags.has(tag));
+  }
+
+  async #loadManifest() {
+    this.#loading = true;
+    try {
+      this.#manifest = await loadManifest();
+      console.log(`${MODULE_ID} | Loaded manifest: ${this.#manifest.total_locations} locations`);
+
+      // Load variant thumbnail mapping
+      try {
+        const mappingResponse = await fetch(`modules/${MODULE_ID}/data/variant-thumbs/_mapping.json`);
+        if (mappingResponse.ok) {
+          const { mapping, issues } = validateVariantMapping(await mappingResponse.json());
+          warnIssues('_mapping.json', issues);
+          this.#variantMapping = mapping;
+          console.log(`${MODULE_ID} | Loaded variant mapping: ${Object.keys(this.#variantMapping).length} entries`);
         }
-        this.#shouldScrollToExpanded = false;
-      } else if (this.#scrollPosition > 0) {
-        // Restore previous scroll position
-        grid.scrollTop = this.#scrollPosition;
+      } catch (e) {
+        console.log(`${MODULE_ID} | No variant mapping found`);
       }
+
+      this.#tagVocabulary = await loadTagVocabulary(this.#manifest);
+    } catch (err) {
+      console.error(`${MODULE_ID} | Failed to load manifest:`, err);
+      ui.notifications.error(game.i18n.localize('MAP_BROWSER.ManifestLoadFailed'));
+      this.#manifest = { locations: [], total_locations: 0, total_flavors: 0, total_files: 0 };
     }
+    this.#loading = false;
   }
-}
 
-// ============================================================================
-// Module Initialization
-// ============================================================================
+  /**
+   * Packs for the stats header - only worth showing once there is more than one
+   */
+  #getPackSummaries() {
+    const packs = this.#manifest?.packs || [];
+    if (packs.length < 2 && !packs.some(pack => pack.error)) return [];
+    return packs.map(pack => ({
+      ...pack,
+      label: game.i18n.localize(pack.label),
+      hint: pack.error
+        ? game.i18n.format('MAP_BROWSER.PackFailed', { error: pack.error })
+        : game.i18n.format('MAP_BROWSER.PackStats', { locations: pack.locations, flavors: pack.flavors, files: pack.files })
+    }));
+  }
 
-Hooks.once('init', () => {
-  console.log(`${MODULE_ID} | Initializing Cze & Peku Map Browser`);
-});
+  /**
+   * Problems found while loading the packs, for the GM's health button
+   */
+  #getHealthBadge() {
+    if (!game.user.isGM) return {};
+    const issues = (this.#manifest?.issues || []).filter(issue => issue.level !== 'info');
+    const failedPacks = (this.#manifest?.packs || []).filter(pack => pack.error).length;
+    return {
+      healthIssues: issues.length + failedPacks,
+      healthErrors: failedPacks > 0 || issues.some(issue => issue.level === 'error')
+    };
+  }
 
-Hooks.once('ready', () => {
-  console.log(`${MODULE_ID} | Ready`);
+  #getPackLabel(packId) {
+    const pack = this.#manifest?.packs?.find(p => p.id === packId);
+    return pack ? game.i18n.localize(pack.label) : packId;
+  }
 
-  // Expose global API
-  globalThis.MapBrowser = {
-    open: () => {
-      if (MapBrowserApp.instance?.rendered) {
-        MapBrowserApp.instance.bringToFront();
-      } else {
-        new MapBrowserApp().render(true);
+  #getVariantThumbUrl(locationId, flavorName, filename) {
+    if (!this.#variantMapping) return null;
+    const key = `${locationId}|${flavorName}|${filename}`;
+    const variantId = this.#variantMapping[key];
+    if (variantId) {
+      return `modules/${MODULE_ID}/data/variant-thumbs/${variantId}.webp`;
+    }
+    return null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Lightbox
+  // -------------------------------------------------------------------------
+
+  /**
+   * Open the lightbox for a location, replacing any open one
+   * @param {Object} location - The location data
+   * @param {Object} [start] - { flavorIndex, fileIndex, fileType } to show first
+   */
+  async #openLightbox(location, start = {}) {
+    await foundry.applications.instances.get('map-browser-lightbox')?.close();
+    new MapLightbox({
+      manifest: this.#manifest,
+      location,
+      ...start,
+      thumbnail: getThumbnailUrl(location),
+      onCreate: (flavor, file, fileType) => (fileType
+        ? this.#createBeneosScene(location, flavor, fileType)
+        : this.#createScene(location, flavor, file)),
+      onShare: (flavor, file, fileType) => this.#showToPlayers(location, flavor, file, fileType)
+    }).render(true);
+  }
+
+  // -------------------------------------------------------------------------
+  // Show to Players
+  // -------------------------------------------------------------------------
+
+  /**
+   * Ask which players should see a file, then put it on their screens
+   * @param {Object} location - The location data
+   * @param {Object} flavor - The flavor data
+   * @param {Object} file - The file data
+   * @param {string} [fileType] - Beneos: 'scenery' or 'battlemap'
+   */
+  async #showToPlayers(location, flavor, file, fileType) {
+    const job = getSceneJob(this.#manifest, location, flavor, file, fileType);
+    if (!job.mediaUrl) {
+      ui.notifications.error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
+      return;
+    }
+
+    const target = await promptShareTargets(job.sceneName);
+    if (!target) return;
+    const userIds = showMedia({ url: job.mediaUrl, title: job.sceneName, isVideo: job.isVideo }, target);
+    ui.notifications.info(userIds
+      ? game.i18n.format('MAP_BROWSER.ShownToPlayers', { name: job.sceneName, count: userIds.length })
+      : game.i18n.format('MAP_BROWSER.ShownToAll', { name: job.sceneName }));
+  }
+
+  // -------------------------------------------------------------------------
+  // Scene Creation
+  // -------------------------------------------------------------------------
+
+  /**
+   * Create a single scene and offer to activate it
+   * @param {Object} job - From getSceneJob()
+   */
+  async #createSceneFromJob(job) {
+    // No media backend configured for this location
+    if (!job.mediaUrl) {
+      ui.notifications.error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
+      return;
+    }
+
+    // Offer the scenes that already exist for this file instead of silently duplicating
+    const existing = findExistingScenes(job.flags);
+    if (existing.length > 0) {
+      const choice = await this.#promptExistingScene(job, existing);
+      if (choice?.action !== 'duplicate') {
+        const scene = game.scenes.get(choice?.sceneId);
+        if (choice?.action === 'view') await scene?.view();
+        if (choice?.action === 'activate' && scene) await activateScene(scene);
+        return;
       }
-    },
+    }
+
+    const { created: [scene] } = await createScenes([job]);
+    if (!scene) return;
+    if (this.#makeLocal) await makeScenesLocal([scene]);
+
+    // Ask to activate
+    const activate = await Dialog.confirm({
+      title: game.i18n.localize('MAP_BROWSER.SceneCreated'),
+      content: `<p>${game.i18n.localize('MAP_BROWSER.ActivateScene')}</p>`,
+      yes: () => true,
+      no: () => false
+    });
+
+    if (activate && scene.activate) {
+      await activateScene(scene);
+    }
+  }
+
+  /**
+   * Ask what to do when a file already has scenes in the world
+   * @param {Object} job - From getSceneJob()
+   * @param {Scene[]} existing - Scenes with matching flags
+   * @returns {Promise<{action: 'view'|'activate'|'duplicate', sceneId: string}|null>} null if cancelled
+   */
+  async #promptExistingScene(job, existing) {
+    const escape = foundry.utils.escapeHTML;
+    const options = existing
+      .map(scene => `<option value="${scene.id}">${escape(scene.name)}${scene.active ? ' ★' : ''}</option>`)
+      .join('');
+    const content = `
+      <p>${game.i18n.format('MAP_BROWSER.ExistingScenes', { name: escape(job.sceneName), count: existing.length })}</p>
+      <select name="sceneId" ${existing.length === 1 ? 'hidden' : ''}>${options}</select>`;
+    const choose = action => (event, button) => ({ action, sceneId: button.form.elements.sceneId.value });
+
+    return foundry.applications.api.DialogV2.wait({
+      window: { title: game.i18n.localize('MAP_BROWSER.ExistingScenesTitle') },
+      content,
+      buttons: [
+        { action: 'view', label: game.i18n.localize('MAP_BROWSER.ViewScene'), icon: 'fas fa-eye', default: true, callback: choose('view') },
+        { action: 'activate', label: game.i18n.localize('MAP_BROWSER.ActivateExisting'), icon: 'fas fa-bullseye', callback: choose('activate') },
+        { action: 'duplicate', label: game.i18n.localize('MAP_BROWSER.CreateDuplicate'), icon: 'fas fa-copy', callback: choose('duplicate') }
+      ],
+      rejectClose: false
+    });
+  }
+
+  /**
+   * Create a Scene from a Czepeku file
+   * @param {Object} location - The location data
+   * @param {Object} flavor - The flavor data
+   * @param {Object} file - The file data
+   */
+  async #createScene(location, flavor, file) {
+    await this.#createSceneFromJob(getSceneJob(this.#manifest, location, flavor, file));
+  }
+
+  /**
+   * Create a Scene from a Beneos map (Scenery or Battlemap)
+   * @param {Object} location - The location data
+   * @param {Object} flavor - The flavor (subfolder) data
+   * @param {string} fileType - 'scenery' or 'battlemap'
+   */
+  async #createBeneosScene(location, flavor, fileType) {
+    const file = getBeneosFile(flavor, fileType);
+    if (!file) {
+      const type = game.i18n.localize(fileType === 'scenery' ? 'MAP_BROWSER.Scenery' : 'MAP_BROWSER.Battlemap');
+      ui.notifications.warn(game.i18n.format('MAP_BROWSER.NoBeneosFiles', { type }));
+      return;
+    }
+    await this.#createSceneFromJob(getSceneJob(this.#manifest, location, flavor, file, fileType));
+  }
+
+  /**
+   * Create several scenes of one location in a single operation.
+   * Scenes go into a folder named after the location; the progress dialog
+   * replaces the per-scene notifications and stays open as the summary.
+   * @param {Object} location - The location data
+   * @param {{flavor: Object, file: Object, fileType: string|null}[]} selections - What to create
+   * @returns {Promise<{created: Scene[], failed: {job: Object, error: string}[]}>}
+   */
+  async #createScenesBatch(location, selections) {
+    if (!hasMediaSource(this.#manifest, location)) {
+      ui.notifications.error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
+      return { created: [], failed: [] };
+    }
+
+    // Ask once whether to skip the maps that already have scenes
+    const jobs = selections.map(({ flavor, file, fileType }) => getSceneJob(this.#manifest, location, flavor, file, fileType));
+    const duplicates = jobs.filter(job => findExistingScenes(job.flags).length > 0);
+    let skipped = [];
+    if (duplicates.length > 0) {
+      const choice = await foundry.applications.api.DialogV2.wait({
+        window: { title: game.i18n.localize('MAP_BROWSER.ExistingScenesTitle') },
+        content: `<p>${game.i18n.format('MAP_BROWSER.BatchExisting', { count: duplicates.length, total: jobs.length })}</p>`,
+        buttons: [
+          { action: 'skip', label: game.i18n.localize('MAP_BROWSER.SkipExisting'), icon: 'fas fa-forward', default: true },
+          { action: 'duplicate', label: game.i18n.localize('MAP_BROWSER.CreateDuplicates'), icon: 'fas fa-copy' }
+        ],
+        rejectClose: false
+      });
+      if (!choice) return { created: [], failed: [] };
+      if (choice === 'skip') skipped = duplicates;
+    }
+    const todo = jobs.filter(job => !skipped.includes(job));
+
+    const { created, failed } = await createScenes(todo, { skipped, locationFolder: location });
+    if (this.#makeLocal && created.length) await makeScenesLocal(created);
+    return { created, failed };
+  }
+
+  // -------------------------------------------------------------------------
+  // Event Handling
+  // -------------------------------------------------------------------------
 
-    /**
-     * Create a scene directly from a location ID
-     * @param {string} locationId - The location ID (e.g., "beneos-ashur-fire-temple")
-     * @returns {Promise<Scene|null>} The created scene or null on failure
-     */
-    createSceneFromLocation: async (locationId) => {
+  _onRender(context, options) {
+    // Wire up each re-rendered part; cards are wired up by the grid as it builds them
+    for (const partId of options.parts) {
+      const part = this.element.querySelector(`[data-application-part="${partId}"]`);
+      if (part) this.#activateListeners(part);
+    }
+
+    if (options.parts.includes('results')) {
+      const scroller = this.element.querySelector('.locations-scroll');
+      if (scroller) this.#grid.mount(scroller);
+      else this.#grid.unmount();
+    }
+    this.#syncGrid();
+
+    const emptyState = this.element.querySelector('.locations-scroll .empty-state');
+    if (emptyState) emptyState.style.display = context.resultCount ? 'none' : '';
+  }
+
+  async close(options) {
+    this.#hidePreview();
+    this.#grid.unmount();
+    return super.close(options);
+  }
+
+  // Only status and facets re-render while typing, so the search field keeps focus and cursor
+  #onSearch = foundry.utils.debounce(value => {
+    this.#searchQuery = value;
+    this.#renderResults(false);
+  }, 150);
+
+  /**
+   * Parts whose content depends on the filters (the grid follows in _onRender)
+   * @param {boolean} [header=true] - Also the header; false while typing in the search field
+   */
+  #renderResults(header = true) {
+    return this.render({ parts: header ? ['header', 'status', 'facets'] : ['status', 'facets'] });
+  }
+
+  /**
+   * Attach listeners inside a part or a location card
+   * @param {HTMLElement} html
+   */
+  #activateListeners(html) {
+    // Search input with debounce
+    const searchInput = html.querySelector('[name="search"]');
+    searchInput?.addEventListener('input', (ev) => this.#onSearch(ev.target.value));
+    // Not while navigating the grid: starring from the keyboard re-renders the header
+    if (searchInput && !this.#searchQuery && !this.element.contains(document.activeElement)) searchInput.focus();
+
+    html.querySelector('[data-action="clear-search"]')?.addEventListener('click', () => {
+      this.#searchQuery = '';
+      this.#renderResults();
+    });
+
+    // Animated toggle
+    const animatedToggle = html.querySelector('[data-action="toggle-animated"]');
+    animatedToggle?.addEventListener('click', () => {
+      this.#showAnimatedOnly = !this.#showAnimatedOnly;
+      this.#renderResults();
+    });
+
+    html.querySelector('[data-action="open-health"]')?.addEventListener('click', () => openHealthPanel());
+    html.querySelector('[data-action="surprise"]')?.addEventListener('click', () => this.openSurprise());
+
+    // Download new scenes into the Data folder
+    html.querySelector('[data-action="toggle-make-local"]')?.addEventListener('click', () => {
+      this.#makeLocal = !this.#makeLocal;
+      this.render({ parts: ['header'] });
+    });
+
+    // Switch between browser and collections view
+    html.querySelector('[data-action="toggle-view"]')?.addEventListener('click', () => {
+      this.#view = this.#view === 'collections' ? 'browse' : 'collections';
+      this.render();
+    });
+
+    // Switch between browser and world inventory
+    html.querySelector('[data-action="toggle-inventory"]')?.addEventListener('click', () => {
+      this.#view = this.#view === 'inventory' ? 'browse' : 'inventory';
+      this.render();
+    });
+
+    // Recent strip and world inventory: go to an existing scene
+    html.querySelectorAll('[data-action="view-scene"], [data-action="activate-scene"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        const { action, sceneId } = ev.currentTarget.dataset;
+        const scene = game.scenes.get(sceneId);
+        if (!scene) return;
+        if (action === 'activate-scene') await activateScene(scene);
+        else await scene.view();
+      });
+    });
+
+    // Star buttons → add to / remove from the active collection
+    html.querySelectorAll('[data-action="toggle-star"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        ev.stopPropagation();
+        const item = this.#getStarItem(ev.currentTarget.dataset);
+        if (!item) return;
+        await toggleStar(item);
+        // The header shows the collection size; the starred card follows in _onRender
+        this.render({ parts: this.#view === 'browse' ? ['header'] : ['header', 'results'] });
+      });
+    });
+
+    // Collections view: pick the active list
+    html.querySelector('[name="activeCollection"]')?.addEventListener('change', async (ev) => {
+      await setActiveCollection(ev.target.value);
+      this.render();
+    });
+
+    html.querySelector('[data-action="create-collection"]')?.addEventListener('click', async () => {
+      const name = await this.#promptCollectionName(game.i18n.localize('MAP_BROWSER.NewCollection'));
+      if (!name) return;
+      await createCollection(name);
+      this.render();
+    });
+
+    html.querySelector('[data-action="rename-collection"]')?.addEventListener('click', async (ev) => {
+      const { collectionId, collectionName } = ev.currentTarget.dataset;
+      const name = await this.#promptCollectionName(game.i18n.localize('MAP_BROWSER.RenameCollection'), collectionName);
+      if (!name) return;
+      await renameCollection(collectionId, name);
+      this.render();
+    });
+
+    html.querySelector('[data-action="delete-collection"]')?.addEventListener('click', async (ev) => {
+      const { collectionId, collectionName } = ev.currentTarget.dataset;
+      const confirmed = await foundry.applications.api.DialogV2.confirm({
+        window: { title: game.i18n.localize('MAP_BROWSER.DeleteCollection') },
+        content: `<p>${game.i18n.format('MAP_BROWSER.DeleteCollectionConfirm', { name: foundry.utils.escapeHTML(collectionName) })}</p>`
+      });
+      if (!confirmed) return;
+      await deleteCollection(collectionId);
+      this.render();
+    });
+
+    html.querySelector('[data-action="export-collection"]')?.addEventListener('click', (ev) => {
+      exportCollections(ev.currentTarget.dataset.collectionId);
+    });
+
+    // Let players see the collection in their read-only browser
+    html.querySelector('[data-action="share-collection"]')?.addEventListener('click', async (ev) => {
+      const { collectionId } = ev.currentTarget.dataset;
+      await setCollectionShared(collectionId, !isCollectionShared(collectionId));
+      this.render();
+    });
+
+    this.#activateCurationListeners(html);
+
+    const importInput = html.querySelector('[name="importCollections"]');
+    html.querySelector('[data-action="import-collections"]')?.addEventListener('click', () => importInput?.click());
+    importInput?.addEventListener('change', async (ev) => {
+      const file = ev.target.files?.[0];
+      if (!file) return;
       try {
-        // Load manifest
-        const manifestResponse = await fetch(`modules/${MODULE_ID}/data/map-manifest.json`);
-        if (!manifestResponse.ok) {
-          ui.notifications.error('Could not load map manifest');
-          return null;
+        const count = await importCollections(await foundry.utils.readTextFromFile(file));
+        ui.notifications.info(game.i18n.format('MAP_BROWSER.CollectionsImported', { count }));
+      } catch (err) {
+        console.error(`${MODULE_ID} | Failed to import collections:`, err);
+        ui.notifications.error(`${game.i18n.localize('MAP_BROWSER.CollectionsImportFailed')}: ${err.message}`);
+      }
+      this.render();
+    });
+
+    // Collections view: remove an item from the active list
+    html.querySelectorAll('[data-action="remove-collection-item"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        const { activeId } = getCollections();
+        const { locationId, flavorName, filename, fileType } = ev.currentTarget.dataset;
+        await removeFromCollection(activeId, {
+          locationId,
+          flavorName: flavorName || undefined,
+          filename: filename || undefined,
+          fileType: fileType || undefined
+        });
+        this.render();
+      });
+    });
+
+    // Collections view: jump to the location in the browser
+    html.querySelectorAll('[data-action="show-location"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        const { locationId } = ev.currentTarget.dataset;
+        this.#view = 'browse';
+        this.#searchQuery = '';
+        this.#tagFilters.clear();
+        this.#showAnimatedOnly = false;
+        this.#expandedLocation = locationId;
+        this.#selection.clear();
+        await this.render();
+        this.#grid.scrollToKey(locationId);
+      });
+    });
+
+    // Browsing mode
+    html.querySelector('[name="groupBy"]')?.addEventListener('change', (ev) => {
+      this.#groupBy = ev.target.value;
+      this.#grid.scrollToTop();
+      this.#syncGrid();
+    });
+
+    // Group header click → collapse/expand section (the grid builds each header on its own)
+    const groupHeaders = html.matches('[data-action="toggle-group"]') ? [html] : html.querySelectorAll('[data-action="toggle-group"]');
+    groupHeaders.forEach(el => {
+      el.addEventListener('click', (ev) => {
+        const key = `${this.#groupBy}:${ev.currentTarget.dataset.groupKey}`;
+        if (this.#collapsedGroups.has(key)) {
+          this.#collapsedGroups.delete(key);
+        } else {
+          this.#collapsedGroups.add(key);
         }
-        const manifest = await manifestResponse.json();
+        this.#syncGrid();
+      });
+    });
+
+    // Facet sidebar: collapse/expand
+    html.querySelector('[data-action="toggle-facets"]')?.addEventListener('click', () => {
+      this.#showFacets = !this.#showFacets;
+      this.render({ parts: ['header', 'facets'] });
+    });
 
-        // Find location
-        const location = manifest.locations.find(loc => loc.id === locationId);
-        if (!location) {
-          ui.notifications.error(`Location not found: ${locationId}`);
-          return null;
+    // Facet sidebar: AND/OR combination
+    html.querySelector('[data-action="toggle-facet-mode"]')?.addEventListener('click', () => {
+      this.#tagFilterMode = this.#tagFilterMode === 'and' ? 'or' : 'and';
+      this.#renderResults();
+    });
+
+    // Facet sidebar: clear all tag filters
+    html.querySelector('[data-action="clear-facets"]')?.addEventListener('click', () => {
+      this.#tagFilters.clear();
+      this.#renderResults();
+    });
+
+    // Facet tag click → cycle none → include → exclude → none
+    html.querySelectorAll('[data-action="toggle-facet"]').forEach(el => {
+      el.addEventListener('click', (ev) => {
+        const tag = ev.currentTarget.dataset.tag;
+        const state = this.#tagFilters.get(tag);
+        if (!state) {
+          this.#tagFilters.set(tag, 'include');
+        } else if (state === 'include') {
+          this.#tagFilters.set(tag, 'exclude');
+        } else {
+          this.#tagFilters.delete(tag);
         }
+        this.#renderResults();
+      });
+    });
+
+    // Keyboard navigation; the grid container passes focus on to a card
+    const scroller = html.querySelector('.locations-scroll');
+    scroller?.addEventListener('focus', (ev) => this.#onGridFocus(ev));
+    scroller?.addEventListener('focusin', (ev) => this.#onStopFocus(ev));
+    scroller?.addEventListener('focusout', () => this.#hidePreview());
+    scroller?.addEventListener('keydown', (ev) => this.#onGridKeyDown(ev));
+
+    // Location card click → expand/collapse
+    html.querySelectorAll('[data-action="toggle-location"]').forEach(el => {
+      el.addEventListener('click', (ev) => this.#toggleLocation(ev.currentTarget.dataset.locationId));
+    });
+
+    // Create scene button (Czepeku)
+    html.querySelectorAll('[data-action="create-scene"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        ev.stopPropagation();
+        const { locationId, flavorIndex, fileIndex } = ev.currentTarget.dataset;
+
+        const location = this.#manifest.locations.find(l => l.id === locationId);
+        const flavor = location?.flavors[parseInt(flavorIndex)];
+        const file = flavor?.files[parseInt(fileIndex)];
 
-        // Get first flavor with files
-        const flavor = location.flavors?.[0];
-        if (!flavor) {
-          ui.notifications.error(`No map variants found for: ${location.title}`);
-          return null;
+        if (location && flavor && file) {
+          await this.#createScene(location, flavor, file);
         }
+      });
+    });
 
-        // Determine if this is a Beneos map (has scenery/battlemap files)
-        const isBeneos = flavor.scenery_files || flavor.battlemap_files;
-
-        let file, filePath, isVideo;
-
-        if (isBeneos) {
-          // Beneos map - prefer battlemap, then scenery
-          const files = flavor.battlemap_files || flavor.scenery_files || [];
-          file = files.find(f => f.animated) || files[0];
-          if (!file) {
-            ui.notifications.error(`No files found for: ${location.title}`);
-            return null;
-          }
-          filePath = `${location.beneos_path}/${flavor.name}/${file.filename}`;
-          isVideo = file.animated;
+    // Create Beneos scene button (Scenery/Battlemap)
+    html.querySelectorAll('[data-action="create-beneos-scene"]').forEach(el => {
+      el.addEventListener('click', async (ev) => {
+        ev.stopPropagation();
+        const { locationId, flavorIndex, fileType } = ev.currentTarget.dataset;
+
+        const location = this.#manifest.locations.find(l => l.id === locationId);
+        const flavor = location?.flavors[parseInt(flavorIndex)];
+
+        if (location && flavor) {
+          await this.#createBeneosScene(location, flavor, fileType);
         } else {
-          // Cze & Peku map - use flavor files
-          const files = flavor.files || [];
-          file = files.find(f => f.animated) || files.find(f => !f.animated) || files[0];
-          if (!file) {
-            ui.notifications.error(`No files found for: ${location.title}`);
-            return null;
-          }
-          filePath = location.files_in_root
-            ? `${location.folder_name}/${file.filename}`
-            : `${location.folder_name}/Maps/${file.filename}`;
-          isVideo = file.animated;
+          console.error(`${MODULE_ID} | Could not find location or flavor!`, { location, flavor });
         }
+      });
+    });
+
+    // Batch selection - tracked without re-rendering so the flavor panel keeps its scroll
+    const updateSelection = () => {
+      html.querySelectorAll('.batch-select').forEach(box => {
+        if (box.checked) this.#selection.add(box.dataset.selectKey);
+        else this.#selection.delete(box.dataset.selectKey);
+      });
+      const count = this.#selection.size;
+      html.querySelectorAll('.selection-count').forEach(el => { el.textContent = count; });
+      html.querySelectorAll('[data-action="create-selected"]').forEach(el => { el.disabled = count === 0; });
+    };
+    const setChecked = (boxes, checked) => {
+      boxes.forEach(box => { box.checked = checked; });
+      updateSelection();
+    };
 
-        // Build URL
-        const encodedPath = filePath.split('/').map(p => encodeURIComponent(p)).join('/');
-        const mediaUrl = manifest.worker_base_url
-          ? `${manifest.worker_base_url}/${encodedPath}`
-          : `${manifest.onedrive_api_base}/${encodedPath}:/content#${file.filename}`;
+    html.querySelectorAll('.batch-select').forEach(box => box.addEventListener('change', updateSelection));
 
-        // Build scene name
-        let sceneName = location.title;
-        if (flavor.name !== 'Original' && flavor.display_name) {
-          sceneName += ` - ${flavor.display_name}`;
-        }
+    html.querySelector('[data-action="select-all"]')?.addEventListener('change', (ev) => {
+      setChecked(html.querySelectorAll('.batch-select'), ev.target.checked);
+    });
 
-        ui.notifications.info(`Creating scene: ${sceneName}...`);
-
-        // Create scene with default dimensions (will be updated by Foundry)
-        const sceneData = {
-          name: sceneName,
-          width: 4096,
-          height: 4096,
-          backgroundColor: '#000000',
-          background: { src: mediaUrl },
-          grid: { type: 1, size: 100, distance: 5, units: 'ft' },
-          padding: 0,
-          tokenVision: false,
-          flags: {
-            [MODULE_ID]: {
-              source: isBeneos ? 'beneos' : 'czepeku',
-              locationId: location.id,
-              flavorName: flavor.name,
-              filename: file.filename
-            }
-          }
-        };
+    html.querySelectorAll('[data-action="select-flavor"]').forEach(el => {
+      el.addEventListener('change', (ev) => {
+        const prefix = `${ev.target.dataset.flavorIndex}|`;
+        setChecked([...html.querySelectorAll('.batch-select')].filter(box => box.dataset.selectKey.startsWith(prefix)),
+          ev.target.checked);
+      });
+    });
 
-        const scene = await Scene.create(sceneData);
-        if (!scene) {
-          throw new Error('Scene.create() failed');
+    // "All floors" for Beneos: every battlemap (or scenery) of the location
+    html.querySelectorAll('[data-action="select-type"]').forEach(el => {
+      el.addEventListener('click', (ev) => {
+        const suffix = `|${ev.currentTarget.dataset.fileType}`;
+        setChecked([...html.querySelectorAll('.batch-select')].filter(box => box.dataset.selectKey.endsWith(suffix)), true);
+      });
+    });
+
+    html.querySelector('[data-action="create-selected"]')?.addEventListener('click', async (ev) => {
+      ev.stopPropagation();
+      const location = this.#manifest.locations.find(l => l.id === ev.currentTarget.dataset.locationId);
+      if (!location || this.#selection.size === 0) return;
+
+      const selections = [...this.#selection].map(key => {
+        const [flavorIndex, fileKey] = key.split('|');
+        const flavor = location.flavors[parseInt(flavorIndex)];
+        if (fileKey === 'scenery' || fileKey === 'battlemap') {
+          return { flavor, file: getBeneosFile(flavor, fileKey), fileType: fileKey };
         }
+        return { flavor, file: flavor?.files?.[parseInt(fileKey)], fileType: null };
+      }).filter(selection => selection.flavor && selection.file);
 
-        ui.notifications.info(`Scene created: ${sceneName}`);
+      this.#selection.clear();
+      await this.#createScenesBatch(location, selections);
+      this.#syncGrid();
+    });
 
-        // Ask to activate
-        const activate = await Dialog.confirm({
-          title: 'Scene Created',
-          content: `<p>Activate scene "${sceneName}"?</p>`,
-          yes: () => true,
-          no: () => false
+    // Handle thumbnail errors - show placeholder
+    html.querySelectorAll('.location-thumbnail').forEach(img => {
+      img.addEventListener('error', () => {
+        img.src = 'icons/svg/mystery-man.svg';
+      });
+    });
+
+    // Hover-to-enlarge for thumbnails (with 500ms delay)
+    html.querySelectorAll('.location-thumbnail, .variant-thumbnail').forEach(img => {
+      img.addEventListener('mouseenter', () => this.#schedulePreview(img));
+      img.addEventListener('mouseleave', () => this.#hidePreview());
+    });
+
+    // Lightbox - location thumbnails, variant thumbnails and preview buttons
+    html.querySelectorAll('[data-action="preview"]').forEach(el => {
+      el.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        this.#hidePreview();
+        const { locationId, flavorIndex, fileIndex, fileType } = ev.currentTarget.dataset;
+        const location = this.#manifest.locations.find(l => l.id === locationId);
+        if (!location) return;
+        this.#openLightbox(location, {
+          flavorIndex: flavorIndex !== undefined ? parseInt(flavorIndex) : undefined,
+          fileIndex: fileIndex !== undefined ? parseInt(fileIndex) : undefined,
+          fileType
         });
+      });
+    });
 
-        if (activate) {
-          await scene.activate();
-        }
+    // Show to players - collection items and file rows
+    html.querySelectorAll('[data-action="show-players"]').forEach(el => {
+      el.addEventListener('click', (ev) => {
+        ev.stopPropagation();
+        const { locationId, flavorIndex, fileIndex, fileType } = ev.currentTarget.dataset;
+        const location = this.#manifest.locations.find(l => l.id === locationId);
+        const flavor = location?.flavors[parseInt(flavorIndex)];
+        const file = fileType ? flavor && getBeneosFile(flavor, fileType) : flavor?.files?.[parseInt(fileIndex)];
+        if (file) this.#showToPlayers(location, flavor, file, fileType);
+      });
+    });
 
-        return scene;
-      } catch (err) {
-        console.error(`${MODULE_ID} | createSceneFromLocation failed:`, err);
-        ui.notifications.error(`Failed to create scene: ${err.message}`);
-        return null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Keyboard Navigation
+  // -------------------------------------------------------------------------
+
+  /**
+   * The focus stop an element is in: a card header, a file row of the expanded card or a group header
+   * @param {Element} element
+   * @returns {{key: string, fileKey: string|null, stop: HTMLElement}|null} key is the grid item key
+   */
+  #getStop(element) {
+    const stop = element?.closest?.('[data-focus-stop]');
+    if (!stop) return null;
+    const item = stop.closest('.location-card') ?? stop;
+    return {
+      key: item.dataset.groupKey !== undefined ? `group:${item.dataset.groupKey}` : item.dataset.locationId,
+      fileKey: stop.dataset.fileKey ?? null,
+      stop
+    };
+  }
+
+  /**
+   * Scroll a grid item into view and focus it
+   * @param {string} key - Grid item key
+   * @param {string|null} [fileKey] - Focus this file row of the expanded card instead of the header
+   */
+  #focusStop(key, fileKey = null) {
+    const element = this.#grid.reveal(key);
+    if (!element) return;
+    const file = fileKey ? element.querySelector(`[data-file-key="${fileKey}"]`) : null;
+    const stop = file ?? (element.matches('[data-focus-stop]') ? element : element.querySelector('.card-header'));
+    // The grid already scrolled the card into view; file rows may be further down in it
+    stop?.focus({ preventScroll: !file });
+  }
+
+  // Tabbing into the grid continues where the user left it, or at the top of the viewport
+  #onGridFocus(ev) {
+    // Shift+Tab out of the grid passes the container
+    if (ev.currentTarget.contains(ev.relatedTarget)) return;
+    const { key, fileKey } = this.#lastFocus ?? {};
+    if (key && this.#grid.reveal(key)) this.#focusStop(key, fileKey);
+    else if (this.#grid.topKey) this.#focusStop(this.#grid.topKey);
+  }
+
+  #onStopFocus(ev) {
+    const focus = this.#getStop(ev.target);
+    if (focus?.stop !== ev.target) return;
+    this.#lastFocus = { key: focus.key, fileKey: focus.fileKey };
+    // Same enlarged thumbnail as on hover
+    const thumbnail = focus.stop.querySelector('.location-thumbnail, .variant-thumbnail');
+    if (thumbnail) this.#schedulePreview(thumbnail);
+  }
+
+  /**
+   * Arrow keys move between cards, and between the files (↑/↓) and flavors (←/→) of the expanded card.
+   * Enter/Space expands a card, Esc goes back up; C creates a scene, P opens the lightbox, F stars.
+   */
+  #onGridKeyDown(ev) {
+    if (ev.ctrlKey || ev.metaKey || ev.altKey) return;
+    const focus = this.#getStop(ev.target);
+    if (!focus) return;
+    // Checkboxes and buttons inside a row handle their own keys
+    if (ev.target !== focus.stop && (ev.target.matches('input, select, textarea') || ['Enter', ' '].includes(ev.key))) return;
+
+    const actions = focus.fileKey ? this.#getFileKeyActions(focus) : this.#getItemKeyActions(focus);
+    const action = actions[ev.key.length === 1 ? ev.key.toLowerCase() : ev.key];
+    if (!action) return;
+    ev.preventDefault();
+    ev.stopPropagation();
+    action();
+  }
+
+  // Keys on a card or group header
+  #getItemKeyActions({ key, stop }) {
+    const move = direction => {
+      const next = this.#grid.getNeighbour(key, direction);
+      if (next) this.#focusStop(next);
+    };
+    const actions = {
+      ArrowLeft: () => move('previous'),
+      ArrowRight: () => move('next'),
+      ArrowUp: () => move('up'),
+      ArrowDown: () => move('down'),
+      Home: () => move('first'),
+      End: () => move('last'),
+      Enter: () => stop.click(),
+      ' ': () => stop.click()
+    };
+    if (key.startsWith('group:')) return actions;
+
+    const expanded = this.#expandedLocation === key;
+    const focusFirstFile = () => this.#grid.reveal(key)?.querySelector('.flavor-files [data-focus-stop]')?.focus();
+    return {
+      ...actions,
+      ArrowDown: () => (expanded ? focusFirstFile() : move('down')),
+      Escape: expanded ? () => this.#toggleLocation(key) : null,
+      // Scenes are created from a file: open the card and go to its first one
+      c: () => {
+        if (!expanded) this.#toggleLocation(key);
+        focusFirstFile();
+      },
+      p: () => stop.querySelector('[data-action="preview"]')?.click(),
+      f: () => stop.querySelector('[data-action="toggle-star"]')?.click()
+    };
+  }
+
+  // Keys on a file row of the expanded card
+  #getFileKeyActions({ key, stop }) {
+    const card = stop.closest('.location-card');
+    const files = [...card.querySelectorAll('.flavor-files [data-focus-stop]')];
+    const index = files.indexOf(stop);
+    const header = card.querySelector('.card-header');
+    // First file of the previous/next flavor
+    const stepFlavor = delta => {
+      const groups = [...card.querySelectorAll('.flavor-group')];
+      groups[groups.indexOf(stop.closest('.flavor-group')) + delta]?.querySelector('[data-focus-stop]')?.focus();
+    };
+    const click = selector => () => stop.querySelector(selector)?.click();
+    return {
+      ArrowUp: () => (files[index - 1] ?? header).focus(),
+      ArrowDown: () => {
+        if (files[index + 1]) return files[index + 1].focus();
+        const next = this.#grid.getNeighbour(key, 'down');
+        if (next) this.#focusStop(next);
+      },
+      ArrowLeft: () => stepFlavor(-1),
+      ArrowRight: () => stepFlavor(1),
+      Home: () => files[0].focus(),
+      End: () => files.at(-1).focus(),
+      Escape: () => header.focus({ preventScroll: true }),
+      Enter: click('[data-action="preview"]'),
+      ' ': click('.batch-select'),
+      c: click('[data-action="create-scene"], [data-action="create-beneos-scene"]'),
+      p: click('[data-action="preview"]'),
+      s: click('[data-action="show-players"]'),
+      f: click('[data-action="toggle-star"]')
+    };
+  }
+
+  // -------------------------------------------------------------------------
+  // Hover Preview
+  // -------------------------------------------------------------------------
+
+  #schedulePreview(img) {
+    this.#hidePreview(); // Clear any existing
+    this.#previewTimeout = setTimeout(() => {
+      this.#previewOverlay = document.createElement('img');
+      this.#previewOverlay.className = 'thumbnail-preview-overlay';
+      this.#previewOverlay.src = img.src;
+      document.body.appendChild(this.#previewOverlay);
+    }, 500);
+  }
+
+  #hidePreview() {
+    clearTimeout(this.#previewTimeout);
+    this.#previewTimeout = null;
+    this.#previewOverlay?.remove();
+    this.#previewOverlay = null;
+  }
+}
+
+// ============================================================================
+// Module API
+// ============================================================================
+
+/**
+ * game.modules.get('map-browser').api, also available as globalThis.MapBrowser
+ * Catalogue queries and headless scene creation live in api.js.
+ */
+const api = {
+  search,
+  getLocation,
+  listFlavors,
+  createScene,
+  resolveMediaUrl,
+  pickRandom,
+  showToPlayers,
+
+  /**
+   * The log of map browser scenes created and activated in this world
+   * @returns {{action: string, sceneId: string, sceneName: string, locationId: string, flavorName: string,
+   *            filename: string, fileType?: string, date: number, userId: string}[]} Newest first
+   */
+  getHistory: () => getHistory(),
+
+  /**
+   * Every map browser scene in the world, grouped by location
+   * @returns {Promise<{locationId: string, title: string, orphaned: boolean,
+   *                    scenes: {id: string, name: string, active: boolean, flavorName: string, lastUsed: number|null}[]}[]>}
+   *          orphaned: the location is no longer in the catalogue
+   */
+  getWorldInventory: async () => getWorldInventory(await loadManifest()).map(({ locationId, location, orphaned, scenes }) => ({
+    locationId,
+    title: location?.title || locationId,
+    orphaned,
+    scenes: scenes.map(({ scene, lastUsed }) => ({
+      id: scene.id,
+      name: scene.name,
+      active: scene.active,
+      flavorName: scene.flags[MODULE_ID].flavorName,
+      lastUsed
+    }))
+  })),
+
+  /**
+   * Open the browser - for players the read-only browser of shared collections, if the GM allows it
+   */
+  open: () => {
+    if (!game.user.isGM) {
+      if (!isPlayerBrowserEnabled()) {
+        ui.notifications.warn(game.i18n.localize('MAP_BROWSER.PlayerBrowserDisabled'));
+      } else {
+        const app = foundry.applications.instances.get('map-browser-player');
+        if (app) app.bringToFront();
+        else new PlayerBrowserApp().render(true);
       }
+      return;
     }
-  };
+    if (MapBrowserApp.instance?.rendered) {
+      MapBrowserApp.instance.bringToFront();
+    } else {
+      new MapBrowserApp().render(true);
+    }
+  },
+
+  /**
+   * Open the "Surprise me" picker
+   * @param {Object} [constraints] - As for pickRandom(); defaults to the browser's active filters
+   */
+  openSurprise: (constraints) => (MapBrowserApp.instance ?? new MapBrowserApp()).openSurprise(constraints),
+
+  /**
+   * List the current user's collections
+   * @returns {{id: string, name: string, active: boolean, items: Object[]}[]}
+   */
+  listCollections: () => {
+    const { activeId, lists } = getCollections();
+    return lists.map(list => ({ ...list, active: list.id === activeId }));
+  },
+
+  /**
+   * Add a location, flavor or file to a collection (created if the name is new)
+   * @param {string} collection - Collection ID or name, e.g. "Session 14"
+   * @param {{locationId: string, flavorName?: string, filename?: string, fileType?: string}} item
+   * @returns {Promise<boolean>} false if the item was already in the collection
+   */
+  addToCollection: async (collection, item) => {
+    const added = await addToCollection(collection, item);
+    if (MapBrowserApp.instance?.rendered) MapBrowserApp.instance.render();
+    return added;
+  },
+
+  /**
+   * Remove an item from a collection
+   * @param {string} collection - Collection ID or name
+   * @param {{locationId: string, flavorName?: string, filename?: string, fileType?: string}} item
+   * @returns {Promise<boolean>} false if the item was not in the collection
+   */
+  removeFromCollection: async (collection, item) => {
+    const removed = await removeFromCollection(collection, item);
+    if (MapBrowserApp.instance?.rendered) MapBrowserApp.instance.render();
+    return removed;
+  },
+
+  /**
+   * Register a media backend, see scripts/media-sources.js
+   * @param {{id: string, label: string, isConfigured?: Function, resolve: Function, exists?: Function}} backend
+   */
+  registerMediaBackend: (backend) => registerMediaBackend(backend),
+
+  /**
+   * Add a map pack (module origin). Call before the browser is first opened,
+   * or use the map-browser.registerPacks hook.
+   * @param {{id: string, label?: string, manifest: string, baseUrl?: string, tagFile?: string, thumbs?: string, source?: string}} pack
+   */
+  registerPack: (pack) => registerPack(pack),
+
+  /**
+   * List every known map pack with its origin and enabled state
+   * @returns {Object[]}
+   */
+  listPacks: () => getPacks(),
+
+  /**
+   * Validate the catalogue, tag files, variant mapping and thumbnails
+   * @param {Object} [options]
+   * @param {boolean} [options.reload=false] - Load the packs again first
+   * @returns {Promise<{issues: Object[], counts: Object, checkedAt: number}>}
+   */
+  checkHealth: (options) => getHealthReport(options),
+
+  /**
+   * Open the Catalogue Health panel (GM only)
+   */
+  openHealth: () => openHealthPanel(),
+
+  /**
+   * Download scene backgrounds into the Data folder and point the scenes at the copies
+   * @param {Array<Scene|string>} [scenes] - Defaults to every map browser scene that still streams
+   * @returns {Promise<{done: Scene[], failed: Object[]}>}
+   */
+  makeLocal: (scenes) => makeScenesLocal(scenes),
+
+  /**
+   * Continue an interrupted or partly failed makeLocal() run
+   * @returns {Promise<{done: Scene[], failed: Object[]}>}
+   */
+  resumeMakeLocal: () => resumeMakeLocal(),
+
+  /**
+   * Open the local storage / disk usage view
+   */
+  openLocalStorage: () => new LocalStorageApp().render(true),
+
+  /**
+   * List the flavors and files a map browser scene can switch to
+   * @param {Scene|string} scene - The scene or its ID
+   * @returns {Promise<Object[]>}
+   */
+  listVariants: (scene) => listSceneVariants(scene),
+
+  /**
+   * Switch a scene to another variant of its location, keeping tokens, walls, lights and notes.
+   * Without a variant, a selection dialog is shown.
+   * @param {Scene|string} scene - The scene or its ID
+   * @param {{flavorName: string, filename?: string, fileType?: string}} [variant]
+   * @returns {Promise<Scene|null>}
+   */
+  changeVariant: (scene, variant) => {
+    if (!variant) return promptSceneVariant(scene);
+    return changeSceneVariant(scene, variant);
+  },
+
+  /**
+   * Measure the grid by clicking two opposite grid corners on the canvas.
+   * The result is applied to the scene and saved for future scenes of the map.
+   * @param {Scene|string} scene - The scene or its ID
+   * @returns {Promise<{size: number, squaresAcross: number}|null>}
+   */
+  calibrateGrid: (scene) => calibrateSceneGrid(scene),
+
+  /**
+   * Create a scene from a location's first flavor and ask whether to activate it
+   * @deprecated Use createScene({ locationId, flavor, file, fileType, activate })
+   * @param {string} locationId - The location ID (e.g., "beneos-ashur-fire-temple")
+   * @returns {Promise<Scene|null>} The created scene or null on failure
+   */
+  createSceneFromLocation: async (locationId) => {
+    let scene;
+    try {
+      scene = await createScene({ locationId });
+    } catch (err) {
+      console.error(`${MODULE_ID} | createSceneFromLocation failed:`, err);
+      ui.notifications.error(game.i18n.format('MAP_BROWSER.SceneCreateFailed', { error: err.message }));
+      return null;
+    }
+
+    // Ask to activate
+    const activate = await Dialog.confirm({
+      title: game.i18n.localize('MAP_BROWSER.SceneCreated'),
+      content: `<p>${game.i18n.localize('MAP_BROWSER.ActivateScene')}</p>`,
+      yes: () => true,
+      no: () => false
+    });
+
+    if (activate) {
+      await activateScene(scene);
+    }
+
+    return scene;
+  }
+};
+
+// ============================================================================
+// Module Initialization
+// ============================================================================
+
+Hooks.once('init', () => {
+  console.log(`${MODULE_ID} | Initializing Cze & Peku Map Browser`);
+
+  registerCollectionSettings();
+  registerSceneDefaultSettings();
+  registerGridSettings();
+  registerLocalMediaSettings();
+  registerIndexerTool();
+  registerPackSettings();
+  registerHealthPanel();
+  registerCurationSettings();
+  registerSharingSettings();
+  registerHistorySettings();
+
+  // Available to other modules' init and ready hooks
+  game.modules.get(MODULE_ID).api = api;
+  globalThis.MapBrowser = api;
+
+  // Open the browser from anywhere (GM only, like the scene control button)
+  game.keybindings.register(MODULE_ID, 'openBrowser', {
+    name: 'MAP_BROWSER.KeybindingOpen',
+    hint: 'MAP_BROWSER.KeybindingOpenHint',
+    editable: [{ key: 'KeyM', modifiers: ['Shift'] }],
+    restricted: true,
+    onDown: () => {
+      MapBrowser.open();
+      return true;
+    }
+  });
+
+  // Partials used by browser.hbs and lightbox.hbs, templates of the grid
+  foundry.applications.handlebars.loadTemplates([
+    `modules/${MODULE_ID}/templates/location-card.hbs`,
+    `modules/${MODULE_ID}/templates/group-header.hbs`,
+    `modules/${MODULE_ID}/templates/collections.hbs`,
+    `modules/${MODULE_ID}/templates/inventory.hbs`,
+    `modules/${MODULE_ID}/templates/lightbox-media.hbs`
+  ]);
+});
+
+// Let other modules add media backends once every module's init hook has run
+Hooks.once('setup', () => {
+  Hooks.callAll(`${MODULE_ID}.registerMediaBackends`, registerMediaBackend);
+  registerModulePacks();
+});
+
+// Packs were enabled, added or removed
+Hooks.on(`${MODULE_ID}.catalogueChanged`, () => MapBrowserApp.instance?.reloadCatalogue());
+
+Hooks.once('ready', () => {
+  registerSharingSocket();
+  // Scenes may have been deleted while the module was off
+  if (game.users.activeGM?.isSelf) cleanHistory();
+  console.log(`${MODULE_ID} | Ready`);
+});
+
+// A GM shared a collection, stopped sharing it or changed a shared one
+Hooks.on(`${MODULE_ID}.sharedCollectionsChanged`, () => {
+  foundry.applications.instances.get('map-browser-player')?.render();
+});
+
+// Keep "In world" badges current while the browser is open
+for (const hook of ['createScene', 'updateScene', 'deleteScene']) {
+  Hooks.on(hook, () => MapBrowserApp.instance?.refreshCards());
+}
+
+// Usage history - the client that made the change writes the log; activations are logged by activateScene()
+Hooks.on(`${MODULE_ID}.sceneCreated`, scene => recordHistory('created', scene));
+Hooks.on('deleteScene', (scene, options, userId) => {
+  if (userId === game.user.id) cleanHistory();
+});
+Hooks.on(`${MODULE_ID}.historyChanged`, () => MapBrowserApp.instance?.refreshHistory());
+
+// "Change variant", "Calibrate grid" and "Make local" on map browser scenes in the Scenes sidebar
+Hooks.on('getSceneContextOptions', (application, options) => {
+  const isMapScene = li => game.user.isGM && !!game.scenes.get(li.dataset.entryId)?.flags?.[MODULE_ID]?.locationId;
+  options.push({
+    name: 'MAP_BROWSER.ChangeVariant',
+    icon: '<i class="fas fa-images"></i>',
+    condition: isMapScene,
+    callback: li => promptSceneVariant(li.dataset.entryId)
+  }, {
+    name: 'MAP_BROWSER.CalibrateGrid',
+    icon: '<i class="fas fa-ruler-combined"></i>',
+    condition: isMapScene,
+    callback: li => calibrateSceneGrid(li.dataset.entryId)
+  }, {
+    name: 'MAP_BROWSER.MakeLocal',
+    icon: '<i class="fas fa-download"></i>',
+    condition: li => isMapScene(li) && isSceneRemote(game.scenes.get(li.dataset.entryId)),
+    callback: li => makeScenesLocal([li.dataset.entryId])
+  });
 });
 
 // Add scene control button (V13 API: controls is Record<string, SceneControl>)
@@ -806,10 +1916,10 @@ Hooks.on('getSceneControlButtons', (controls) => {
   if (tokenControls?.tools) {
     tokenControls.tools['map-browser'] = {
       name: 'map-browser',
-      title: 'Cze & Peku Map Browser',
+      title: game.i18n.localize('MAP_BROWSER.Title'),
       icon: 'fas fa-map',
       button: true,
-      visible: game.user.isGM,
+      visible: game.user.isGM || isPlayerBrowserEnabled(),
       onClick: () => {
         MapBrowser.open();
       }
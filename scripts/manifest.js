@@ -0,0 +1,104 @@
+/**
+ * Map Browser - Manifest
+ * Shared access to the map catalogue (all enabled packs) and media URL construction
+ */
+
+import { resolveMediaPath } from './media-sources.js';
+import { loadCatalogue } from './packs.js';
+import { applyCuration } from './curation.js';
+import { MODULE_ID } from './constants.js';
+
+export { hasMediaSource } from './media-sources.js';
+
+let cataloguePromise = null;
+let manifestPromise = null;
+
+/**
+ * Load the catalogue of all enabled map packs with the GM's curation applied
+ * (cached after the first successful load)
+ * @param {Object} [options]
+ * @param {boolean} [options.reload=false] - Ignore the cache
+ * @param {boolean} [options.curated=true] - false for the catalogue as the packs have it (validation)
+ * @returns {Promise<Object>} Manifest-shaped, see loadCatalogue()
+ */
+export function loadManifest({ reload = false, curated = true } = {}) {
+  if (!cataloguePromise || reload) {
+    manifestPromise = null;
+    cataloguePromise = loadCatalogue().catch(err => {
+      // Don't cache failures - the next caller retries
+      cataloguePromise = null;
+      throw err;
+    });
+  }
+  if (!curated) return cataloguePromise;
+  manifestPromise ??= cataloguePromise.then(applyCuration).catch(err => {
+    manifestPromise = null;
+    throw err;
+  });
+  return manifestPromise;
+}
+
+/**
+ * Reload the catalogue and tell open browsers
+ * @returns {Promise<Object>}
+ */
+export async function refreshCatalogue() {
+  const manifest = await loadManifest({ reload: true });
+  Hooks.callAll(`${MODULE_ID}.catalogueChanged`, manifest);
+  return manifest;
+}
+
+/**
+ * Get the path of a file inside the map library, unencoded
+ * Czepeku: files can be in Maps subfolder or directly in root
+ * Beneos: Beneos/{location}/{subfolder}/{filename}
+ * @param {Object} location - The location data
+ * @param {Object} flavor - The flavor data
+ * @param {Object} file - The file data
+ * @param {boolean} [isBeneos=false] - Beneos layout
+ * @returns {string}
+ */
+export function getMediaPath(location, flavor, file, isBeneos = false) {
+  if (isBeneos) {
+    return `${location.beneos_path}/${flavor.name}/${file.filename}`;
+  }
+  return location.files_in_root
+    ? `${location.folder_name}/${file.filename}`
+    : `${location.folder_name}/Maps/${file.filename}`;
+}
+
+/**
+ * Build the media URL of a file with the location's media source
+ * @param {Object} manifest - The map manifest
+ * @param {Object} location - The location data
+ * @param {Object} flavor - The flavor data
+ * @param {Object} file - The file data
+ * @param {boolean} [isBeneos=false] - Beneos layout (Beneos/{location}/{subfolder}/{filename})
+ * @returns {string|null} null if no media source is configured
+ */
+export function getMediaUrl(manifest, location, flavor, file, isBeneos = false) {
+  return resolveMediaPath(manifest, location, getMediaPath(location, flavor, file, isBeneos));
+}
+
+/**
+ * Pick the file a Beneos scenery/battlemap button stands for (prefer animated, fall back to static)
+ * @param {Object} flavor - The flavor (subfolder) data
+ * @param {string} fileType - 'scenery' or 'battlemap'
+ * @returns {Object|undefined}
+ */
+export function getBeneosFile(flavor, fileType) {
+  const files = (fileType === 'scenery' ? flavor.scenery_files : flavor.battlemap_files)?.filter(f => !f.hidden);
+  return files?.find(f => f.animated) || files?.[0];
+}
+
+/**
+ * Get the thumbnail of a location (a local file from its pack)
+ * @param {Object} location - The location data
+ * @returns {string} Placeholder icon if the location has no thumbnail
+ */
+export function getThumbnailUrl(location) {
+  if (location.thumbnail) {
+    return location.thumbnail_url ?? `modules/${MODULE_ID}/data/thumbs/${location.folder_name}.jpg`;
+  }
+  return 'icons/svg/mystery-man.svg';
+}
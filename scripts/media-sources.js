@@ -0,0 +1,212 @@
+/**
+ * Map Browser - Media Sources
+ * Turns a file path from the manifest into a URL Foundry can load
+ *
+ * A backend is an object with:
+ * - id            Unique name, used as `type` in the manifest
+ * - label         Display name (localization key or text)
+ * - isConfigured(config)              → boolean
+ * - resolve(path, config, {filename}) → URL string
+ * - exists(path, config)              → Promise<boolean> (optional)
+ *
+ * The manifest picks the backend, a location can override it:
+ *   "media_source": "worker"                                  → built-in backend by ID
+ *   "media_source": "local-mirror"                            → entry of "media_sources"
+ *   "media_source": { "type": "http", "base_url": "..." }     → inline configuration
+ *   "media_sources": { "local-mirror": { "type": "local", "root": "maps" } }
+ * Without media_source, worker_base_url or onedrive_api_base are used as before.
+ *
+ * Other modules can add backends during init:
+ *   Hooks.on('map-browser.registerMediaBackends', register => register({ id: 'my-cdn', ... }));
+ */
+
+const backends = new Map();
+
+/**
+ * Register (or replace) a media backend
+ * @param {{id: string, label: string, isConfigured: Function, resolve: Function, exists?: Function}} backend
+ */
+export function registerMediaBackend(backend) {
+  if (!backend?.id || typeof backend.resolve !== 'function') {
+    throw new Error('Media backends need an id and a resolve(path, config) function');
+  }
+  backends.set(backend.id, {
+    isConfigured: () => true,
+    ...backend
+  });
+}
+
+/**
+ * Get all registered backends
+ * @returns {Object[]}
+ */
+export function getMediaBackends() {
+  return [...backends.values()];
+}
+
+// ============================================================================
+// Resolving
+// ============================================================================
+
+/**
+ * Find the backend and configuration for a location (or the manifest default)
+ * @param {Object} manifest - The map manifest
+ * @param {Object} [location] - The location data
+ * @returns {{backend: Object, config: Object}|null} null if nothing usable is configured
+ */
+export function getMediaSource(manifest, location) {
+  const source = getSourceConfig(manifest, location);
+  if (!source) return null;
+
+  const backend = backends.get(source.type);
+  if (!backend) {
+    console.warn(`map-browser | Unknown media backend: ${source.type}`);
+    return null;
+  }
+  return backend.isConfigured(source) ? { backend, config: source } : null;
+}
+
+/**
+ * Get the inline source configuration of a location, with named sources and legacy fields resolved
+ * @param {Object} manifest - The map manifest
+ * @param {Object} [location] - The location data
+ * @returns {Object|null} e.g. { type: 'worker', base_url: '...' }
+ */
+export function getSourceConfig(manifest, location) {
+  return normalizeSource(manifest, location?.media_source)
+    ?? normalizeSource(manifest, manifest?.media_source)
+    ?? legacySource(manifest);
+}
+
+/**
+ * Check whether media can be streamed - from the manifest default or any location
+ * @param {Object} manifest - The map manifest
+ * @param {Object} [location] - Only check this location
+ * @returns {boolean}
+ */
+export function hasMediaSource(manifest, location) {
+  if (location) return !!getMediaSource(manifest, location);
+  return !!getMediaSource(manifest) || !!manifest?.locations?.some(loc => loc.media_source && getMediaSource(manifest, loc));
+}
+
+/**
+ * Resolve a manifest file path (e.g. "Forest/Maps/Day.jpg") to a URL
+ * @param {Object} manifest - The map manifest
+ * @param {Object} location - The location the file belongs to
+ * @param {string} path - Unencoded path, '/' separated
+ * @returns {string|null} null if no backend is configured
+ */
+export function resolveMediaPath(manifest, location, path) {
+  const source = getMediaSource(manifest, location);
+  if (!source) return null;
+  return source.backend.resolve(path, source.config, { filename: path.split('/').pop() });
+}
+
+/**
+ * Check whether a file exists, for backends that can tell without downloading it
+ * @param {Object} manifest - The map manifest
+ * @param {Object} location - The location the file belongs to
+ * @param {string} path - Unencoded path
+ * @returns {Promise<boolean|null>} null if the backend cannot check
+ */
+export async function mediaExists(manifest, location, path) {
+  const source = getMediaSource(manifest, location);
+  if (!source?.backend.exists) return null;
+  return source.backend.exists(path, source.config);
+}
+
+function normalizeSource(manifest, source) {
+  if (!source) return null;
+  if (typeof source === 'string') {
+    const named = manifest?.media_sources?.[source];
+    if (named) return { ...named, type: named.type ?? source };
+    return { ...legacySource(manifest), type: source };
+  }
+  return source.type ? source : null;
+}
+
+// The manifest fields from before backends existed
+function legacySource(manifest) {
+  if (manifest?.worker_base_url) return { type: 'worker', base_url: manifest.worker_base_url };
+  if (manifest?.onedrive_api_base) return { type: 'onedrive', api_base: manifest.onedrive_api_base };
+  return null;
+}
+
+/**
+ * Encode path components (but not slashes)
+ * @param {string} path
+ * @returns {string}
+ */
+export function encodeMediaPath(path) {
+  return path.split('/').map(p => encodeURIComponent(p)).join('/');
+}
+
+function joinUrl(base, ...parts) {
+  return [base.replace(/\/+$/, ''), ...parts.filter(Boolean).map(p => p.replace(/^\/+|\/+$/g, ''))].join('/');
+}
+
+// ============================================================================
+// Built-in Backends
+// ============================================================================
+
+// Cloudflare Worker - simple format, handles OneDrive auth internally (recommended)
+registerMediaBackend({
+  id: 'worker',
+  label: 'Cloudflare Worker',
+  isConfigured: config => !!(config.base_url ?? config.worker_base_url),
+  resolve: (path, config) => joinUrl(config.base_url ?? config.worker_base_url, encodeMediaPath(path))
+});
+
+// Legacy OneDrive API URL (may not work with new share format)
+registerMediaBackend({
+  id: 'onedrive',
+  label: 'OneDrive',
+  isConfigured: config => !!(config.api_base ?? config.onedrive_api_base),
+  resolve: (path, config, { filename }) =>
+    `${joinUrl(config.api_base ?? config.onedrive_api_base, encodeMediaPath(path))}:/content#${filename}`
+});
+
+// Any web server that serves the folder tree as-is (CDN, nginx, local test server)
+registerMediaBackend({
+  id: 'http',
+  label: 'HTTP',
+  isConfigured: config => !!config.base_url,
+  resolve: (path, config) => {
+    const url = joinUrl(config.base_url, encodeMediaPath(path));
+    return config.query ? `${url}?${config.query}` : url;
+  }
+});
+
+// Files in Foundry's own Data directory (or another FilePicker source)
+registerMediaBackend({
+  id: 'local',
+  label: 'Foundry Data',
+  isConfigured: () => true,
+  resolve: (path, config) => joinUrl(config.root ?? 'maps', encodeMediaPath(path)),
+  exists: async (path, config) => {
+    const full = joinUrl(config.root ?? 'maps', path);
+    const dir = full.slice(0, full.lastIndexOf('/'));
+    try {
+      const result = await foundry.applications.apps.FilePicker.implementation.browse(config.source ?? 'data', dir);
+      return result.files.some(file => decodeURIComponent(file) === full || file === encodeMediaPath(full));
+    } catch {
+      return false;
+    }
+  }
+});
+
+// S3-compatible object storage with public-read objects (AWS, MinIO, R2, Wasabi)
+registerMediaBackend({
+  id: 's3',
+  label: 'S3',
+  isConfigured: config => !!(config.endpoint && config.bucket),
+  resolve: (path, config) => {
+    const key = encodeMediaPath(config.prefix ? joinUrl(config.prefix, path) : path);
+    // Path style (endpoint/bucket/key) works everywhere; virtual hosts need path_style: false
+    if (config.path_style === false) {
+      const endpoint = new URL(config.endpoint);
+      return `${endpoint.protocol}//${config.bucket}.${endpoint.host}/${key}`;
+    }
+    return joinUrl(config.endpoint, config.bucket, key);
+  }
+});
@@ -0,0 +1,207 @@
+/**
+ * Map Browser - Media
+ * Probe image and video dimensions from their URL, with a reachability check and retries
+ */
+
+// Per attempt; a slow CDN gets another try instead of one long wait
+const ATTEMPT_TIMEOUT = 20000;
+
+// Wait before each retry (exponential backoff)
+const RETRY_DELAYS = [1000, 2000, 4000];
+
+// HTTP answers that won't change by asking again
+const PERMANENT_STATUS = [400, 401, 403, 404, 410];
+
+// Probed sizes per URL, for this session
+const dimensionCache = new Map();
+
+/**
+ * Load an image to get its dimensions
+ * @param {string} url - The image URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before giving up
+ * @param {AbortSignal} [options.signal] - Cancels the load
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function loadImageDimensions(url, { timeout = ATTEMPT_TIMEOUT, signal } = {}) {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const img = new Image();
+    img.crossOrigin = 'anonymous';
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+    };
+    const onAbort = () => {
+      cleanup();
+      img.src = '';
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      img.src = '';
+      reject(new Error('Image load timeout'));
+    }, timeout);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    img.onload = () => {
+      cleanup();
+      resolve({ width: img.naturalWidth, height: img.naturalHeight });
+    };
+
+    img.onerror = () => {
+      cleanup();
+      reject(new Error('Failed to load image'));
+    };
+
+    img.src = url;
+  });
+}
+
+/**
+ * Load a video to get its dimensions
+ * @param {string} url - The video URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before giving up
+ * @param {AbortSignal} [options.signal] - Cancels the load
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function loadVideoDimensions(url, { timeout = ATTEMPT_TIMEOUT, signal } = {}) {
+  signal?.throwIfAborted();
+  return new Promise((resolve, reject) => {
+    const video = document.createElement('video');
+    video.crossOrigin = 'anonymous';
+    video.preload = 'metadata';
+
+    const cleanup = () => {
+      clearTimeout(timer);
+      signal?.removeEventListener('abort', onAbort);
+      video.src = '';
+    };
+    const onAbort = () => {
+      cleanup();
+      reject(signal.reason);
+    };
+    const timer = setTimeout(() => {
+      cleanup();
+      reject(new Error('Video metadata load timeout'));
+    }, timeout);
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    video.onloadedmetadata = () => {
+      const dimensions = { width: video.videoWidth, height: video.videoHeight };
+      cleanup();
+      resolve(dimensions);
+    };
+
+    video.onerror = () => {
+      cleanup();
+      reject(new Error('Failed to load video metadata'));
+    };
+
+    video.src = url;
+  });
+}
+
+/**
+ * Load media dimensions (image or video)
+ * @param {string} url - The media URL
+ * @param {boolean} isVideo - Whether the media is a video
+ * @param {Object} [options] - See loadImageDimensions()
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function loadMediaDimensions(url, isVideo = false, options = {}) {
+  if (isVideo) {
+    return loadVideoDimensions(url, options);
+  }
+  return loadImageDimensions(url, options);
+}
+
+/**
+ * Check that a media URL answers, without downloading the file.
+ * Asks with HEAD first and falls back to a one-byte range request for hosts that refuse HEAD.
+ * Errors carry `status` (the HTTP status, if any) and `retryable`.
+ * @param {string} url - The media URL
+ * @param {Object} [options]
+ * @param {number} [options.timeout] - Milliseconds before giving up
+ * @param {AbortSignal} [options.signal] - Cancels the request
+ * @returns {Promise<{status: number, size: number|null}|null>} The HTTP status and the file size
+ *          if the host sends it, or null if the host can't be checked from here
+ */
+export async function checkMediaReachable(url, { timeout = ATTEMPT_TIMEOUT, signal } = {}) {
+  const request = async init => {
+    const signals = [AbortSignal.timeout(timeout), ...(signal ? [signal] : [])];
+    return fetch(url, { ...init, signal: AbortSignal.any(signals) });
+  };
+
+  let response;
+  try {
+    response = await request({ method: 'HEAD' });
+    if ([403, 405, 501].includes(response.status)) {
+      response = await request({ headers: { Range: 'bytes=0-0' } });
+      response.body?.cancel();
+    }
+  } catch (err) {
+    if (signal?.aborted) throw signal.reason;
+    if (err.name === 'TimeoutError') throw Object.assign(new Error('Request timed out'), { retryable: true });
+    // Hosts without CORS headers fail here even when the file exists - let the probe decide
+    return null;
+  }
+
+  if (response.ok) {
+    // HEAD has the length of the file, the range request the total after the slash
+    const range = response.headers.get('content-range')?.match(/\/(\d+)$/);
+    const size = range ? Number(range[1]) : response.status === 200 ? Number(response.headers.get('content-length')) : 0;
+    return { status: response.status, size: size || null };
+  }
+  throw Object.assign(new Error(`HTTP ${response.status}`), {
+    status: response.status,
+    retryable: !PERMANENT_STATUS.includes(response.status)
+  });
+}
+
+/**
+ * Get the size of a media file: check that it is reachable, then load it,
+ * retrying with backoff. Results are cached for the session.
+ * @param {string} url - The media URL
+ * @param {boolean} [isVideo=false] - Whether the media is a video
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the probe, including the wait between attempts
+ * @param {Function} [options.onRetry] - Called with {attempt, attempts, delay, error} before waiting
+ * @returns {Promise<{width: number, height: number}>}
+ */
+export async function probeMediaDimensions(url, isVideo = false, { signal, onRetry } = {}) {
+  if (dimensionCache.has(url)) return dimensionCache.get(url);
+
+  const attempts = RETRY_DELAYS.length + 1;
+  for (let attempt = 1; ; attempt++) {
+    try {
+      await checkMediaReachable(url, { signal });
+      const dimensions = await loadMediaDimensions(url, isVideo, { signal });
+      if (!(dimensions.width > 0 && dimensions.height > 0)) throw new Error('Media has no size');
+      dimensionCache.set(url, dimensions);
+      return dimensions;
+    } catch (err) {
+      if (signal?.aborted) throw signal.reason;
+      if (err.retryable === false || attempt >= attempts) throw Object.assign(err, { attempts: attempt });
+      const delay = RETRY_DELAYS[attempt - 1];
+      onRetry?.({ attempt, attempts, delay, error: err });
+      await wait(delay, signal);
+    }
+  }
+}
+
+function wait(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(() => {
+      signal?.removeEventListener('abort', onAbort);
+      resolve();
+    }, ms);
+    const onAbort = () => {
+      clearTimeout(timer);
+      reject(signal.reason);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+  });
+}
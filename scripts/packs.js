@@ -0,0 +1,370 @@
+/**
+ * Map Browser - Map Packs
+ * Merges the manifests of several map packs into one catalogue
+ *
+ * Packs come from three places:
+ * - Modules: the bundled Czepeku & Beneos pack, `flags["map-browser"].packs` in
+ *   another module's module.json (paths relative to that module), or the hook:
+ *   Hooks.on('map-browser.registerPacks', register => register({ id: 'tom-cartos', ... }));
+ * - The world: added by the GM, shared with everyone
+ * - The user: manifest URLs only this client loads
+ *
+ * A pack is:
+ *   { id, label, manifest, baseUrl?, tagFile?, thumbs?, source? }
+ * - manifest  URL of a map-manifest.json (same format as the bundled one)
+ * - baseUrl   Serve files from this web root instead of the manifest's media source
+ * - tagFile   Extra tags: { "<location id>": ["tag", ...] } or { "<location id>": { "<flavor>": ["tag", ...] } }
+ * - thumbs    Folder with <folder_name>.jpg thumbnails (default: "thumbs" next to the manifest)
+ * - source    Publisher key for grouping and `source:` searches (default: the pack ID)
+ */
+
+import { getSourceConfig } from './media-sources.js';
+import { validateManifest, validateTagFile } from './validation.js';
+import { refreshCatalogue } from './manifest.js';
+import { MODULE_ID } from './constants.js';
+
+const ORIGINS = ['module', 'world', 'user'];
+
+const registered = new Map();
+const warnedPacks = new Set(); // Problems are logged once per session
+
+/**
+ * Register (or replace) a module-provided pack
+ * @param {{id: string, label?: string, manifest: string, baseUrl?: string, tagFile?: string, thumbs?: string, source?: string}} pack
+ */
+export function registerPack(pack) {
+  if (!pack?.id || !pack.manifest) {
+    throw new Error('Map packs need an id and a manifest URL');
+  }
+  registered.set(pack.id, { label: pack.id, ...pack });
+}
+
+// The pack shipped with this module keeps the publisher detection of its locations
+registerPack({
+  id: MODULE_ID,
+  label: 'MAP_BROWSER.PackBuiltin',
+  manifest: `modules/${MODULE_ID}/data/map-manifest.json`,
+  thumbs: `modules/${MODULE_ID}/data/thumbs`,
+  source: null
+});
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+/**
+ * Register the pack settings and the pack manager (call during init)
+ */
+export function registerPackSettings() {
+  const onChange = foundry.utils.debounce(() => refreshCatalogue(), 100);
+
+  // Enable toggle, base URL and tag file overrides for module packs
+  game.settings.register(MODULE_ID, 'packSettings', {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {},
+    onChange
+  });
+
+  game.settings.register(MODULE_ID, 'worldPacks', {
+    scope: 'world',
+    config: false,
+    type: Array,
+    default: [],
+    onChange
+  });
+
+  game.settings.register(MODULE_ID, 'userPacks', {
+    scope: 'user',
+    config: false,
+    type: Array,
+    default: [],
+    onChange
+  });
+
+  game.settings.registerMenu(MODULE_ID, 'packsMenu', {
+    name: 'MAP_BROWSER.Packs',
+    label: 'MAP_BROWSER.PacksConfigure',
+    hint: 'MAP_BROWSER.PacksHint',
+    icon: 'fas fa-boxes-stacked',
+    type: PackRegistryConfig,
+    restricted: true
+  });
+}
+
+/**
+ * Register packs declared in module.json files and let other modules add theirs (call during setup)
+ */
+export function registerModulePacks() {
+  for (const module of game.modules) {
+    if (!module.active || module.id === MODULE_ID) continue;
+    for (const pack of module.flags?.[MODULE_ID]?.packs ?? []) {
+      try {
+        registerPack({
+          ...pack,
+          module: module.id,
+          manifest: resolveModulePath(module.id, pack.manifest),
+          tagFile: resolveModulePath(module.id, pack.tagFile),
+          thumbs: resolveModulePath(module.id, pack.thumbs)
+        });
+      } catch (err) {
+        console.warn(`${MODULE_ID} | Invalid pack in ${module.id}:`, err.message);
+      }
+    }
+  }
+  Hooks.callAll(`${MODULE_ID}.registerPacks`, registerPack);
+}
+
+function resolveModulePath(moduleId, path) {
+  if (!path || /^(https?:)?\/\//.test(path) || path.startsWith('modules/')) return path;
+  return `modules/${moduleId}/${path.replace(/^\.?\//, '')}`;
+}
+
+/**
+ * Get every known pack with its settings applied, modules first
+ * @returns {Object[]} Packs with origin ('module' | 'world' | 'user') and enabled
+ */
+export function getPacks() {
+  const overrides = game.settings.get(MODULE_ID, 'packSettings') || {};
+  const candidates = [
+    ...[...registered.values()].map(pack => ({ ...pack, ...overrides[pack.id], origin: 'module' })),
+    ...(game.settings.get(MODULE_ID, 'worldPacks') || []).map(pack => ({ ...pack, origin: 'world' })),
+    ...(game.settings.get(MODULE_ID, 'userPacks') || []).map(pack => ({ ...pack, origin: 'user' }))
+  ];
+
+  const packs = new Map();
+  for (const pack of candidates) {
+    if (packs.has(pack.id)) {
+      console.warn(`${MODULE_ID} | Duplicate pack ID "${pack.id}" (${pack.origin}) - ignored`);
+      continue;
+    }
+    packs.set(pack.id, { ...pack, enabled: pack.enabled !== false });
+  }
+  return [...packs.values()];
+}
+
+// ============================================================================
+// Catalogue
+// ============================================================================
+
+/**
+ * Load every enabled pack and merge them into one manifest-shaped catalogue
+ * Locations keep their IDs; a clash with an earlier pack gets the pack ID as prefix.
+ * Every location carries its pack's media source, so the catalogue needs no top-level one.
+ * Validation problems of all packs are collected in `issues`, each with its pack ID.
+ * @returns {Promise<Object>} { packs, locations, issues, total_locations, total_flavors, total_files }
+ * @throws {Error} If no pack could be loaded
+ */
+export async function loadCatalogue() {
+  const packs = getPacks().filter(pack => pack.enabled);
+  const results = await Promise.allSettled(packs.map(loadPack));
+
+  const catalogue = { packs: [], locations: [], issues: [], total_locations: 0, total_flavors: 0, total_files: 0 };
+  const ids = new Set();
+  const errors = [];
+
+  results.forEach((result, index) => {
+    const pack = packs[index];
+    const summary = { id: pack.id, label: pack.label, origin: pack.origin };
+    catalogue.packs.push(summary);
+
+    if (result.status === 'rejected') {
+      console.warn(`${MODULE_ID} | Could not load pack "${pack.id}":`, result.reason);
+      summary.error = result.reason?.message ?? String(result.reason);
+      errors.push(result.reason);
+      return;
+    }
+
+    const { manifest, tags, issues } = result.value;
+    catalogue.issues.push(...issues.map(issue => ({ ...issue, pack: pack.id })));
+    const locations = manifest.locations.map(location => {
+      const merged = mergeLocation(pack, manifest, location, tags);
+      if (ids.has(merged.id)) {
+        catalogue.issues.push({
+          level: 'warning', code: 'duplicate-id', pack: pack.id, path: merged.id,
+          detail: `clashes with another pack, renamed to ${pack.id}.${merged.id}`
+        });
+        merged.id = `${pack.id}.${merged.id}`;
+      }
+      ids.add(merged.id);
+      return merged;
+    });
+
+    summary.locations = locations.length;
+    summary.flavors = manifest.total_flavors;
+    summary.files = manifest.total_files;
+    catalogue.locations.push(...locations);
+    catalogue.total_locations += summary.locations;
+    catalogue.total_flavors += summary.flavors;
+    catalogue.total_files += summary.files;
+  });
+
+  if (errors.length && errors.length === results.length) throw errors[0];
+  return catalogue;
+}
+
+async function loadPack(pack) {
+  const { manifest, issues } = validateManifest(await fetchJson(pack.manifest));
+  let tags = null;
+  if (pack.tagFile) {
+    try {
+      const validated = validateTagFile(await fetchJson(pack.tagFile), pack.tagFile.split('/').pop());
+      tags = validated.tags;
+      issues.push(...validated.issues);
+    } catch (err) {
+      console.warn(`${MODULE_ID} | Could not load tag file of pack "${pack.id}":`, err);
+      issues.push({ level: 'error', code: 'schema', path: pack.tagFile, detail: err.message });
+    }
+  }
+  if (issues.length && !warnedPacks.has(pack.id)) {
+    warnedPacks.add(pack.id);
+    console.warn(`${MODULE_ID} | Pack "${pack.id}" has ${issues.length} problems - see Catalogue Health`);
+  }
+  return { manifest, tags, issues };
+}
+
+function mergeLocation(pack, manifest, location, tags) {
+  const merged = { ...location, pack: pack.id };
+
+  // A pack base URL replaces the manifest default, not a location's own source
+  const source = pack.baseUrl && !location.media_source
+    ? { type: 'http', base_url: pack.baseUrl }
+    : getSourceConfig(manifest, location);
+  if (source) merged.media_source = source;
+  else delete merged.media_source;
+
+  const publisher = pack.source === undefined ? pack.id : pack.source;
+  if (publisher && !merged.source && !merged.beneos_path) merged.source = publisher;
+
+  const thumbs = pack.thumbs ?? `${pack.manifest.slice(0, pack.manifest.lastIndexOf('/') + 1)}thumbs`;
+  if (merged.thumbnail) merged.thumbnail_url = `${thumbs.replace(/\/+$/, '')}/${merged.folder_name}.jpg`;
+
+  const extra = tags?.[location.id] ?? tags?.[location.folder_name];
+  if (Array.isArray(extra)) {
+    merged.smart_tags = union(merged.smart_tags, extra);
+    merged.searchable_text = [merged.searchable_text, ...extra].filter(Boolean).join(' ');
+  } else if (extra) {
+    merged.flavors = merged.flavors.map(flavor => {
+      const flavorTags = extra[flavor.name] ?? extra[flavor.display_name];
+      return flavorTags ? { ...flavor, smart_tags: union(flavor.smart_tags, flavorTags) } : flavor;
+    });
+  }
+  return merged;
+}
+
+function union(a = [], b = []) {
+  return [...new Set([...a, ...b])];
+}
+
+/**
+ * Fetch and parse a JSON file
+ * @param {string} url
+ * @returns {Promise<*>}
+ * @throws {Error} On HTTP errors and invalid JSON
+ */
+export async function fetchJson(url) {
+  const response = await fetch(url);
+  if (!response.ok) throw new Error(`${url}: HTTP ${response.status}`);
+  // Files saved by Windows editors may start with a byte order mark
+  return JSON.parse((await response.text()).replace(/^\uFEFF/, ''));
+}
+
+// ============================================================================
+// Pack Manager
+// ============================================================================
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Settings form listing every pack, with a row to add world or user packs
+ */
+class PackRegistryConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-packs',
+    classes: ['map-browser-packs'],
+    tag: 'form',
+    window: {
+      title: 'MAP_BROWSER.Packs',
+      icon: 'fas fa-boxes-stacked',
+      contentClasses: ['standard-form'],
+      resizable: true
+    },
+    position: { width: 720 },
+    form: {
+      handler: PackRegistryConfig.#onSubmit,
+      closeOnSubmit: true
+    }
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/packs.hbs`, scrollable: [''] },
+    footer: { template: 'templates/generic/form-footer.hbs' }
+  };
+
+  async _prepareContext(options) {
+    const overrides = game.settings.get(MODULE_ID, 'packSettings') || {};
+    return {
+      packs: getPacks().map(pack => ({
+        ...pack,
+        label: game.i18n.localize(pack.label),
+        originLabel: `MAP_BROWSER.PackOrigin.${pack.origin}`,
+        editable: pack.origin !== 'module',
+        // Module packs show their own values as placeholders
+        baseUrl: pack.origin === 'module' ? overrides[pack.id]?.baseUrl ?? '' : pack.baseUrl ?? '',
+        tagFile: pack.origin === 'module' ? overrides[pack.id]?.tagFile ?? '' : pack.tagFile ?? '',
+        baseUrlPlaceholder: pack.origin === 'module' ? registered.get(pack.id)?.baseUrl ?? '' : '',
+        tagFilePlaceholder: pack.origin === 'module' ? registered.get(pack.id)?.tagFile ?? '' : ''
+      })),
+      origins: { world: 'MAP_BROWSER.PackOrigin.world', user: 'MAP_BROWSER.PackOrigin.user' },
+      buttons: [{ type: 'submit', icon: 'fas fa-save', label: 'SETTINGS.Save' }]
+    };
+  }
+
+  _onRender(context, options) {
+    this.element.querySelectorAll('[data-action="remove-pack"]').forEach(button => {
+      button.addEventListener('click', () => button.closest('.pack-row').remove());
+    });
+  }
+
+  /**
+   * Save toggles and overrides; world/user rows missing from the form were removed
+   */
+  static async #onSubmit(event, form, formData) {
+    const { packs = {}, add = {} } = foundry.utils.expandObject(formData.object);
+    const trim = value => (typeof value === 'string' ? value.trim() : '') || undefined;
+    const lists = { world: [], user: [] };
+    const overrides = {};
+
+    for (const pack of getPacks()) {
+      const submitted = packs[pack.id];
+      if (!submitted) continue;
+      const values = { enabled: !!submitted.enabled, baseUrl: trim(submitted.baseUrl), tagFile: trim(submitted.tagFile) };
+
+      if (pack.origin === 'module') {
+        overrides[pack.id] = Object.fromEntries(Object.entries(values).filter(([, value]) => value !== undefined));
+      } else {
+        const { origin, ...stored } = pack;
+        lists[origin].push({
+          ...stored,
+          ...values,
+          label: trim(submitted.label) ?? pack.label,
+          manifest: trim(submitted.manifest) ?? pack.manifest
+        });
+      }
+    }
+
+    const manifest = trim(add.manifest);
+    if (manifest && ORIGINS.includes(add.origin) && add.origin !== 'module') {
+      const label = trim(add.label) ?? manifest.split('/').pop();
+      const taken = new Set(getPacks().map(pack => pack.id));
+      let id = label.slugify({ strict: true }) || 'pack';
+      for (let n = 2; taken.has(id); n++) id = `${label.slugify({ strict: true }) || 'pack'}-${n}`;
+      lists[add.origin].push({ id, label, manifest, baseUrl: trim(add.baseUrl), tagFile: trim(add.tagFile), enabled: true });
+    }
+
+    await game.settings.set(MODULE_ID, 'packSettings', overrides);
+    await game.settings.set(MODULE_ID, 'worldPacks', lists.world);
+    await game.settings.set(MODULE_ID, 'userPacks', lists.user);
+  }
+}
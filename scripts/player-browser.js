@@ -0,0 +1,102 @@
+/**
+ * Map Browser - Player Browser
+ * Read-only view of the collections a GM shares, for players (enabled by a world setting).
+ * Players can preview the maps but not create scenes or change anything.
+ */
+
+import { loadManifest, getThumbnailUrl } from './manifest.js';
+import { getSharedCollections, resolveCollectionItem, getItemKey } from './collections.js';
+import { MapLightbox } from './lightbox.js';
+import { MODULE_ID } from './constants.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+export class PlayerBrowserApp extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-player',
+    classes: ['map-browser-player'],
+    window: {
+      title: 'MAP_BROWSER.SharedMaps',
+      icon: 'fas fa-map',
+      resizable: true
+    },
+    position: { width: 560, height: 640 }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/player-browser.hbs`, scrollable: ['.collection-items'] }
+  };
+
+  #manifest = null;
+  #collectionId = null;
+
+  async _prepareContext(options) {
+    if (!this.#manifest) {
+      try {
+        this.#manifest = await loadManifest();
+      } catch (err) {
+        console.error(`${MODULE_ID} | Failed to load manifest:`, err);
+        ui.notifications.error(game.i18n.localize('MAP_BROWSER.ManifestLoadFailed'));
+        this.#manifest = { locations: [] };
+      }
+    }
+
+    const lists = getSharedCollections();
+    const active = lists.find(list => list.id === this.#collectionId) ?? lists[0];
+    return {
+      collections: lists.map(list => ({ id: list.id, name: list.name, active: list === active })),
+      items: active ? this.#prepareItems(active) : []
+    };
+  }
+
+  // Items that left the catalogue are of no use to players
+  #prepareItems(collection) {
+    return collection.items.flatMap(item => {
+      const { location, flavor, flavorIndex, file, fileIndex, fileLabel, missing } = resolveCollectionItem(this.#manifest, item);
+      if (missing) return [];
+      return [{
+        key: getItemKey(item),
+        locationId: location.id,
+        title: location.title,
+        thumbnail: getThumbnailUrl(location),
+        flavorLabel: flavor?.display_name || flavor?.name,
+        fileLabel,
+        animated: file?.animated,
+        flavorIndex: flavor ? flavorIndex : undefined,
+        fileIndex: file ? fileIndex : undefined,
+        fileType: item.fileType
+      }];
+    });
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+
+    html.querySelector('[name="collection"]')?.addEventListener('change', ev => {
+      this.#collectionId = ev.target.value;
+      this.render();
+    });
+
+    html.querySelectorAll('[data-action="preview"]').forEach(el => {
+      el.addEventListener('click', async ev => {
+        const { locationId, flavorIndex, fileIndex, fileType } = ev.currentTarget.dataset;
+        const location = this.#manifest.locations.find(l => l.id === locationId);
+        if (!location) return;
+        // Players only get to see what was shared: the whole location, one flavor or one file
+        const shared = flavorIndex !== undefined ? {
+          flavorIndex: parseInt(flavorIndex),
+          fileIndex: fileIndex !== undefined ? parseInt(fileIndex) : undefined,
+          fileType: fileType || undefined
+        } : undefined;
+        await foundry.applications.instances.get('map-browser-lightbox')?.close();
+        new MapLightbox({
+          manifest: this.#manifest,
+          location,
+          ...shared,
+          only: shared,
+          thumbnail: getThumbnailUrl(location)
+        }).render(true);
+      });
+    });
+  }
+}
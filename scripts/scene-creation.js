@@ -0,0 +1,417 @@
+/**
+ * Map Browser - Scene Creation
+ * The one pipeline that turns manifest files into scenes, used by the browser, the lightbox and the API
+ *
+ * For every map:
+ * 1. Size: "width"/"height" on the manifest file, otherwise probed from the media
+ *    (reachability check, then load with retries - see media.js)
+ * 2. Scene.create() with the scene defaults, the calibrated grid and the caller's overrides
+ * 3. Beneos extras: ambience playlist and the Scenery/Battlemap link
+ *
+ * Hooks (both get the scene job's flags plus location, flavor and file as context):
+ * - map-browser.preCreateScene (sceneData, context)  Edit sceneData in place; return false to prevent the scene
+ * - map-browser.sceneCreated (scene, context)        The scene exists and is set up
+ *
+ * A map whose size can't be determined fails instead of becoming a distorted scene.
+ * Progress shows in a dialog that can cancel the run; a scene that was created while
+ * cancelling or whose setup failed is deleted again, as is a location folder left empty.
+ */
+
+import { getMediaUrl } from './manifest.js';
+import { probeMediaDimensions } from './media.js';
+import { resolveSceneDefaults, getSceneDefaultData } from './scene-defaults.js';
+import { getManifestGrid, resolveGridSize } from './grid.js';
+import { attachAmbience, linkScenePair } from './ambience.js';
+import { MODULE_ID } from './constants.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// ============================================================================
+// Jobs
+// ============================================================================
+
+/**
+ * Describe the scene for a Czepeku file or a Beneos scenery/battlemap
+ * @param {Object} manifest - The map manifest
+ * @param {Object} location - The location data
+ * @param {Object} flavor - The flavor data
+ * @param {Object} file - The file to use
+ * @param {string|null} [fileType] - 'scenery' or 'battlemap' for Beneos maps, null for Czepeku
+ * @returns {{sceneName: string, mediaUrl: string|null, isVideo: boolean, dimensions: Object|null,
+ *            sceneDefaults: Object, gridMetadata: Object|null, ambience: Object|null, pairName: string|null,
+ *            sceneOverrides: Object|null, location: Object, flavor: Object, file: Object, flags: Object}}
+ */
+export function getSceneJob(manifest, location, flavor, file, fileType = null) {
+  const isBeneos = !!fileType;
+  const mediaUrl = getMediaUrl(manifest, location, flavor, file, isBeneos);
+
+  // Build scene name
+  let sceneName;
+  if (isBeneos) {
+    sceneName = `${location.title} - ${flavor.display_name}`;
+    if (fileType === 'scenery') {
+      sceneName += ' (Scenery)';
+    }
+  } else {
+    sceneName = location.title;
+    if (flavor.name !== 'Original') {
+      sceneName += ` - ${flavor.display_name}`;
+    }
+    if (file.sub_variant) {
+      sceneName += ` (${file.sub_variant})`;
+    }
+  }
+
+  const flags = {
+    source: isBeneos ? 'beneos' : 'czepeku',
+    locationId: location.id,
+    flavorName: flavor.name,
+    filename: file.filename,
+    ...(isBeneos ? { fileType } : {})
+  };
+
+  return {
+    sceneName,
+    mediaUrl,
+    isVideo: file.animated || false,
+    dimensions: getManifestDimensions(file),
+    sceneDefaults: resolveSceneDefaults(flags, location),
+    gridMetadata: getManifestGrid(location, flavor, file),
+    // Beneos ambience track, played as the scene's playlist sound
+    ambience: isBeneos && flavor.audio_file && mediaUrl ? {
+      playlistName: location.title,
+      soundName: flavor.display_name || flavor.name,
+      url: getMediaUrl(manifest, location, flavor, { filename: flavor.audio_file }, true)
+    } : null,
+    pairName: isBeneos ? `${location.title} - ${flavor.display_name}` : null,
+    // Scene data merged over the defaults, e.g. from the API
+    sceneOverrides: null,
+    location,
+    flavor,
+    file,
+    flags
+  };
+}
+
+/**
+ * Get the media size a manifest file declares
+ * @param {Object} file - Manifest file
+ * @returns {{width: number, height: number}|null}
+ */
+export function getManifestDimensions(file) {
+  const { width, height } = file ?? {};
+  return width > 0 && height > 0 ? { width, height } : null;
+}
+
+/**
+ * Build Scene creation data
+ * @param {Object} job - From getSceneJob()
+ * @param {{width: number, height: number}} dimensions - Media size
+ * @returns {Object}
+ */
+export function buildSceneData(job, dimensions) {
+  const sceneData = getSceneDefaultData(job.sceneDefaults); // Grid, vision, padding, ownership, folder
+  let scale = 1;
+  if (job.sceneDefaults.gridType !== 0 && job.sceneDefaults.gridDetection) {
+    const grid = resolveGridSize(job.flags, job.gridMetadata, dimensions, job.sceneDefaults.gridSize);
+    sceneData.grid.size = grid.size;
+    scale = grid.scale;
+  }
+
+  return {
+    ...sceneData,
+    name: job.sceneName,
+    width: Math.round(dimensions.width * scale),
+    height: Math.round(dimensions.height * scale),
+    background: {
+      src: job.mediaUrl
+    },
+    flags: {
+      [MODULE_ID]: job.flags
+    }
+  };
+}
+
+// ============================================================================
+// Pipeline
+// ============================================================================
+
+/**
+ * Create scenes one after the other behind a cancellable progress dialog.
+ * The dialog closes by itself when a single scene was created; otherwise it
+ * stays open as the summary.
+ * @param {Object[]} jobs - From getSceneJob()
+ * @param {Object} [options]
+ * @param {Object[]} [options.skipped] - Jobs left out by the caller, listed in the summary
+ * @param {Object} [options.locationFolder] - Put the scenes into a folder named after this location
+ * @returns {Promise<{created: Scene[], failed: {job: Object, error: string}[], cancelled: boolean}>}
+ */
+export async function createScenes(jobs, { skipped = [], locationFolder = null } = {}) {
+  const controller = new AbortController();
+  const { signal } = controller;
+  const dialog = new SceneCreationDialog({ jobs, skipped, onCancel: () => controller.abort() });
+  await dialog.render(true);
+
+  const created = [];
+  const failed = [];
+  const folder = locationFolder ? lazyLocationFolder(locationFolder, jobs[0]?.sceneDefaults.folder) : null;
+
+  for (const [index, job] of jobs.entries()) {
+    if (signal.aborted) break;
+    dialog.update(index, { state: 'working', detail: null });
+    try {
+      const { scene, warning } = await runSceneJob(job, {
+        signal,
+        folder: folder?.get,
+        onStatus: detail => dialog.update(index, { detail })
+      });
+      created.push(scene);
+      dialog.update(index, { state: 'success', detail: warning });
+    } catch (err) {
+      if (signal.aborted) break;
+      console.error(`${MODULE_ID} | Failed to create ${job.sceneName}:`, err);
+      failed.push({ job, error: err.message });
+      dialog.update(index, { state: 'failure', detail: err.message });
+    }
+  }
+
+  const cancelled = signal.aborted;
+  if (cancelled) dialog.cancelPending();
+  if (folder && !created.length) await folder.discard();
+
+  dialog.finish({ created: created.length, total: jobs.length, cancelled });
+  if (jobs.length === 1 && created.length === 1) dialog.close();
+  return { created, failed, cancelled };
+}
+
+/**
+ * Create one scene without any UI. Nothing is left behind when this throws.
+ * @param {Object} job - From getSceneJob()
+ * @param {Object} [options]
+ * @param {AbortSignal} [options.signal] - Cancels the run; a scene created meanwhile is deleted
+ * @param {Function} [options.folder] - Resolves to the folder for the scene
+ * @param {Function} [options.onStatus] - Called with a localized status line
+ * @returns {Promise<{scene: Scene, warning: string|null}>}
+ */
+export async function runSceneJob(job, { signal, folder, onStatus } = {}) {
+  // No media backend configured for this location
+  if (!job.mediaUrl) {
+    throw new Error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
+  }
+
+  let dimensions = job.dimensions;
+  if (!dimensions) {
+    onStatus?.(game.i18n.localize(job.isVideo ? 'MAP_BROWSER.CreationProbingVideo' : 'MAP_BROWSER.CreationProbingImage'));
+    dimensions = await probeDimensions(job, { signal, onStatus });
+  }
+
+  onStatus?.(game.i18n.localize('MAP_BROWSER.CreationCreating'));
+  const folderId = (await folder?.())?.id;
+  signal?.throwIfAborted();
+  let sceneData = { ...buildSceneData(job, dimensions), ...(folderId ? { folder: folderId } : {}) };
+  if (job.sceneOverrides) sceneData = foundry.utils.mergeObject(sceneData, job.sceneOverrides);
+
+  const context = { ...job.flags, location: job.location, flavor: job.flavor, file: job.file };
+  if (Hooks.call(`${MODULE_ID}.preCreateScene`, sceneData, context) === false) {
+    throw new Error(game.i18n.localize('MAP_BROWSER.SceneCreationPrevented'));
+  }
+  console.log(`${MODULE_ID} | Creating scene:`, sceneData);
+  const scene = await Scene.create(sceneData);
+  if (!scene) {
+    throw new Error(game.i18n.localize('MAP_BROWSER.SceneCreateEmpty'));
+  }
+
+  try {
+    signal?.throwIfAborted();
+    const warning = await setupBeneosScene(job, scene);
+    Hooks.callAll(`${MODULE_ID}.sceneCreated`, scene, context);
+    return { scene, warning };
+  } catch (err) {
+    await scene.delete().catch(deleteErr => console.error(`${MODULE_ID} | Could not remove ${scene.name}:`, deleteErr));
+    throw err;
+  }
+}
+
+/**
+ * Probe the media size, reporting retries and turning failures into a readable message
+ * @param {Object} job - From getSceneJob()
+ * @param {Object} options - signal and onStatus, see runSceneJob()
+ * @returns {Promise<{width: number, height: number}>}
+ */
+async function probeDimensions(job, { signal, onStatus }) {
+  try {
+    return await probeMediaDimensions(job.mediaUrl, job.isVideo, {
+      signal,
+      onRetry: ({ attempt, attempts, delay, error }) => onStatus?.(game.i18n.format('MAP_BROWSER.CreationRetry', {
+        attempt, attempts, error: error.message, seconds: Math.round(delay / 1000)
+      }))
+    });
+  } catch (err) {
+    if (signal?.aborted) throw err;
+    if (err.status) throw new Error(game.i18n.format('MAP_BROWSER.MediaUnreachable', { status: err.status }));
+    throw new Error(game.i18n.format('MAP_BROWSER.MediaProbeFailed', { attempts: err.attempts ?? 1, error: err.message }));
+  }
+}
+
+/**
+ * Attach the ambience playlist and link the Scenery/Battlemap pair of a new Beneos scene.
+ * Problems here are reported but never undo the scene itself.
+ * @param {Object} job - From getSceneJob()
+ * @param {Scene} scene - The created scene
+ * @returns {Promise<string|null>} A warning for the summary
+ */
+async function setupBeneosScene(job, scene) {
+  if (job.flags.source !== 'beneos') return null;
+  let warning = null;
+  try {
+    if (job.ambience) await attachAmbience(scene, job.ambience);
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Could not set up ambience:`, err);
+    warning = game.i18n.format('MAP_BROWSER.AmbienceFailed', { error: err.message });
+  }
+  try {
+    await linkScenePair(scene, job.pairName);
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Could not link Scenery and Battlemap:`, err);
+  }
+  return warning;
+}
+
+/**
+ * Find or create the Scenes folder named after a location (inside the configured
+ * target folder, if any) the first time a scene needs it
+ * @param {Object} location - The location data
+ * @param {string|null} [parentId] - Target folder from the scene defaults
+ * @returns {{get: Function, discard: Function}} discard() removes the folder again if it was new
+ */
+function lazyLocationFolder(location, parentId = null) {
+  let promise = null;
+  let createdId = null;
+
+  const get = () => {
+    promise ??= (async () => {
+      const parent = parentId && game.folders.get(parentId) ? parentId : null;
+      const existing = game.folders.find(f =>
+        f.type === 'Scene' && f.name === location.title && (f.folder?.id ?? null) === parent);
+      if (existing) return existing;
+      const folder = await Folder.create({ name: location.title, type: 'Scene', color: '#8b2020', folder: parent });
+      createdId = folder?.id ?? null;
+      return folder;
+    })().catch(err => {
+      console.warn(`${MODULE_ID} | Could not create scene folder:`, err);
+      return null;
+    });
+    return promise;
+  };
+
+  const discard = async () => {
+    const folder = createdId && game.folders.get(createdId);
+    if (folder && !folder.contents.length) await folder.delete();
+  };
+
+  return { get, discard };
+}
+
+// ============================================================================
+// Progress Dialog
+// ============================================================================
+
+const ROW_ICONS = {
+  pending: 'far fa-clock',
+  working: 'fas fa-spinner fa-spin',
+  success: 'fas fa-check',
+  failure: 'fas fa-times',
+  skipped: 'fas fa-forward',
+  cancelled: 'fas fa-ban'
+};
+
+/**
+ * One row per map with its state; Cancel stops after the current step
+ */
+class SceneCreationDialog extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-creation',
+    classes: ['map-browser-creation'],
+    window: {
+      title: 'MAP_BROWSER.CreationTitle',
+      icon: 'fas fa-map'
+    },
+    position: { width: 480, height: 'auto' }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/scene-creation.hbs`, scrollable: ['.map-browser-batch-summary'] }
+  };
+
+  #rows;
+  #onCancel;
+  #result = null;
+
+  constructor({ jobs, skipped, onCancel, ...options }) {
+    super(options);
+    this.#rows = [
+      ...jobs.map(job => ({ name: job.sceneName, state: 'pending', detail: null })),
+      ...skipped.map(job => ({
+        name: job.sceneName, state: 'skipped', detail: game.i18n.localize('MAP_BROWSER.BatchSkipped')
+      }))
+    ];
+    this.#onCancel = onCancel;
+  }
+
+  /**
+   * Change a row and re-render
+   * @param {number} index - Job index
+   * @param {{state?: string, detail?: string|null}} changes
+   */
+  update(index, changes) {
+    Object.assign(this.#rows[index], changes);
+    if (this.rendered) this.render();
+  }
+
+  /**
+   * Mark every job that never started as cancelled
+   */
+  cancelPending() {
+    for (const row of this.#rows) {
+      if (row.state === 'pending' || row.state === 'working') {
+        row.state = 'cancelled';
+        row.detail = game.i18n.localize('MAP_BROWSER.CreationCancelled');
+      }
+    }
+  }
+
+  /**
+   * Show the summary and swap Cancel for Close
+   * @param {{created: number, total: number, cancelled: boolean}} result
+   */
+  finish(result) {
+    this.#result = result;
+    if (this.rendered) this.render();
+  }
+
+  async _prepareContext(options) {
+    const done = this.#rows.filter(row => !['pending', 'working'].includes(row.state)).length;
+    const result = this.#result;
+    return {
+      rows: this.#rows.map(row => ({ ...row, icon: ROW_ICONS[row.state] })),
+      done,
+      total: this.#rows.length,
+      finished: !!result,
+      summary: result && game.i18n.format(result.cancelled ? 'MAP_BROWSER.CreationStopped' : 'MAP_BROWSER.BatchDone', result)
+    };
+  }
+
+  _onRender(context, options) {
+    this.element.querySelector('[data-action="cancel-creation"]')?.addEventListener('click', event => {
+      event.currentTarget.disabled = true;
+      this.#onCancel();
+    });
+    this.element.querySelector('[data-action="close-creation"]')?.addEventListener('click', () => this.close());
+  }
+
+  async close(options) {
+    // Closing the window while scenes are still being made cancels the run
+    if (!this.#result) this.#onCancel();
+    return super.close(options);
+  }
+}
@@ -0,0 +1,306 @@
+/**
+ * Map Browser - Scene Defaults
+ * Configurable scene settings applied to every scene the browser creates
+ *
+ * Values are resolved in this order (later wins):
+ * 1. Built-in defaults (square 100px grid, 5 ft, no vision - the old hardcoded values)
+ * 2. The "All scenes" profile from the settings form
+ * 3. Built-in per-source values (Beneos scenery is gridless)
+ * 4. The per-source profile (Czepeku, Beneos battlemap, Beneos scenery)
+ * 5. `scene_defaults` on the manifest location, using the same keys, e.g.
+ *    { "gridType": 2, "gridDistance": 1.5, "gridUnits": "m" }
+ */
+
+import { MODULE_ID } from './constants.js';
+
+const SETTING = 'sceneDefaults';
+
+// Settings profiles - 'default' applies to all scenes, the others override it per source
+export const SCENE_PROFILES = {
+  default: 'MAP_BROWSER.ProfileDefault',
+  czepeku: 'MAP_BROWSER.Sources.czepeku',
+  beneosBattlemap: 'MAP_BROWSER.ProfileBeneosBattlemap',
+  beneosScenery: 'MAP_BROWSER.ProfileBeneosScenery'
+};
+
+// Built-in values; Beneos scenery is a cinematic backdrop, so it has no grid
+const BUILTIN_DEFAULTS = {
+  gridType: 1,
+  gridSize: 100,
+  gridDistance: 5,
+  gridUnits: 'ft',
+  gridDetection: true,
+  tokenVision: false,
+  fogExploration: true,
+  padding: 0,
+  backgroundColor: '#000000',
+  navigation: true,
+  ownership: 0,
+  folder: null
+};
+const BUILTIN_PROFILES = {
+  beneosScenery: { gridType: 0 }
+};
+
+// Field definitions for the settings form and for coercing submitted values
+const FIELDS = {
+  gridType: {
+    type: 'choice',
+    label: 'MAP_BROWSER.GridType',
+    choices: {
+      0: 'MAP_BROWSER.GridGridless',
+      1: 'MAP_BROWSER.GridSquare',
+      2: 'MAP_BROWSER.GridHexOddR',
+      3: 'MAP_BROWSER.GridHexEvenR',
+      4: 'MAP_BROWSER.GridHexOddQ',
+      5: 'MAP_BROWSER.GridHexEvenQ'
+    }
+  },
+  gridSize: { type: 'number', label: 'MAP_BROWSER.GridSize', min: 50, step: 1 },
+  gridDistance: { type: 'number', label: 'MAP_BROWSER.GridDistance', min: 0.01, step: 0.01 },
+  gridUnits: { type: 'text', label: 'MAP_BROWSER.GridUnits' },
+  gridDetection: { type: 'boolean', label: 'MAP_BROWSER.GridDetection' },
+  tokenVision: { type: 'boolean', label: 'MAP_BROWSER.TokenVision' },
+  fogExploration: { type: 'boolean', label: 'MAP_BROWSER.FogExploration' },
+  padding: { type: 'number', label: 'MAP_BROWSER.Padding', min: 0, max: 0.5, step: 0.05 },
+  backgroundColor: { type: 'text', label: 'MAP_BROWSER.BackgroundColor' },
+  navigation: { type: 'boolean', label: 'MAP_BROWSER.Navigation' },
+  ownership: {
+    type: 'choice',
+    label: 'MAP_BROWSER.Ownership',
+    choices: {
+      0: 'OWNERSHIP.NONE',
+      1: 'OWNERSHIP.LIMITED',
+      2: 'OWNERSHIP.OBSERVER'
+    }
+  },
+  folder: { type: 'folder', label: 'MAP_BROWSER.TargetFolder' }
+};
+
+// ============================================================================
+// Settings
+// ============================================================================
+
+/**
+ * Register the scene defaults setting and its configuration form (call during init)
+ */
+export function registerSceneDefaultSettings() {
+  game.settings.register(MODULE_ID, SETTING, {
+    scope: 'world',
+    config: false,
+    type: Object,
+    default: {}
+  });
+
+  game.settings.registerMenu(MODULE_ID, `${SETTING}Menu`, {
+    name: 'MAP_BROWSER.SceneDefaults',
+    label: 'MAP_BROWSER.SceneDefaultsConfigure',
+    hint: 'MAP_BROWSER.SceneDefaultsHint',
+    icon: 'fas fa-sliders',
+    type: SceneDefaultsConfig,
+    restricted: true
+  });
+}
+
+/**
+ * Get the profile key for a scene
+ * @param {{source: string, fileType?: string}} flags - Map browser scene flags
+ * @returns {string} A key of SCENE_PROFILES
+ */
+export function getSceneProfile({ source, fileType }) {
+  if (source !== 'beneos') return 'czepeku';
+  return fileType === 'scenery' ? 'beneosScenery' : 'beneosBattlemap';
+}
+
+/**
+ * Resolve the scene defaults for one map
+ * @param {{source: string, fileType?: string}} flags - Map browser scene flags
+ * @param {Object} [location] - Manifest location (may carry scene_defaults)
+ * @returns {Object} Complete set of values, see BUILTIN_DEFAULTS
+ */
+export function resolveSceneDefaults(flags, location) {
+  const profile = getSceneProfile(flags);
+  const stored = game.settings.get(MODULE_ID, SETTING) || {};
+  return {
+    ...BUILTIN_DEFAULTS,
+    ...stripUnset(stored.default),
+    ...BUILTIN_PROFILES[profile],
+    ...stripUnset(stored[profile]),
+    ...stripUnset(location?.scene_defaults)
+  };
+}
+
+/**
+ * Turn resolved defaults into Scene creation data
+ * @param {Object} defaults - From resolveSceneDefaults()
+ * @returns {Object} Partial Scene data (without name, size and background)
+ */
+export function getSceneDefaultData(defaults) {
+  const data = {
+    backgroundColor: defaults.backgroundColor,
+    grid: {
+      type: defaults.gridType,
+      size: defaults.gridSize,
+      distance: defaults.gridDistance,
+      units: defaults.gridUnits
+    },
+    padding: defaults.padding,
+    tokenVision: defaults.tokenVision,
+    fog: { exploration: defaults.fogExploration },
+    navigation: defaults.navigation,
+    ownership: { default: defaults.ownership }
+  };
+
+  // Ignore folders that were deleted since the setting was saved
+  if (defaults.folder && game.folders.get(defaults.folder)) {
+    data.folder = defaults.folder;
+  }
+  return data;
+}
+
+function stripUnset(values) {
+  return Object.fromEntries(
+    Object.entries(values || {}).filter(([key, value]) => key in FIELDS && value !== undefined && value !== '')
+  );
+}
+
+// ============================================================================
+// Settings Form
+// ============================================================================
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+/**
+ * Settings form for the scene defaults and per-source overrides
+ */
+class SceneDefaultsConfig extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-scene-defaults',
+    classes: ['map-browser-scene-defaults'],
+    tag: 'form',
+    window: {
+      title: 'MAP_BROWSER.SceneDefaults',
+      icon: 'fas fa-sliders',
+      contentClasses: ['standard-form']
+    },
+    position: { width: 520 },
+    form: {
+      handler: SceneDefaultsConfig.#onSubmit,
+      closeOnSubmit: true
+    }
+  };
+
+  static PARTS = {
+    form: { template: `modules/${MODULE_ID}/templates/scene-defaults.hbs`, scrollable: [''] },
+    footer: { template: 'templates/generic/form-footer.hbs' }
+  };
+
+  async _prepareContext(options) {
+    const stored = game.settings.get(MODULE_ID, SETTING) || {};
+    const folders = game.folders
+      .filter(folder => folder.type === 'Scene')
+      .map(folder => ({ value: folder.id, label: folder.name }))
+      .sort((a, b) => a.label.localeCompare(b.label));
+
+    const profiles = Object.entries(SCENE_PROFILES).map(([key, label]) => {
+      const isDefault = key === 'default';
+      const values = { ...getBuiltinValues(key), ...stripUnset(stored[key]) };
+      return {
+        key,
+        label,
+        isDefault,
+        open: isDefault || Object.keys(values).length > 0,
+        fields: Object.entries(FIELDS).map(([name, field]) =>
+          this.#prepareField(`${key}.${name}`, field, values[name], isDefault, folders))
+      };
+    });
+
+    return {
+      profiles,
+      buttons: [{ type: 'submit', icon: 'fas fa-save', label: 'SETTINGS.Save' }]
+    };
+  }
+
+  /**
+   * Describe one form field. Override profiles get an empty "inherit" choice.
+   */
+  #prepareField(name, field, value, isDefault, folders) {
+    const inherit = { value: '', label: game.i18n.localize('MAP_BROWSER.Inherit') };
+    const choicesFor = (entries) => {
+      const options = entries.map(option => ({ ...option, selected: String(option.value) === String(value) }));
+      return isDefault ? options : [{ ...inherit, selected: value === undefined }, ...options];
+    };
+
+    switch (field.type) {
+      case 'choice':
+        return {
+          name, label: field.label, isSelect: true,
+          options: choicesFor(Object.entries(field.choices)
+            .map(([choice, label]) => ({ value: choice, label: game.i18n.localize(label) })))
+        };
+      case 'boolean':
+        return {
+          name, label: field.label, isSelect: true,
+          options: choicesFor([
+            { value: 'true', label: game.i18n.localize('Yes') },
+            { value: 'false', label: game.i18n.localize('No') }
+          ])
+        };
+      case 'folder':
+        return {
+          name, label: field.label, isSelect: true,
+          options: choicesFor([
+            { value: 'none', label: game.i18n.localize('MAP_BROWSER.NoFolder') },
+            ...folders
+          ]).map(option => ({ ...option, selected: option.selected || (option.value === 'none' && value === null) }))
+        };
+      default:
+        return {
+          name, label: field.label, isNumber: field.type === 'number',
+          value: value ?? '', min: field.min, max: field.max, step: field.step,
+          placeholder: isDefault ? '' : game.i18n.localize('MAP_BROWSER.Inherit')
+        };
+    }
+  }
+
+  /**
+   * Save the submitted profiles, dropping "inherit" values and values that match the built-ins,
+   * so only what the GM changed is stored
+   */
+  static async #onSubmit(event, form, formData) {
+    const submitted = foundry.utils.expandObject(formData.object);
+    const data = {};
+    for (const key of Object.keys(SCENE_PROFILES)) {
+      const builtin = getBuiltinValues(key);
+      data[key] = {};
+      for (const [name, field] of Object.entries(FIELDS)) {
+        const raw = submitted[key]?.[name];
+        if (raw === undefined || raw === null || raw === '') continue;
+        const value = coerceValue(field, raw);
+        if (value !== undefined && value !== builtin[name]) data[key][name] = value;
+      }
+    }
+    await game.settings.set(MODULE_ID, SETTING, data);
+  }
+}
+
+// What a profile starts from before the GM changes anything
+function getBuiltinValues(profile) {
+  return profile === 'default' ? BUILTIN_DEFAULTS : BUILTIN_PROFILES[profile] ?? {};
+}
+
+function coerceValue(field, raw) {
+  switch (field.type) {
+    case 'choice':
+    case 'number': {
+      const value = Number(raw);
+      return Number.isFinite(value) ? value : undefined;
+    }
+    case 'boolean':
+      return raw === true || raw === 'true';
+    case 'folder':
+      return raw === 'none' ? null : String(raw);
+    default:
+      return String(raw).trim() || undefined;
+  }
+}
@@ -0,0 +1,420 @@
+/**
+ * Map Browser - Search
+ * Ranked, typo-tolerant search over the map manifest
+ *
+ * Query syntax:
+ * - word            Fuzzy match against title, folder, flavor names, tags and text
+ * - "exact phrase"  Phrase must appear verbatim in one field
+ * - -word           Exclude flavors matching the word
+ * - tag:swamp       Flavor must carry the tag (-tag:swamp excludes it)
+ *                   Localized tag labels work too - tag:sumpf finds "swamp" in German
+ * - source:beneos   Restrict to a publisher (czepeku, beneos)
+ * - setting:strahd  Restrict to a campaign setting (substring match)
+ */
+
+// Field weights - title hits outrank tag hits outrank free-text hits
+const FIELD_WEIGHTS = {
+  title: 10,
+  folder: 8,
+  tags: 7,
+  flavor: 6,
+  text: 2
+};
+
+const FILTER_KEYS = ['tag', 'source', 'setting'];
+
+// Per-location search documents, rebuilt whenever the manifest object or the tag labels change
+let documentCache = new WeakMap();
+
+// Localized tag labels (tag → label) and their reverse lookup (normalized label → tag)
+let tagLabels = new Map();
+let tagsByLabel = new Map();
+
+// ============================================================================
+// Query Parsing
+// ============================================================================
+
+/**
+ * Parse a search query into terms, phrases and filters
+ * @param {string} query - The raw query string
+ * @returns {{terms: string[], phrases: string[], excludedTerms: string[], excludedPhrases: string[],
+ *            filters: Object<string, string[]>, excludedFilters: Object<string, string[]>}}
+ */
+export function parseQuery(query) {
+  const parsed = {
+    terms: [],
+    phrases: [],
+    excludedTerms: [],
+    excludedPhrases: [],
+    filters: { tag: [], source: [], setting: [] },
+    excludedFilters: { tag: [], source: [], setting: [] }
+  };
+
+  // -?key:"value" | -?key:value | -?"phrase" | -?word
+  const tokenPattern = /(-?)(?:(\w+):(?:"([^"]*)"|(\S+))|"([^"]*)"?|(\S+))/g;
+  for (const match of (query || '').matchAll(tokenPattern)) {
+    const [, negated, key, quotedValue, value, phrase, word] = match;
+    const exclude = negated === '-';
+
+    if (key !== undefined) {
+      const filterKey = key.toLowerCase();
+      let filterValue = normalize(quotedValue ?? value);
+      if (filterKey === 'tag') filterValue = resolveTagName(filterValue);
+      if (FILTER_KEYS.includes(filterKey)) {
+        if (filterValue) {
+          (exclude ? parsed.excludedFilters : parsed.filters)[filterKey].push(filterValue);
+        }
+        continue;
+      }
+      // Unknown key - treat "foo:bar" as plain words
+      for (const term of tokenize(`${key} ${quotedValue ?? value}`)) {
+        (exclude ? parsed.excludedTerms : parsed.terms).push(term);
+      }
+    } else if (phrase !== undefined) {
+      const normalized = normalize(phrase);
+      if (normalized) (exclude ? parsed.excludedPhrases : parsed.phrases).push(normalized);
+    } else if (word !== undefined) {
+      for (const term of tokenize(word)) {
+        (exclude ? parsed.excludedTerms : parsed.terms).push(term);
+      }
+    }
+  }
+
+  return parsed;
+}
+
+/**
+ * Check whether a parsed query has anything to filter by
+ * @param {Object} parsed - Result of parseQuery()
+ * @returns {boolean}
+ */
+export function isEmptyQuery(parsed) {
+  return parsed.terms.length === 0 && parsed.phrases.length === 0 &&
+    parsed.excludedTerms.length === 0 && parsed.excludedPhrases.length === 0 &&
+    FILTER_KEYS.every(key => parsed.filters[key].length === 0 && parsed.excludedFilters[key].length === 0);
+}
+
+// ============================================================================
+// Tag Labels
+// ============================================================================
+
+/**
+ * Register localized tag labels so free-text and tag: searches match them
+ * alongside the canonical tag names
+ * @param {Object<string, string>|Map<string, string>} labels - Tag → display label
+ */
+export function setTagLabels(labels) {
+  tagLabels = new Map(labels instanceof Map ? labels : Object.entries(labels || {}));
+  tagsByLabel = new Map();
+  for (const [tag, label] of tagLabels) {
+    const normalized = normalize(label);
+    if (normalized && normalized !== tag && !tagsByLabel.has(normalized)) tagsByLabel.set(normalized, tag);
+  }
+  documentCache = new WeakMap();
+}
+
+/**
+ * Turn a tag name or a localized tag label into the canonical tag
+ * @param {string} text - e.g. "swamp" or "Sumpf"
+ * @returns {string} The canonical tag (normalized input if it isn't a known label)
+ */
+export function resolveTagName(text) {
+  const normalized = normalize(text);
+  return tagsByLabel.get(normalized) ?? normalized;
+}
+
+/**
+ * Get the display label of a tag
+ * @param {string} tag - Canonical tag name
+ * @returns {string} The localized label, or the tag itself if none is registered
+ */
+export function getTagLabel(tag) {
+  return tagLabels.get(tag) || tag;
+}
+
+// ============================================================================
+// Searching
+// ============================================================================
+
+/**
+ * Search locations and rank them by relevance
+ * A location matches if at least one of its flavors matches the whole query.
+ * @param {Object[]} locations - Manifest locations
+ * @param {Object} parsed - Result of parseQuery()
+ * @returns {{location: Object, score: number, flavorIndices: number[]|null, matches: Set<string>}[]}
+ *          Sorted best match first; flavorIndices is null for locations without flavors
+ */
+export function searchLocations(locations, parsed) {
+  const results = [];
+
+  locations.forEach((location, order) => {
+    const source = getLocationSource(location);
+    const setting = location.setting || 'generic';
+    if (!matchesValue(source, parsed.filters.source, parsed.excludedFilters.source)) return;
+    if (!matchesValue(setting, parsed.filters.setting, parsed.excludedFilters.setting)) return;
+
+    const docs = getDocuments(location);
+    const matches = new Set();
+    const flavorIndices = [];
+    let best = -1;
+
+    for (const doc of docs) {
+      const score = scoreDocument(doc, parsed, matches);
+      if (score < 0) continue;
+      best = Math.max(best, score);
+      if (doc.flavorIndex !== null) flavorIndices.push(doc.flavorIndex);
+    }
+
+    if (best < 0) return;
+    results.push({
+      location,
+      score: best,
+      order,
+      flavorIndices: location.flavors?.length ? flavorIndices : null,
+      matches
+    });
+  });
+
+  // Best score first, manifest order as tie-breaker
+  results.sort((a, b) => b.score - a.score || a.order - b.order);
+  return results;
+}
+
+/**
+ * Get the publisher of a location
+ * @param {Object} location - Manifest location
+ * @returns {string} 'beneos' or 'czepeku' (or the manifest's own source field)
+ */
+export function getLocationSource(location) {
+  if (location.source) return location.source;
+  return location.beneos_path || location.id?.startsWith('beneos-') ? 'beneos' : 'czepeku';
+}
+
+/**
+ * Wrap matched words in <mark> tags, escaping everything else
+ * @param {string} text - Plain text to highlight
+ * @param {Set<string>} matches - Lower-cased words/phrases to highlight
+ * @returns {string} Safe HTML
+ */
+export function highlightText(text, matches) {
+  if (!text) return '';
+  if (!matches?.size) return escapeHTML(text);
+
+  // Only highlight at word starts so "a" doesn't light up every letter
+  const needles = [...matches].sort((a, b) => b.length - a.length).map(escapeRegExp);
+  const pattern = new RegExp(`(?<![a-z0-9])(${needles.join('|')})`, 'gi');
+  return text.split(pattern)
+    .map((part, i) => (i % 2 === 1 ? `<mark>${escapeHTML(part)}</mark>` : escapeHTML(part)))
+    .join('');
+}
+
+/**
+ * Check whether a tag was hit by the query (exactly or by word prefix)
+ * @param {string} tag - Tag name
+ * @param {Set<string>} matches - Matched words from searchLocations()
+ * @returns {boolean}
+ */
+export function isTagMatched(tag, matches) {
+  if (!matches?.size) return false;
+  if (matches.has(tag)) return true;
+  const label = tagLabels.get(tag);
+  if (label && matches.has(normalize(label))) return true;
+  const words = label ? [...tokenize(tag), ...tokenize(label)] : tokenize(tag);
+  return words.some(word => [...matches].some(match => word.startsWith(match)));
+}
+
+// ============================================================================
+// Scoring
+// ============================================================================
+
+/**
+ * Score one search document (location + one flavor) against the query
+ * @param {Object} doc - Search document
+ * @param {Object} parsed - Parsed query
+ * @param {Set<string>} matches - Collects the words that matched, for highlighting
+ * @returns {number} Score, or -1 if the document does not match
+ */
+function scoreDocument(doc, parsed, matches) {
+  // Tag filters are exact
+  if (parsed.filters.tag.some(tag => !doc.tags.has(tag))) return -1;
+  if (parsed.excludedFilters.tag.some(tag => doc.tags.has(tag))) return -1;
+
+  // Exclusions never use fuzzy matching - "-night" should not drop "knight"
+  for (const term of parsed.excludedTerms) {
+    if (doc.fields.some(field => field.words.some(word => word === term || word.startsWith(term)))) return -1;
+  }
+  for (const phrase of parsed.excludedPhrases) {
+    if (doc.fields.some(field => field.text.includes(phrase))) return -1;
+  }
+
+  const found = [];
+  let score = 0;
+
+  for (const phrase of parsed.phrases) {
+    const field = doc.fields.find(f => f.text.includes(phrase));
+    if (!field) return -1;
+    score += field.weight;
+    found.push(phrase);
+  }
+
+  for (const term of parsed.terms) {
+    let bestScore = 0;
+    let bestWord = null;
+    for (const field of doc.fields) {
+      for (const word of field.words) {
+        const quality = matchQuality(term, word);
+        if (quality > 0 && quality * field.weight > bestScore) {
+          bestScore = quality * field.weight;
+          bestWord = word;
+        }
+      }
+    }
+    if (!bestWord) return -1;
+    score += bestScore;
+    found.push(bestWord.startsWith(term) ? term : bestWord);
+  }
+
+  found.forEach(word => matches.add(word));
+  parsed.filters.tag.forEach(tag => matches.add(tag));
+  return score;
+}
+
+/**
+ * How well a query term matches a document word
+ * @param {string} term - Query term
+ * @param {string} word - Document word
+ * @returns {number} 0 (no match) to 1 (exact)
+ */
+function matchQuality(term, word) {
+  if (word === term) return 1;
+  if (term.length >= 2 && word.startsWith(term)) return 0.8;
+  if (term.length >= 3 && word.includes(term)) return 0.5;
+
+  // Typo tolerance: 1 edit for short terms, 2 for long ones
+  if (term.length < 4) return 0;
+  const maxDistance = term.length >= 8 ? 2 : 1;
+  if (Math.abs(word.length - term.length) > maxDistance) return 0;
+  const distance = editDistance(term, word, maxDistance);
+  return distance <= maxDistance ? 0.45 - 0.1 * (distance - 1) : 0;
+}
+
+/**
+ * Optimal string alignment distance (Levenshtein + adjacent transpositions)
+ * Stops early once every path exceeds maxDistance.
+ * @param {string} a
+ * @param {string} b
+ * @param {number} maxDistance
+ * @returns {number}
+ */
+function editDistance(a, b, maxDistance) {
+  let prevPrev = null;
+  let prev = Array.from({ length: b.length + 1 }, (_, j) => j);
+
+  for (let i = 1; i <= a.length; i++) {
+    const row = [i];
+    let rowMin = i;
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      let value = Math.min(prev[j] + 1, row[j - 1] + 1, prev[j - 1] + cost);
+      if (prevPrev && i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        value = Math.min(value, prevPrev[j - 2] + 1);
+      }
+      row[j] = value;
+      rowMin = Math.min(rowMin, value);
+    }
+    if (rowMin > maxDistance) return rowMin;
+    prevPrev = prev;
+    prev = row;
+  }
+
+  return prev[b.length];
+}
+
+// ============================================================================
+// Documents
+// ============================================================================
+
+/**
+ * Build (or fetch cached) search documents for a location - one per flavor
+ * @param {Object} location - Manifest location
+ * @returns {Object[]}
+ */
+function getDocuments(location) {
+  let docs = documentCache.get(location);
+  if (docs) return docs;
+
+  const baseFields = [
+    makeField(location.title, FIELD_WEIGHTS.title),
+    makeField(location.folder_name, FIELD_WEIGHTS.folder),
+    makeField(location.searchable_text, FIELD_WEIGHTS.text)
+  ];
+  const baseTags = location.smart_tags || [];
+
+  // Hidden flavors keep their place, so the indices still point into location.flavors
+  const flavors = (location.flavors || []).map((flavor, index) => ({ flavor, index })).filter(({ flavor }) => !flavor.hidden);
+  if (flavors.length === 0) {
+    docs = [makeDocument(baseFields, baseTags, [], null)];
+  } else {
+    docs = flavors.map(({ flavor, index }) => makeDocument(
+      [...baseFields, makeField([flavor.display_name, flavor.name].join(' '), FIELD_WEIGHTS.flavor)],
+      baseTags,
+      flavor.smart_tags || [],
+      index
+    ));
+  }
+
+  documentCache.set(location, docs);
+  return docs;
+}
+
+function makeDocument(fields, locationTags, flavorTags, flavorIndex) {
+  const tags = new Set([...locationTags, ...flavorTags]);
+  const labels = [...tags].map(tag => tagLabels.get(tag)).filter(Boolean);
+  return {
+    flavorIndex,
+    tags,
+    fields: [...fields, makeField([...tags, ...labels].join(' '), FIELD_WEIGHTS.tags)]
+  };
+}
+
+function makeField(text, weight) {
+  const normalized = normalize(text);
+  return { text: normalized, words: tokenize(normalized), weight };
+}
+
+// ============================================================================
+// Text Helpers
+// ============================================================================
+
+function matchesValue(value, included, excluded) {
+  if (included.length && !included.some(v => value.includes(v))) return false;
+  if (excluded.some(v => value.includes(v))) return false;
+  return true;
+}
+
+function normalize(text) {
+  return (text || '')
+    .toLowerCase()
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .replace(/ß/g, 'ss')
+    .replace(/_/g, ' ')
+    .trim();
+}
+
+function tokenize(text) {
+  return normalize(text).split(/[^a-z0-9]+/).filter(word => word.length > 0);
+}
+
+function escapeRegExp(text) {
+  return text.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+}
+
+function escapeHTML(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
@@ -0,0 +1,194 @@
+/**
+ * Map Browser - Show to Players
+ * Put a map on players' screens without creating a scene: the GM broadcasts the media URL
+ * over the module socket and each addressed client opens a viewer (images and looping videos)
+ *
+ * Also the world setting that lets players open a read-only browser of the shared collections,
+ * see player-browser.js
+ */
+
+import { MODULE_ID } from './constants.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+const SOCKET = `module.${MODULE_ID}`;
+const PLAYER_BROWSER_SETTING = 'playerBrowser';
+
+/**
+ * Register the player browser setting (call during init)
+ */
+export function registerSharingSettings() {
+  game.settings.register(MODULE_ID, PLAYER_BROWSER_SETTING, {
+    name: 'MAP_BROWSER.PlayerBrowser',
+    hint: 'MAP_BROWSER.PlayerBrowserHint',
+    scope: 'world',
+    config: true,
+    type: Boolean,
+    default: false,
+    requiresReload: true
+  });
+}
+
+/**
+ * Listen for maps the GM shows (call once the game is ready)
+ */
+export function registerSharingSocket() {
+  game.socket.on(SOCKET, onSocketMessage);
+}
+
+/**
+ * @returns {boolean} Whether players may open the read-only browser
+ */
+export function isPlayerBrowserEnabled() {
+  return game.settings.get(MODULE_ID, PLAYER_BROWSER_SETTING);
+}
+
+// ============================================================================
+// Broadcasting
+// ============================================================================
+
+/**
+ * Show a map to players (GM only)
+ * @param {{url: string, title: string, isVideo?: boolean}} media
+ * @param {Object} [options]
+ * @param {string[]} [options.users] - User IDs or names; every connected player if omitted
+ * @returns {string[]|null} The addressed user IDs, null for everyone
+ * @throws If users is given but names nobody known
+ */
+export function showMedia({ url, title, isVideo = false }, { users } = {}) {
+  if (!game.user.isGM) throw new Error(game.i18n.localize('MAP_BROWSER.ShowToPlayersGMOnly'));
+  if (!url) throw new Error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
+
+  const userIds = users
+    ? users.map(idOrName => (game.users.get(idOrName) ?? game.users.getName(idOrName))?.id).filter(Boolean)
+    : null;
+  if (userIds?.length === 0) throw new Error(game.i18n.localize('MAP_BROWSER.ShowToPlayersNoneSelected'));
+  game.socket.emit(SOCKET, {
+    action: 'showMedia',
+    url,
+    title,
+    isVideo,
+    userIds,
+    senderId: game.user.id
+  });
+  return userIds;
+}
+
+/**
+ * Ask which players should see a map
+ * Connected players are preselected.
+ * @param {string} title - The map's name
+ * @returns {Promise<{users?: string[]}|null>} users omitted for all players, null if cancelled
+ */
+export async function promptShareTargets(title) {
+  const players = game.users.filter(user => !user.isGM);
+  if (!players.length) {
+    ui.notifications.warn(game.i18n.localize('MAP_BROWSER.ShowToPlayersNone'));
+    return null;
+  }
+
+  const escape = foundry.utils.escapeHTML;
+  const rows = players.map(user => `
+    <label class="checkbox">
+      <input type="checkbox" name="users" value="${user.id}" ${user.active ? 'checked' : ''}>
+      ${escape(user.name)}${user.active ? '' : ` <span class="hint">(${game.i18n.localize('MAP_BROWSER.ShowToPlayersOffline')})</span>`}
+    </label>`).join('');
+  const content = `
+    <p>${game.i18n.format('MAP_BROWSER.ShowToPlayersPrompt', { name: escape(title) })}</p>
+    <fieldset class="map-browser-share-targets">${rows}</fieldset>`;
+
+  return foundry.applications.api.DialogV2.wait({
+    window: { title: game.i18n.localize('MAP_BROWSER.ShowToPlayers'), icon: 'fas fa-users-viewfinder' },
+    content,
+    buttons: [
+      {
+        action: 'selected',
+        label: game.i18n.localize('MAP_BROWSER.ShowToSelected'),
+        icon: 'fas fa-user-check',
+        default: true,
+        callback: (event, button) => {
+          const users = [...button.form.querySelectorAll('[name="users"]:checked')].map(input => input.value);
+          if (users.length) return { users };
+          ui.notifications.warn(game.i18n.localize('MAP_BROWSER.ShowToPlayersNoneSelected'));
+          return null;
+        }
+      },
+      {
+        action: 'all',
+        label: game.i18n.localize('MAP_BROWSER.ShowToAll'),
+        icon: 'fas fa-users',
+        callback: () => ({})
+      }
+    ],
+    rejectClose: false
+  });
+}
+
+// Only GMs may put maps on other screens; Foundry passes the sending user's ID
+function onSocketMessage(message, senderId) {
+  if (message?.action !== 'showMedia') return;
+  if (!game.users.get(senderId ?? message.senderId)?.isGM) return;
+  if (message.userIds && !message.userIds.includes(game.user.id)) return;
+  openMediaViewer(message);
+}
+
+/**
+ * Open the shared map viewer, replacing the one showing the previous map
+ * @param {{url: string, title: string, isVideo?: boolean}} media
+ */
+export async function openMediaViewer({ url, title, isVideo = false }) {
+  await foundry.applications.instances.get('map-browser-shared-media')?.close();
+  new SharedMediaViewer({ url, title, isVideo }).render(true);
+}
+
+// ============================================================================
+// Viewer
+// ============================================================================
+
+/**
+ * ImagePopout-style window for a shown map; videos loop muted with controls to unmute
+ */
+export class SharedMediaViewer extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-shared-media',
+    classes: ['map-browser-shared-media'],
+    window: {
+      icon: 'fas fa-map',
+      resizable: true
+    },
+    position: {
+      width: Math.round(window.innerWidth * 0.7),
+      height: Math.round(window.innerHeight * 0.75)
+    }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/shared-media.hbs` }
+  };
+
+  #media;
+
+  /**
+   * @param {Object} options
+   * @param {string} options.url - Image or video URL
+   * @param {string} options.title - Window title
+   * @param {boolean} [options.isVideo=false]
+   */
+  constructor({ url, title, isVideo = false, ...options } = {}) {
+    super(options);
+    this.#media = { url, title, isVideo };
+  }
+
+  get title() {
+    return this.#media.title || game.i18n.localize('MAP_BROWSER.Title');
+  }
+
+  async _prepareContext(options) {
+    return { ...this.#media };
+  }
+
+  _onRender(context, options) {
+    const media = this.element.querySelector('.shared-media-content');
+    media?.addEventListener('error', () => media.parentElement.classList.add('failed'));
+  }
+}
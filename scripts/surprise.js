@@ -0,0 +1,229 @@
+/**
+ * Map Browser - Surprise Me
+ * Random map picks under tag constraints ("a swamp at night, right now"),
+ * weighted away from maps this world already has scenes of
+ *
+ * Constraints: { tags, excludeTags, animated, source, avoidUsed }
+ * - tags / excludeTags  Canonical tags or localized labels; effective tags are location + flavor tags
+ * - animated            true: only animated files, false: only static ones, undefined: either
+ * - avoidUsed           Every scene made from a location or flavor makes it less likely (default true)
+ */
+
+import { indexWorldScenes, getSceneKey } from './world-scenes.js';
+import { resolveTagName, getTagLabel, getLocationSource } from './search.js';
+import { MODULE_ID } from './constants.js';
+
+const { ApplicationV2, HandlebarsApplicationMixin } = foundry.applications.api;
+
+// Each existing scene of a location or flavor multiplies its chance by this
+const USED_WEIGHT = 0.25;
+
+// ============================================================================
+// Picking
+// ============================================================================
+
+/**
+ * Pick a random location, flavor and file that satisfy the constraints
+ * @param {Object} manifest - The map manifest
+ * @param {Object} [constraints] - See the file header
+ * @param {Object} [previous] - The last pick; its location is skipped unless it is the only match
+ * @returns {{location: Object, flavor: Object, file: Object, fileType: string|null, flavorIndex: number,
+ *            fileIndex: number|null, used: number, matches: number}|null} null if nothing matches
+ */
+export function pickRandomMap(manifest, constraints = {}, previous = null) {
+  const { tags = [], excludeTags = [], animated, source, avoidUsed = true } = constraints;
+  const included = tags.map(resolveTagName).filter(Boolean);
+  const excluded = excludeTags.map(resolveTagName).filter(Boolean);
+  const index = indexWorldScenes();
+  const uses = (map, key) => index[map].get(key)?.length ?? 0;
+  const weigh = count => (avoidUsed ? USED_WEIGHT ** count : 1);
+
+  const candidates = [];
+  for (const location of manifest?.locations || []) {
+    if (source && getLocationSource(location) !== source) continue;
+    const flavors = location.flavors.map((flavor, flavorIndex) => {
+      if (flavor.hidden) return null;
+      const effective = new Set([...location.smart_tags, ...(flavor.smart_tags || [])]);
+      if (!included.every(tag => effective.has(tag)) || excluded.some(tag => effective.has(tag))) return null;
+      const files = getCandidateFiles(flavor, animated);
+      if (!files.length) return null;
+      return { flavor, flavorIndex, files, weight: weigh(uses('byFlavor', getSceneKey(location.id, flavor.name))) };
+    }).filter(Boolean);
+    if (flavors.length) candidates.push({ location, flavors, weight: weigh(uses('byLocation', location.id)) });
+  }
+  if (!candidates.length) return null;
+
+  // Rerolling should show something new
+  const pool = previous && candidates.length > 1
+    ? candidates.filter(candidate => candidate.location.id !== previous.location.id)
+    : candidates;
+  const { location, flavors } = weightedPick(pool);
+  const { flavor, flavorIndex, files } = weightedPick(flavors);
+  const { file, fileIndex, fileType } = files[Math.floor(Math.random() * files.length)];
+
+  return {
+    location,
+    flavor,
+    file,
+    fileType,
+    flavorIndex,
+    fileIndex,
+    used: uses('byLocation', location.id),
+    matches: candidates.length
+  };
+}
+
+/**
+ * The files of a flavor a pick may land on
+ * Beneos flavors offer their battlemap (the scenery only if there is no battlemap).
+ * @param {Object} flavor - Manifest flavor
+ * @param {boolean} [animated] - Constraint on the animated flag
+ * @returns {{file: Object, fileIndex: number|null, fileType: string|null}[]}
+ */
+function getCandidateFiles(flavor, animated) {
+  const fits = file => !file.hidden && (animated === undefined || !!file.animated === animated);
+  if (flavor.scenery_files || flavor.battlemap_files) {
+    const fileType = flavor.battlemap_files?.some(file => !file.hidden) ? 'battlemap' : 'scenery';
+    const files = flavor[`${fileType}_files`] || [];
+    // Same preference as the create buttons: animated first
+    const file = files.filter(fits).sort((a, b) => !!b.animated - !!a.animated)[0];
+    return file ? [{ file, fileIndex: null, fileType }] : [];
+  }
+  return (flavor.files || [])
+    .map((file, fileIndex) => ({ file, fileIndex, fileType: null }))
+    .filter(({ file }) => fits(file));
+}
+
+function weightedPick(entries) {
+  const total = entries.reduce((sum, entry) => sum + entry.weight, 0);
+  let roll = Math.random() * total;
+  for (const entry of entries) {
+    roll -= entry.weight;
+    if (roll < 0) return entry;
+  }
+  return entries[entries.length - 1];
+}
+
+// ============================================================================
+// Picker Window
+// ============================================================================
+
+/**
+ * Constraints on top, the current pick with a preview below; reroll, preview and create
+ */
+export class SurprisePicker extends HandlebarsApplicationMixin(ApplicationV2) {
+  static DEFAULT_OPTIONS = {
+    id: 'map-browser-surprise',
+    classes: ['map-browser-surprise'],
+    window: {
+      title: 'MAP_BROWSER.Surprise',
+      icon: 'fas fa-dice'
+    },
+    position: { width: 420, height: 'auto' }
+  };
+
+  static PARTS = {
+    main: { template: `modules/${MODULE_ID}/templates/surprise.hbs` }
+  };
+
+  #manifest;
+  #vocabulary;
+  #constraints;
+  #pick = null;
+  #getThumbnail;
+  #onCreate;
+  #onPreview;
+
+  /**
+   * @param {Object} options
+   * @param {Object} options.manifest - The catalogue
+   * @param {string[]} [options.vocabulary] - Tags offered as suggestions
+   * @param {Object} [options.constraints] - Initial constraints, see pickRandomMap()
+   * @param {Function} options.getThumbnail - (pick) => image URL
+   * @param {Function} options.onCreate - (pick) => Promise, creates a scene
+   * @param {Function} [options.onPreview] - (pick) => opens a full preview
+   */
+  constructor({ manifest, vocabulary = [], constraints = {}, getThumbnail, onCreate, onPreview, ...options } = {}) {
+    super(options);
+    this.#manifest = manifest;
+    this.#vocabulary = vocabulary;
+    this.#constraints = { tags: [], excludeTags: [], avoidUsed: true, ...constraints };
+    this.#getThumbnail = getThumbnail;
+    this.#onCreate = onCreate;
+    this.#onPreview = onPreview;
+    this.#pick = pickRandomMap(manifest, this.#constraints);
+  }
+
+  async _prepareContext(options) {
+    const pick = this.#pick;
+    const { tags, excludeTags, animated, avoidUsed } = this.#constraints;
+    // "Sumpf" and "swamp" are the same tag
+    const labels = list => [...new Set(list.map(tag => getTagLabel(resolveTagName(tag))))].join(', ');
+    return {
+      tags: labels(tags),
+      excludeTags: labels(excludeTags),
+      animatedOptions: {
+        any: 'MAP_BROWSER.SurpriseAnyMedia',
+        animated: 'MAP_BROWSER.SurpriseAnimated',
+        static: 'MAP_BROWSER.SurpriseStatic'
+      },
+      animated: animated === undefined ? 'any' : animated ? 'animated' : 'static',
+      avoidUsed,
+      suggestions: this.#vocabulary.map(getTagLabel),
+      pick: pick && {
+        title: pick.location.title,
+        variant: [
+          pick.flavor.display_name || pick.flavor.name,
+          pick.fileType ? game.i18n.localize(`MAP_BROWSER.${pick.fileType.capitalize()}`) : pick.file.sub_variant
+        ].filter(Boolean).join(' - '),
+        thumbnail: this.#getThumbnail(pick),
+        animated: !!pick.file.animated,
+        tags: [...new Set([...pick.location.smart_tags, ...(pick.flavor.smart_tags || [])])].slice(0, 8).map(getTagLabel),
+        // Fresh count - a scene may have been created from this pick meanwhile
+        used: indexWorldScenes().byLocation.get(getSceneKey(pick.location.id))?.length ?? 0,
+        matches: pick.matches
+      },
+      canPreview: !!pick && !!this.#onPreview
+    };
+  }
+
+  _onRender(context, options) {
+    const html = this.element;
+    const form = html.querySelector('.surprise-constraints');
+    form?.addEventListener('change', () => this.#readConstraints(form));
+    form?.addEventListener('submit', event => {
+      event.preventDefault();
+      this.#readConstraints(form);
+    });
+
+    html.querySelector('[data-action="reroll"]')?.addEventListener('click', () => this.#reroll());
+    html.querySelector('[data-action="preview-pick"]')?.addEventListener('click', () => this.#onPreview?.(this.#pick));
+    html.querySelector('[data-action="create-pick"]')?.addEventListener('click', async event => {
+      event.currentTarget.disabled = true;
+      try {
+        await this.#onCreate(this.#pick);
+      } finally {
+        if (this.rendered) this.render();
+      }
+    });
+  }
+
+  #readConstraints(form) {
+    const list = value => value.split(',').map(tag => tag.trim()).filter(Boolean);
+    const animated = form.elements.animated.value;
+    this.#constraints = {
+      ...this.#constraints,
+      tags: list(form.elements.tags.value),
+      excludeTags: list(form.elements.excludeTags.value),
+      animated: animated === 'any' ? undefined : animated === 'animated',
+      avoidUsed: form.elements.avoidUsed.checked
+    };
+    this.#pick = pickRandomMap(this.#manifest, this.#constraints);
+    this.render();
+  }
+
+  #reroll() {
+    this.#pick = pickRandomMap(this.#manifest, this.#constraints, this.#pick);
+    this.render();
+  }
+}
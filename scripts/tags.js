@@ -0,0 +1,85 @@
+/**
+ * Map Browser - Tags
+ * The tag vocabulary (tag files plus the tags only the manifest uses), the campaign
+ * settings of Beneos locations and the localized labels search matches against
+ */
+
+import { validateCzepekuTags, validateBeneosTags, warnIssues } from './validation.js';
+import { setTagLabels } from './search.js';
+import { MODULE_ID } from './constants.js';
+
+// Per manifest object, so a reloaded catalogue gets a fresh vocabulary
+const vocabularies = new WeakMap();
+
+/**
+ * Build the tag vocabulary from the Czepeku and Beneos tag files
+ * plus any tags that only appear in the manifest.
+ * Also fills in each location's campaign setting from beneos-tags.json
+ * and registers the localized tag labels with search.
+ * @param {Object} manifest - The map manifest
+ * @returns {Promise<string[]>} Sorted tag names
+ */
+export function loadTagVocabulary(manifest) {
+  if (!vocabularies.has(manifest)) vocabularies.set(manifest, buildVocabulary(manifest));
+  return vocabularies.get(manifest);
+}
+
+/**
+ * Get the display label of a tag in the current language
+ * Tags without a translation show with spaces instead of hyphens.
+ * @param {string} tag - Canonical tag name
+ * @returns {string}
+ */
+export function localizeTag(tag) {
+  const key = `MAP_BROWSER.TagLabels.${tag}`;
+  return game.i18n.has(key) ? game.i18n.localize(key) : tag.replace(/-/g, ' ');
+}
+
+async function buildVocabulary(manifest) {
+  const tags = new Set();
+  const settings = new Map(); // location id → campaign setting
+
+  try {
+    const response = await fetch(`modules/${MODULE_ID}/data/czepeku-tags.json`);
+    if (response.ok) {
+      const { tags: czepekuTags, issues } = validateCzepekuTags(await response.json());
+      warnIssues('czepeku-tags.json', issues);
+      for (const flavors of Object.values(czepekuTags)) {
+        for (const flavorTags of Object.values(flavors)) {
+          flavorTags.forEach(tag => tags.add(tag));
+        }
+      }
+    }
+  } catch (e) {
+    console.log(`${MODULE_ID} | No Czepeku tag file found`);
+  }
+
+  try {
+    const response = await fetch(`modules/${MODULE_ID}/data/beneos-tags.json`);
+    if (response.ok) {
+      const { tags: beneosTags, issues } = validateBeneosTags(await response.json());
+      warnIssues('beneos-tags.json', issues);
+      for (const [keyword, mapped] of Object.entries(beneosTags.keyword_mapping || {})) {
+        if (keyword.startsWith('_')) continue;
+        mapped.forEach(tag => tags.add(tag));
+      }
+      for (const [id, location] of Object.entries(beneosTags.locations || {})) {
+        location.base_tags?.forEach(tag => tags.add(tag));
+        if (location.setting) settings.set(`beneos-${id}`, location.setting);
+      }
+    }
+  } catch (e) {
+    console.log(`${MODULE_ID} | No Beneos tag file found`);
+  }
+
+  for (const loc of manifest?.locations || []) {
+    loc.setting ??= settings.get(loc.id) || 'generic';
+    loc.smart_tags?.forEach(tag => tags.add(tag));
+    loc.flavors?.forEach(f => !f.hidden && f.smart_tags?.forEach(tag => tags.add(tag)));
+  }
+
+  const vocabulary = [...tags].sort();
+  setTagLabels(new Map(vocabulary.map(tag => [tag, localizeTag(tag)])));
+  console.log(`${MODULE_ID} | Loaded tag vocabulary: ${vocabulary.length} tags`);
+  return vocabulary;
+}
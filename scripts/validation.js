@@ -0,0 +1,428 @@
+/**
+ * Map Browser - Schema Validation
+ * Checks the manifest, the tag files, the variant mapping and the curation overlay when they are loaded
+ * and repairs what can be repaired, so a bad entry costs one card instead of the browser
+ *
+ * Every check returns issues of the form:
+ *   { level: 'error' | 'warning' | 'info', code, path, detail }
+ * - error    The entry was dropped
+ * - warning  The entry was repaired or is inconsistent
+ * - info     Worth knowing, nothing is broken
+ * `code` groups issues in the health panel (schema, duplicate-id, totals, empty-flavor,
+ * unknown-flavor, mapping-orphan, mapping-missing, missing-thumbnail).
+ *
+ * This file has no Foundry dependencies, like indexer.js.
+ */
+
+import { MODULE_ID } from './constants.js';
+
+const FILE_LISTS = ['files', 'scenery_files', 'battlemap_files'];
+const UNKNOWN_FLAVOR = /^unknown-[0-9a-f]{8}$/;
+
+const isObject = value => !!value && typeof value === 'object' && !Array.isArray(value);
+const isString = value => typeof value === 'string' && value.length > 0;
+
+// Details are listed in the Catalogue Health panel; the console gets a summary once per session
+const warnedFiles = new Set();
+
+/**
+ * Log a one-line console summary of a file's problems, once per session
+ * @param {string} file - File name for the message
+ * @param {Object[]} issues - From one of the validate functions
+ */
+export function warnIssues(file, issues) {
+  const problems = issues.filter(issue => issue.level !== 'info');
+  if (!problems.length || warnedFiles.has(file)) return;
+  warnedFiles.add(file);
+  console.warn(`${MODULE_ID} | ${file} has ${problems.length} problems - see Catalogue Health`);
+}
+
+// ============================================================================
+// Manifest
+// ============================================================================
+
+/**
+ * Validate a manifest and return a repaired copy
+ * - Locations without an ID, duplicate IDs and flavors without files are dropped
+ * - Missing tags, titles and flags get defaults
+ * - Totals are recounted
+ * @param {Object} manifest - Parsed map-manifest.json
+ * @returns {{manifest: Object, issues: Object[]}}
+ */
+export function validateManifest(manifest) {
+  const issues = [];
+  const issue = (level, code, path, detail) => issues.push({ level, code, path, detail });
+
+  if (!isObject(manifest)) {
+    issue('error', 'schema', '', 'manifest is not an object');
+    return { manifest: { locations: [], total_locations: 0, total_flavors: 0, total_files: 0 }, issues };
+  }
+  if (!Array.isArray(manifest.locations)) {
+    issue('error', 'schema', 'locations', 'missing or not an array');
+  }
+
+  const ids = new Set();
+  const locations = [];
+  (Array.isArray(manifest.locations) ? manifest.locations : []).forEach((raw, index) => {
+    if (!isObject(raw) || !isString(raw.id)) {
+      issue('error', 'schema', `locations[${index}]`, 'location without an id');
+      return;
+    }
+    if (ids.has(raw.id)) {
+      issue('error', 'duplicate-id', raw.id, 'location ID used more than once');
+      return;
+    }
+    ids.add(raw.id);
+    const location = validateLocation(raw, issue);
+    if (location) locations.push(location);
+  });
+
+  const counted = {
+    total_locations: locations.length,
+    total_flavors: locations.reduce((sum, loc) => sum + loc.flavors.length, 0),
+    total_files: locations.reduce((sum, loc) => sum + loc.flavors.reduce((n, f) => n + countFiles(f), 0), 0)
+  };
+  for (const [key, value] of Object.entries(counted)) {
+    if (manifest[key] !== undefined && manifest[key] !== value) {
+      issue('warning', 'totals', key, `manifest says ${manifest[key]}, counted ${value}`);
+    }
+  }
+
+  return { manifest: { ...manifest, ...counted, locations }, issues };
+}
+
+function validateLocation(raw, issue) {
+  const id = raw.id;
+  const location = { ...raw };
+
+  if (!isString(location.title)) {
+    issue('warning', 'schema', id, 'missing title');
+    location.title = location.folder_name || id;
+  }
+  if (!isString(location.folder_name) && !isString(location.beneos_path)) {
+    issue('warning', 'schema', id, 'missing folder_name');
+    location.folder_name = location.title;
+  }
+  location.smart_tags = validateTags(location.smart_tags, `${id}.smart_tags`, issue);
+  if (typeof location.searchable_text !== 'string') location.searchable_text = '';
+
+  if (!Array.isArray(location.flavors)) {
+    if (location.flavors !== undefined) issue('warning', 'schema', `${id}.flavors`, 'not an array');
+    location.flavors = [];
+  }
+
+  const names = new Set();
+  location.flavors = location.flavors.filter((flavor, index) => {
+    if (!isObject(flavor) || !isString(flavor.name)) {
+      issue('error', 'schema', `${id}.flavors[${index}]`, 'flavor without a name');
+      return false;
+    }
+    if (names.has(flavor.name)) {
+      issue('error', 'duplicate-id', `${id}/${flavor.name}`, 'flavor name used more than once');
+      return false;
+    }
+    names.add(flavor.name);
+    return true;
+  }).map(flavor => validateFlavor(flavor, id, issue)).filter(flavor => {
+    if (countFiles(flavor) > 0) return true;
+    issue('error', 'empty-flavor', `${id}/${flavor.name}`, 'flavor has no files');
+    return false;
+  });
+
+  if (raw.flavors?.length && !location.flavors.length) {
+    issue('error', 'empty-flavor', id, 'no usable flavors left');
+    return null;
+  }
+
+  location.flavor_count = location.flavors.length;
+  location.has_animated = typeof raw.has_animated === 'boolean'
+    ? raw.has_animated
+    : location.flavors.some(flavor => flavor.has_animated);
+  return location;
+}
+
+function validateFlavor(raw, locationId, issue) {
+  const path = `${locationId}/${raw.name}`;
+  const flavor = { ...raw };
+  if (!isString(flavor.display_name)) flavor.display_name = flavor.name;
+  flavor.smart_tags = validateTags(flavor.smart_tags, `${path}.smart_tags`, issue);
+
+  for (const key of FILE_LISTS) {
+    if (flavor[key] === undefined) continue;
+    if (!Array.isArray(flavor[key])) {
+      issue('warning', 'schema', `${path}.${key}`, 'not an array');
+      delete flavor[key];
+      continue;
+    }
+    flavor[key] = flavor[key].filter((file, index) => {
+      if (isObject(file) && isString(file.filename)) return true;
+      issue('error', 'schema', `${path}.${key}[${index}]`, 'file without a filename');
+      return false;
+    }).map(file => validateFileSize(file, `${path}/${file.filename}`, issue));
+  }
+  // Beneos flavors only have scenery/battlemap lists; everything else needs `files`
+  if (!FILE_LISTS.some(key => flavor[key])) flavor.files = [];
+  return flavor;
+}
+
+// Optional "width"/"height" in pixels spare scene creation the media probe
+function validateFileSize(file, path, issue) {
+  if (file.width === undefined && file.height === undefined) return file;
+  const isSize = value => Number.isInteger(value) && value > 0;
+  if (isSize(file.width) && isSize(file.height)) return file;
+  issue('warning', 'schema', path, 'width/height must both be positive integers, ignored');
+  const { width, height, ...rest } = file;
+  return rest;
+}
+
+function validateTags(tags, path, issue) {
+  if (tags === undefined) return [];
+  if (!Array.isArray(tags)) {
+    issue('warning', 'schema', path, 'not an array');
+    return [];
+  }
+  const valid = tags.filter(isString);
+  if (valid.length !== tags.length) issue('warning', 'schema', path, 'non-string tags removed');
+  return valid;
+}
+
+/**
+ * Count the files of a flavor (Czepeku files plus Beneos scenery and battlemaps)
+ * @param {Object} flavor
+ * @returns {number}
+ */
+export function countFiles(flavor) {
+  return FILE_LISTS.reduce((sum, key) => sum + (flavor[key]?.length ?? 0), 0);
+}
+
+// ============================================================================
+// Tag Files
+// ============================================================================
+
+/**
+ * Validate czepeku-tags.json: { "<location slug>": { "<flavor>": ["tag", ...] } }
+ * @param {Object} tags
+ * @returns {{tags: Object, issues: Object[]}}
+ */
+export function validateCzepekuTags(tags) {
+  const issues = [];
+  if (!isObject(tags)) {
+    issues.push({ level: 'error', code: 'schema', path: 'czepeku-tags.json', detail: 'not an object' });
+    return { tags: {}, issues };
+  }
+
+  const valid = {};
+  for (const [slug, flavors] of Object.entries(tags)) {
+    if (!isObject(flavors)) {
+      issues.push({ level: 'error', code: 'schema', path: `czepeku-tags.json/${slug}`, detail: 'not an object' });
+      continue;
+    }
+    valid[slug] = {};
+    for (const [flavor, flavorTags] of Object.entries(flavors)) {
+      if (UNKNOWN_FLAVOR.test(flavor)) {
+        issues.push({ level: 'warning', code: 'unknown-flavor', path: `${slug}/${flavor}`, detail: 'unparsed flavor name' });
+      }
+      valid[slug][flavor] = validateTags(flavorTags, `czepeku-tags.json/${slug}/${flavor}`,
+        (level, code, path, detail) => issues.push({ level, code, path, detail }));
+    }
+  }
+  return { tags: valid, issues };
+}
+
+/**
+ * Validate beneos-tags.json: { keyword_mapping: { word: [tags] }, locations: { key: { base_tags, ... } } }
+ * @param {Object} tags
+ * @returns {{tags: Object, issues: Object[]}}
+ */
+export function validateBeneosTags(tags) {
+  const issues = [];
+  const issue = (level, code, path, detail) => issues.push({ level, code, path, detail });
+  if (!isObject(tags)) {
+    issue('error', 'schema', 'beneos-tags.json', 'not an object');
+    return { tags: { keyword_mapping: {}, locations: {} }, issues };
+  }
+
+  const keywordMapping = {};
+  for (const [keyword, mapped] of Object.entries(isObject(tags.keyword_mapping) ? tags.keyword_mapping : {})) {
+    // Keys starting with "_" are comments
+    keywordMapping[keyword] = keyword.startsWith('_')
+      ? mapped
+      : validateTags(mapped, `beneos-tags.json/keyword_mapping/${keyword}`, issue);
+  }
+
+  const locations = {};
+  for (const [key, location] of Object.entries(isObject(tags.locations) ? tags.locations : {})) {
+    if (!isObject(location)) {
+      issue('error', 'schema', `beneos-tags.json/locations/${key}`, 'not an object');
+      continue;
+    }
+    locations[key] = {
+      ...location,
+      base_tags: validateTags(location.base_tags, `beneos-tags.json/locations/${key}/base_tags`, issue)
+    };
+  }
+  return { tags: { ...tags, keyword_mapping: keywordMapping, locations }, issues };
+}
+
+/**
+ * Validate a pack tag file: { "<location>": ["tag", ...] } or { "<location>": { "<flavor>": ["tag", ...] } }
+ * @param {Object} tags
+ * @param {string} [name='tag file'] - For issue paths
+ * @returns {{tags: Object, issues: Object[]}}
+ */
+export function validateTagFile(tags, name = 'tag file') {
+  const issues = [];
+  const issue = (level, code, path, detail) => issues.push({ level, code, path, detail });
+  if (!isObject(tags)) {
+    issue('error', 'schema', name, 'not an object');
+    return { tags: {}, issues };
+  }
+
+  const valid = {};
+  for (const [key, value] of Object.entries(tags)) {
+    if (Array.isArray(value)) {
+      valid[key] = validateTags(value, `${name}/${key}`, issue);
+    } else if (isObject(value)) {
+      valid[key] = Object.fromEntries(Object.entries(value)
+        .map(([flavor, flavorTags]) => [flavor, validateTags(flavorTags, `${name}/${key}/${flavor}`, issue)]));
+    } else {
+      issue('error', 'schema', `${name}/${key}`, 'neither a tag list nor an object');
+    }
+  }
+  return { tags: valid, issues };
+}
+
+// ============================================================================
+// Curation
+// ============================================================================
+
+/**
+ * Validate a curation overlay (see curation.js) and return the usable edits
+ * Entries of the wrong shape are dropped; unknown keys are ignored.
+ * @param {Object} locations - The overlay's `locations`
+ * @returns {{locations: Object, issues: Object[]}}
+ */
+export function validateCuration(locations) {
+  const issues = [];
+  const issue = (level, code, path, detail) => issues.push({ level, code, path, detail });
+  if (!isObject(locations)) {
+    issue('error', 'schema', 'curation', 'not an object');
+    return { locations: {}, issues };
+  }
+
+  const valid = {};
+  for (const [locationId, raw] of Object.entries(locations)) {
+    const path = `curation/${locationId}`;
+    if (!isObject(raw)) {
+      issue('error', 'schema', path, 'not an object');
+      continue;
+    }
+    const location = {};
+    if (raw.tags !== undefined) {
+      const tags = validateTagEdits(raw.tags, `${path}/tags`, issue);
+      if (tags) location.tags = tags;
+    }
+    if (raw.flavors !== undefined && !isObject(raw.flavors)) {
+      issue('error', 'schema', `${path}/flavors`, 'not an object');
+    } else {
+      for (const [flavorName, rawFlavor] of Object.entries(raw.flavors ?? {})) {
+        const flavor = validateFlavorEdits(rawFlavor, `${path}/${flavorName}`, issue);
+        if (flavor) (location.flavors ??= {})[flavorName] = flavor;
+      }
+    }
+    if (Object.keys(location).length) valid[locationId] = location;
+  }
+  return { locations: valid, issues };
+}
+
+function validateFlavorEdits(raw, path, issue) {
+  if (!isObject(raw)) {
+    issue('error', 'schema', path, 'not an object');
+    return null;
+  }
+  const flavor = {};
+  if (raw.display_name !== undefined) {
+    if (isString(raw.display_name)) flavor.display_name = raw.display_name;
+    else issue('error', 'schema', `${path}/display_name`, 'not a string');
+  }
+  if (raw.tags !== undefined) {
+    const tags = validateTagEdits(raw.tags, `${path}/tags`, issue);
+    if (tags) flavor.tags = tags;
+  }
+  if (raw.hidden_files !== undefined) {
+    const files = validateTags(raw.hidden_files, `${path}/hidden_files`, issue);
+    if (files.length) flavor.hidden_files = files;
+  }
+  if (raw.hidden !== undefined) {
+    if (typeof raw.hidden === 'boolean') flavor.hidden = raw.hidden;
+    else issue('error', 'schema', `${path}/hidden`, 'not a boolean');
+  }
+  return Object.keys(flavor).length ? flavor : null;
+}
+
+function validateTagEdits(raw, path, issue) {
+  if (!isObject(raw)) {
+    issue('error', 'schema', path, 'expected { add, remove }');
+    return null;
+  }
+  const add = validateTags(raw.add, `${path}/add`, issue);
+  const remove = validateTags(raw.remove, `${path}/remove`, issue);
+  return add.length || remove.length ? { add, remove } : null;
+}
+
+// ============================================================================
+// Variant Mapping
+// ============================================================================
+
+/**
+ * Validate the variant thumbnail mapping: { "<location>|<flavor>|<filename>": "<thumb id>" }
+ * With locations, keys are also compared against the manifest in both directions.
+ * Locations without any mapped file are summed up in one info issue.
+ * @param {Object} mapping - Parsed _mapping.json
+ * @param {Object[]} [locations] - Manifest locations to compare against
+ * @returns {{mapping: Object, issues: Object[]}}
+ */
+export function validateVariantMapping(mapping, locations) {
+  const issues = [];
+  if (!isObject(mapping)) {
+    issues.push({ level: 'error', code: 'schema', path: '_mapping.json', detail: 'not an object' });
+    return { mapping: {}, issues };
+  }
+
+  const valid = {};
+  for (const [key, value] of Object.entries(mapping)) {
+    if (key.split('|').length !== 3 || !isString(value)) {
+      issues.push({ level: 'error', code: 'schema', path: `_mapping.json/${key}`, detail: 'expected "location|flavor|file": "id"' });
+      continue;
+    }
+    valid[key] = value;
+  }
+  if (!locations) return { mapping: valid, issues };
+
+  const known = new Set();
+  let unmappedLocations = 0;
+  for (const location of locations) {
+    const keys = location.flavors.flatMap(flavor => FILE_LISTS.flatMap(list =>
+      (flavor[list] || []).map(file => `${location.id}|${flavor.name}|${file.filename}`)));
+    keys.forEach(key => known.add(key));
+
+    const missing = keys.filter(key => !(key in valid));
+    if (missing.length === keys.length) {
+      unmappedLocations++;
+      continue;
+    }
+    for (const key of missing) {
+      issues.push({ level: 'warning', code: 'mapping-missing', path: key, detail: 'no variant thumbnail' });
+    }
+  }
+
+  for (const key of Object.keys(valid)) {
+    if (!known.has(key)) {
+      issues.push({ level: 'warning', code: 'mapping-orphan', path: key, detail: 'no such manifest file' });
+    }
+  }
+  if (unmappedLocations) {
+    issues.push({ level: 'info', code: 'mapping-missing', path: '', detail: `${unmappedLocations} locations have no variant thumbnails` });
+  }
+  return { mapping: valid, issues };
+}
@@ -0,0 +1,199 @@
+/**
+ * Map Browser - Variant Swap
+ * Switch an existing scene to another flavor/file of the same location
+ * without touching its tokens, walls, lights or notes
+ */
+
+import { loadManifest, getMediaUrl, getBeneosFile } from './manifest.js';
+import { probeMediaDimensions } from './media.js';
+import { getManifestDimensions } from './scene-creation.js';
+import { MODULE_ID } from './constants.js';
+
+/**
+ * Resolve a scene (or scene ID) that was created by the map browser
+ * @param {Scene|string} sceneOrId
+ * @returns {Scene}
+ */
+function resolveScene(sceneOrId) {
+  const scene = typeof sceneOrId === 'string' ? game.scenes.get(sceneOrId) : sceneOrId;
+  if (!scene?.flags?.[MODULE_ID]?.locationId) {
+    throw new Error(game.i18n.localize('MAP_BROWSER.NotMapBrowserScene'));
+  }
+  return scene;
+}
+
+/**
+ * List the sibling flavors and files a scene can switch to
+ * @param {Scene|string} sceneOrId - The scene or its ID
+ * @returns {Promise<{flavorName: string, flavorLabel: string, filename: string, fileType: string|null,
+ *                    label: string, animated: boolean, current: boolean}[]>}
+ */
+export async function listSceneVariants(sceneOrId) {
+  const scene = resolveScene(sceneOrId);
+  const flags = scene.flags[MODULE_ID];
+  const manifest = await loadManifest();
+  const location = manifest.locations.find(l => l.id === flags.locationId);
+  if (!location) {
+    throw new Error(game.i18n.format('MAP_BROWSER.LocationNotFound', { id: flags.locationId }));
+  }
+
+  const variants = [];
+  for (const flavor of location.flavors || []) {
+    if (flavor.hidden) continue;
+    const isBeneos = !!(flavor.scenery_files || flavor.battlemap_files);
+    const entries = isBeneos
+      ? ['battlemap', 'scenery']
+        .map(fileType => ({ fileType, file: getBeneosFile(flavor, fileType) }))
+        .filter(entry => entry.file)
+        .map(({ fileType, file }) => ({
+          file,
+          fileType,
+          label: game.i18n.localize(fileType === 'scenery' ? 'MAP_BROWSER.Scenery' : 'MAP_BROWSER.Battlemap')
+        }))
+      : (flavor.files || []).filter(file => !file.hidden)
+        .map(file => ({ file, fileType: null, label: file.sub_variant || game.i18n.localize('MAP_BROWSER.DefaultVariant') }));
+
+    for (const { file, fileType, label } of entries) {
+      variants.push({
+        flavorName: flavor.name,
+        flavorLabel: flavor.display_name || flavor.name,
+        filename: file.filename,
+        fileType,
+        label,
+        animated: !!file.animated,
+        current: flavor.name === flags.flavorName && file.filename === flags.filename
+      });
+    }
+  }
+  return variants;
+}
+
+/**
+ * Switch a scene's background to another variant of its location.
+ * Scene dimensions, grid and embedded documents are kept.
+ * @param {Scene|string} sceneOrId - The scene or its ID
+ * @param {{flavorName: string, filename?: string, fileType?: string}} variant - Target variant
+ * @param {Object} [options]
+ * @param {boolean} [options.confirm=true] - Ask before applying when the media size differs
+ * @returns {Promise<Scene|null>} The updated scene, or null if cancelled
+ */
+export async function changeSceneVariant(sceneOrId, variant, { confirm = true } = {}) {
+  const scene = resolveScene(sceneOrId);
+  const flags = scene.flags[MODULE_ID];
+  const manifest = await loadManifest();
+  const location = manifest.locations.find(l => l.id === flags.locationId);
+  // Like the browser, don't switch to anything the GMs hid
+  const flavor = location?.flavors?.find(f => f.name === variant.flavorName && !f.hidden);
+  if (!flavor) {
+    throw new Error(game.i18n.format('MAP_BROWSER.FlavorNotFound', { name: variant.flavorName }));
+  }
+
+  const isBeneos = !!(flavor.scenery_files || flavor.battlemap_files);
+  let file;
+  if (isBeneos) {
+    const fileType = variant.fileType || flags.fileType || 'battlemap';
+    const files = fileType === 'scenery' ? flavor.scenery_files : flavor.battlemap_files;
+    file = files?.find(f => f.filename === variant.filename && !f.hidden) || getBeneosFile(flavor, fileType);
+    variant = { ...variant, fileType };
+  } else {
+    file = flavor.files?.find(f => !f.hidden && (!variant.filename || f.filename === variant.filename));
+  }
+  if (!file) {
+    throw new Error(game.i18n.format('MAP_BROWSER.FileNotFound', { name: variant.filename ?? variant.fileType }));
+  }
+
+  const mediaUrl = getMediaUrl(manifest, location, flavor, file, isBeneos);
+  if (!mediaUrl) {
+    throw new Error(game.i18n.localize('MAP_BROWSER.ConfigureOneDrive'));
+  }
+
+  // Keep the scene size - but tell the GM if the new media doesn't fit it
+  try {
+    const { width, height } = getManifestDimensions(file) ?? await probeMediaDimensions(mediaUrl, file.animated);
+    if (width !== scene.width || height !== scene.height) {
+      const message = game.i18n.format('MAP_BROWSER.VariantSizeMismatch', {
+        width, height, sceneWidth: scene.width, sceneHeight: scene.height
+      });
+      if (confirm) {
+        const proceed = await foundry.applications.api.DialogV2.confirm({
+          window: { title: game.i18n.localize('MAP_BROWSER.ChangeVariant') },
+          content: `<p>${message}</p>`
+        });
+        if (!proceed) return null;
+      } else {
+        ui.notifications.warn(message);
+      }
+    }
+  } catch (err) {
+    console.warn(`${MODULE_ID} | Could not verify variant dimensions:`, err);
+    ui.notifications.warn(game.i18n.localize('MAP_BROWSER.VariantSizeUnknown'));
+  }
+
+  // The new media streams from the remote URL, so a local copy of the old variant no longer applies
+  const { localPath, remoteSrc, ...kept } = flags;
+  await scene.update({
+    'background.src': mediaUrl,
+    [`flags.${MODULE_ID}`]: {
+      ...kept,
+      flavorName: flavor.name,
+      filename: file.filename,
+      ...(isBeneos ? { fileType: variant.fileType } : {}),
+      ...(localPath ? { '-=localPath': null } : {}),
+      ...(remoteSrc ? { '-=remoteSrc': null } : {})
+    }
+  });
+
+  ui.notifications.info(game.i18n.format('MAP_BROWSER.VariantChanged', {
+    scene: scene.name,
+    variant: [flavor.display_name || flavor.name, file.sub_variant].filter(Boolean).join(' - ')
+  }));
+  return scene;
+}
+
+/**
+ * Ask which variant to switch a scene to, then apply it
+ * @param {Scene|string} sceneOrId - The scene or its ID
+ * @returns {Promise<Scene|null>}
+ */
+export async function promptSceneVariant(sceneOrId) {
+  let variants;
+  try {
+    variants = await listSceneVariants(sceneOrId);
+  } catch (err) {
+    ui.notifications.error(err.message);
+    return null;
+  }
+
+  const escape = foundry.utils.escapeHTML;
+  const groups = new Map();
+  variants.forEach((variant, index) => {
+    if (!groups.has(variant.flavorLabel)) groups.set(variant.flavorLabel, []);
+    groups.get(variant.flavorLabel).push(
+      `<option value="${index}" ${variant.current ? 'selected' : ''}>${escape(variant.label)}${
+        variant.animated ? ' ▶' : ''}${variant.current ? ' ✓' : ''}</option>`
+    );
+  });
+  const options = [...groups.entries()]
+    .map(([label, opts]) => `<optgroup label="${escape(label)}">${opts.join('')}</optgroup>`)
+    .join('');
+
+  const index = await foundry.applications.api.DialogV2.prompt({
+    window: { title: game.i18n.localize('MAP_BROWSER.ChangeVariant') },
+    content: `<p>${game.i18n.localize('MAP_BROWSER.ChangeVariantHint')}</p><select name="variant">${options}</select>`,
+    ok: {
+      label: game.i18n.localize('MAP_BROWSER.ChangeVariant'),
+      callback: (event, button) => button.form.elements.variant.value
+    },
+    rejectClose: false
+  });
+  const variant = variants[parseInt(index)];
+  if (!variant || variant.current) return null;
+
+  try {
+    return await changeSceneVariant(sceneOrId, variant);
+  } catch (err) {
+    console.error(`${MODULE_ID} | Failed to change variant:`, err);
+    ui.notifications.error(err.message);
+    return null;
+  }
+}
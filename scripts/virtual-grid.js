@@ -0,0 +1,357 @@
+/**
+ * Map Browser - Virtual Grid
+ * Windowed location grid: only the rows near the viewport are in the DOM
+ *
+ * Items are group headers and cards. Cards flow into rows of as many columns as
+ * fit; wide items (the expanded card) get a row of their own, like `grid-column: 1 / -1`
+ * in a CSS grid. Row heights are measured once rendered and estimated until then.
+ *
+ * Built items are kept by key for as long as they are in the items. After setItems()
+ * each one is rendered again when it next shows up, but its element is only replaced
+ * if the HTML changed - so filtering, expanding a card or starring something only
+ * rebuilds the cards that look different.
+ */
+
+// Rendered above and below the viewport (px)
+const OVERSCAN = 600;
+
+// Until the first row of a kind is measured (px)
+const DEFAULT_HEIGHTS = { header: 40, cards: 110, wide: 480 };
+
+export class VirtualGrid {
+  #options;
+  #scroller = null;
+  #content = null; // Padding stands in for the rows outside the window
+  #sticky = null; // Header of the group at the top of the viewport
+  #stickyKey = null;
+  #items = [];
+  #rows = [];
+  #columns = 1;
+  #heights = new Map(); // row key → measured height
+  #estimates = { ...DEFAULT_HEIGHTS };
+  #cache = new Map(); // item key → { html, element, stale }
+  #rowElements = new Map(); // row key → element
+  #topKey = null; // First item of the row at the top of the viewport
+  #scrollTop = 0;
+  #frame = null;
+  #measuring = false;
+  #resizeObserver;
+
+  /**
+   * @param {Object} options
+   * @param {Function} options.renderItem - item => HTML string with a single root element
+   * @param {Function} [options.activateItem] - (element, item) => void, wires up a freshly built item
+   * @param {number} [options.columnWidth=300] - Minimum card width in px
+   */
+  constructor(options) {
+    this.#options = { columnWidth: 300, ...options };
+    this.#resizeObserver = new ResizeObserver(entries => this.#onResize(entries));
+  }
+
+  get mounted() {
+    return !!this.#scroller?.isConnected;
+  }
+
+  /**
+   * Render into a scroll container. The grid keeps its scroll position and built
+   * items, so mounting into a re-rendered container picks up where it left off.
+   * @param {HTMLElement} scroller
+   */
+  mount(scroller) {
+    this.unmount();
+    this.#scroller = scroller;
+    this.#sticky = document.createElement('div');
+    this.#sticky.className = 'virtual-grid-sticky';
+    this.#content = document.createElement('div');
+    this.#content.className = 'virtual-grid';
+    scroller.prepend(this.#sticky, this.#content);
+    scroller.addEventListener('scroll', this.#onScroll, { passive: true });
+    this.#resizeObserver.observe(scroller);
+
+    // Size the content before restoring the scroll position, then fill the window
+    this.#layout();
+    this.#content.style.paddingBottom = `${this.#rows.reduce((sum, row) => sum + this.#heightOf(row), 0)}px`;
+    scroller.scrollTop = this.#scrollTop;
+    this.#update();
+  }
+
+  unmount() {
+    this.#scroller?.removeEventListener('scroll', this.#onScroll);
+    this.#resizeObserver.disconnect();
+    if (this.#frame) cancelAnimationFrame(this.#frame);
+    this.#frame = null;
+    this.#scroller = this.#content = this.#sticky = null;
+    this.#stickyKey = null;
+    this.#rowElements.clear();
+  }
+
+  /**
+   * Replace the items. Everything is re-rendered lazily and compared with what is built.
+   * @param {{key: string, type: 'header'|'card', group?: string, wide?: boolean}[]} items
+   */
+  setItems(items) {
+    this.#items = items;
+    // Drop what was filtered away so the cache never outgrows the current items
+    const keys = new Set(items.map(item => item.key));
+    for (const [key, entry] of this.#cache) {
+      if (keys.has(key)) entry.stale = true;
+      else this.#cache.delete(key);
+    }
+    this.#stickyKey = null;
+    if (!this.mounted) return;
+    this.#layout();
+    this.#update();
+  }
+
+  /**
+   * Scroll an item to the top of the viewport
+   * @param {string} key - Item key
+   */
+  scrollToKey(key) {
+    if (!this.mounted) return;
+    // Rows above may still be estimates; they are measured as they render, so settle in a few passes
+    for (let pass = 0; pass < 3; pass++) {
+      const offset = this.#getOffset(key);
+      if (offset === null) return;
+      const target = Math.max(0, this.#content.offsetTop + offset - 10);
+      if (Math.abs(this.#scroller.scrollTop - target) < 1) return;
+      this.#scroller.scrollTop = target;
+      this.#update();
+    }
+  }
+
+  /**
+   * Scroll just far enough to show an item's row, and build it
+   * @param {string} key - Item key
+   * @returns {HTMLElement|null} The item's element
+   */
+  reveal(key) {
+    if (!this.mounted) return null;
+    const offset = this.#getOffset(key);
+    if (offset === null) return null;
+    const row = this.#rows.find(r => r.items.some(item => item.key === key));
+    // The pinned group header covers the top of the viewport
+    const top = this.#content.offsetTop + offset - (this.#sticky.firstElementChild?.offsetHeight ?? 0);
+    const bottom = this.#content.offsetTop + offset + this.#heightOf(row);
+    const { scrollTop, clientHeight } = this.#scroller;
+    if (top < scrollTop) this.#scroller.scrollTop = Math.max(0, top);
+    else if (bottom > scrollTop + clientHeight) this.#scroller.scrollTop = Math.min(top, bottom - clientHeight);
+    this.#update();
+    const element = this.#cache.get(key)?.element;
+    return element?.isConnected ? element : null;
+  }
+
+  /**
+   * Key of the item next to another one, as laid out
+   * @param {string} key - Item key
+   * @param {'previous'|'next'|'up'|'down'|'first'|'last'} direction - previous/next follow the item
+   *   order, up/down keep the column of the row above or below
+   * @returns {string|null}
+   */
+  getNeighbour(key, direction) {
+    const index = this.#items.findIndex(item => item.key === key);
+    if (direction === 'first' || index < 0) return this.#items[0]?.key ?? null;
+    if (direction === 'last') return this.#items.at(-1)?.key ?? null;
+    if (direction === 'previous') return this.#items[index - 1]?.key ?? null;
+    if (direction === 'next') return this.#items[index + 1]?.key ?? null;
+
+    const rowIndex = this.#rows.findIndex(r => r.items.some(item => item.key === key));
+    const column = this.#rows[rowIndex].items.findIndex(item => item.key === key);
+    const row = this.#rows[rowIndex + (direction === 'up' ? -1 : 1)];
+    return row?.items[Math.min(column, row.items.length - 1)].key ?? null;
+  }
+
+  /**
+   * Key of the first item at the top of the viewport
+   * @type {string|null}
+   */
+  get topKey() {
+    return this.#topKey ?? this.#items[0]?.key ?? null;
+  }
+
+  scrollToTop() {
+    this.#scrollTop = 0;
+    if (!this.mounted) return;
+    this.#scroller.scrollTop = 0;
+    this.#update();
+  }
+
+  // -------------------------------------------------------------------------
+  // Layout
+  // -------------------------------------------------------------------------
+
+  #getColumns() {
+    const gap = parseFloat(getComputedStyle(this.#content).columnGap) || 0;
+    const width = this.#content.clientWidth;
+    return Math.max(1, Math.floor((width + gap) / (this.#options.columnWidth + gap)));
+  }
+
+  #layout() {
+    this.#columns = this.#getColumns();
+    this.#content.style.setProperty('--grid-columns', this.#columns);
+
+    const rows = [];
+    let row = null;
+    for (const item of this.#items) {
+      if (item.type === 'header' || item.wide) {
+        rows.push({ type: item.type === 'header' ? 'header' : 'wide', group: item.group, items: [item] });
+        row = null;
+        continue;
+      }
+      if (!row || row.items.length >= this.#columns || row.group !== item.group) {
+        row = { type: 'cards', group: item.group, items: [] };
+        rows.push(row);
+      }
+      row.items.push(item);
+    }
+    for (const r of rows) r.key = `${r.type}:${r.items.map(item => item.key).join('|')}`;
+    this.#rows = rows;
+
+    // Keep row elements that still exist so focus and hover survive a relayout
+    const keys = new Set(rows.map(r => r.key));
+    for (const key of this.#rowElements.keys()) {
+      if (!keys.has(key)) this.#rowElements.delete(key);
+    }
+  }
+
+  #heightOf(row) {
+    return this.#heights.get(row.key) ?? this.#estimates[row.type];
+  }
+
+  #getOffset(key) {
+    let offset = 0;
+    for (const row of this.#rows) {
+      if (row.items.some(item => item.key === key)) return offset;
+      offset += this.#heightOf(row);
+    }
+    return null;
+  }
+
+  // -------------------------------------------------------------------------
+  // Rendering
+  // -------------------------------------------------------------------------
+
+  #onScroll = () => {
+    this.#scrollTop = this.#scroller.scrollTop;
+    this.#schedule();
+  };
+
+  #onResize(entries) {
+    if (!this.mounted) return;
+    if (entries.some(entry => entry.target === this.#scroller) && this.#getColumns() !== this.#columns) {
+      this.#layout();
+    }
+    this.#schedule();
+  }
+
+  #schedule() {
+    if (this.#frame) return;
+    this.#frame = requestAnimationFrame(() => {
+      this.#frame = null;
+      this.#update();
+    });
+  }
+
+  #update() {
+    if (!this.mounted) return;
+    const viewTop = this.#scroller.scrollTop - this.#content.offsetTop;
+    const viewBottom = viewTop + this.#scroller.clientHeight;
+
+    // Find the window
+    let offset = 0;
+    let first = -1;
+    let last = -1;
+    let before = 0;
+    let topRow = null;
+    for (const [index, row] of this.#rows.entries()) {
+      const height = this.#heightOf(row);
+      if (first < 0 && offset + height > viewTop - OVERSCAN) {
+        first = index;
+        before = offset;
+      }
+      if (!topRow && offset + height > viewTop) topRow = row;
+      if (offset < viewBottom + OVERSCAN) last = index;
+      offset += height;
+    }
+    const visible = first < 0 ? [] : this.#rows.slice(first, last + 1);
+    const visibleHeight = visible.reduce((sum, row) => sum + this.#heightOf(row), 0);
+    this.#content.style.paddingTop = `${before}px`;
+    this.#content.style.paddingBottom = `${Math.max(0, offset - before - visibleHeight)}px`;
+
+    // Swap in the rows
+    const elements = visible.map(row => this.#getRowElement(row));
+    const current = [...this.#content.children];
+    if (current.length !== elements.length || current.some((el, i) => el !== elements[i])) {
+      current.filter(el => !elements.includes(el)).forEach(el => this.#resizeObserver.unobserve(el));
+      this.#content.replaceChildren(...elements);
+      elements.filter(el => !current.includes(el)).forEach(el => this.#resizeObserver.observe(el));
+    }
+
+    this.#topKey = topRow?.items[0].key ?? null;
+    this.#updateSticky(topRow);
+
+    // Measure, and redo the window once if the estimates were off
+    let changed = false;
+    visible.forEach((row, i) => {
+      const height = elements[i].offsetHeight;
+      if (!height || this.#heights.get(row.key) === height) return;
+      this.#heights.set(row.key, height);
+      this.#estimates[row.type] = height;
+      changed = true;
+    });
+    if (changed && !this.#measuring) {
+      this.#measuring = true;
+      this.#update();
+      this.#measuring = false;
+    }
+  }
+
+  #getRowElement(row) {
+    let element = this.#rowElements.get(row.key);
+    if (!element) {
+      element = document.createElement('div');
+      element.className = `virtual-grid-row ${row.type}`;
+      this.#rowElements.set(row.key, element);
+    }
+    const children = row.items.map(item => this.#getItemElement(item));
+    const current = [...element.children];
+    if (current.length !== children.length || current.some((el, i) => el !== children[i])) {
+      element.replaceChildren(...children);
+    }
+    return element;
+  }
+
+  #getItemElement(item) {
+    let entry = this.#cache.get(item.key);
+    if (entry && !entry.stale) return entry.element;
+
+    const html = this.#options.renderItem(item);
+    if (entry?.html === html) {
+      entry.stale = false;
+      return entry.element;
+    }
+    entry = { html, element: this.#build(html, item), stale: false };
+    this.#cache.set(item.key, entry);
+    return entry.element;
+  }
+
+  #build(html, item) {
+    const template = document.createElement('template');
+    template.innerHTML = html.trim();
+    const element = template.content.firstElementChild;
+    this.#options.activateItem?.(element, item);
+    return element;
+  }
+
+  /**
+   * Pin the header of the group at the top of the viewport, unless its own row is there
+   */
+  #updateSticky(topRow) {
+    const header = topRow && topRow.type !== 'header'
+      ? this.#items.find(item => item.type === 'header' && item.group === topRow.group)
+      : null;
+    if (header?.key === this.#stickyKey) return;
+    this.#stickyKey = header?.key ?? null;
+    this.#sticky.replaceChildren(...(header ? [this.#build(this.#options.renderItem(header), header)] : []));
+  }
+}
@@ -0,0 +1,58 @@
+/**
+ * Map Browser - World Scenes
+ * Index of the scenes this module created, read back from flags['map-browser']
+ */
+
+import { MODULE_ID } from './constants.js';
+
+/**
+ * Get every world scene that was created from the map browser
+ * @returns {Scene[]}
+ */
+export function getMapScenes() {
+  return game.scenes.filter(scene => !!scene.flags?.[MODULE_ID]?.locationId);
+}
+
+/**
+ * Build a lookup key for a location, flavor or file
+ * @param {string} locationId
+ * @param {string} [flavorName]
+ * @param {string} [filename]
+ * @returns {string}
+ */
+export function getSceneKey(locationId, flavorName, filename) {
+  return [locationId, flavorName, filename].filter(part => part !== undefined && part !== null).join('|');
+}
+
+/**
+ * Index world scenes by location, flavor and file
+ * @returns {{byLocation: Map<string, Scene[]>, byFlavor: Map<string, Scene[]>, byFile: Map<string, Scene[]>}}
+ */
+export function indexWorldScenes() {
+  const index = { byLocation: new Map(), byFlavor: new Map(), byFile: new Map() };
+  const add = (map, key, scene) => {
+    if (!map.has(key)) map.set(key, []);
+    map.get(key).push(scene);
+  };
+
+  for (const scene of getMapScenes()) {
+    const { locationId, flavorName, filename } = scene.flags[MODULE_ID];
+    add(index.byLocation, getSceneKey(locationId), scene);
+    if (flavorName) add(index.byFlavor, getSceneKey(locationId, flavorName), scene);
+    if (flavorName && filename) add(index.byFile, getSceneKey(locationId, flavorName, filename), scene);
+  }
+
+  return index;
+}
+
+/**
+ * Find the scenes already created for one file
+ * @param {{locationId: string, flavorName: string, filename: string}} flags - Scene flags to match
+ * @returns {Scene[]}
+ */
+export function findExistingScenes({ locationId, flavorName, filename }) {
+  return getMapScenes().filter(scene => {
+    const flags = scene.flags[MODULE_ID];
+    return flags.locationId === locationId && flags.flavorName === flavorName && flags.filename === filename;
+  });
+}
@@ -0,0 +1,77 @@
+#!/usr/bin/env node
+/**
+ * Map Browser - Manifest builder
+ * Walks a local copy of the map library and writes data/map-manifest.json
+ *
+ * Usage:
+ *   node tools/build-manifest.mjs <library-root> [options]
+ *
+ * Options:
+ *   --out <file>              Output file (default: data/map-manifest.json)
+ *   --worker-base-url <url>   Written as worker_base_url
+ *   --onedrive-api-base <url> Written as onedrive_api_base
+ *   --beneos-root <name>      Top-level Beneos folder (default: Beneos)
+ *   --report <file>           Also write the report as JSON
+ */
+
+import fs from 'node:fs';
+import path from 'node:path';
+import { fileURLToPath } from 'node:url';
+import { buildManifest } from '../scripts/indexer.js';
+
+const MODULE_ROOT = path.resolve(path.dirname(fileURLToPath(import.meta.url)), '..');
+
+function parseArgs(argv) {
+  const args = { root: null, out: path.join(MODULE_ROOT, 'data/map-manifest.json') };
+  for (let i = 0; i < argv.length; i++) {
+    const arg = argv[i];
+    if (!arg.startsWith('--')) {
+      args.root = arg;
+      continue;
+    }
+    const key = arg.slice(2).replace(/-([a-z])/g, (_, c) => c.toUpperCase());
+    args[key] = argv[++i];
+  }
+  return args;
+}
+
+function walk(dir, prefix = '') {
+  const paths = [];
+  for (const entry of fs.readdirSync(dir, { withFileTypes: true })) {
+    if (entry.name.startsWith('.')) continue;
+    const relative = prefix ? `${prefix}/${entry.name}` : entry.name;
+    if (entry.isDirectory()) paths.push(...walk(path.join(dir, entry.name), relative));
+    else if (entry.isFile()) paths.push(relative);
+  }
+  return paths;
+}
+
+function readJson(file) {
+  // Some of the tag files were saved with a byte order mark
+  return JSON.parse(fs.readFileSync(file, 'utf8').replace(/^\uFEFF/, ''));
+}
+
+const args = parseArgs(process.argv.slice(2));
+if (!args.root) {
+  console.error('Usage: node tools/build-manifest.mjs <library-root> [--out file] [--worker-base-url url]');
+  process.exit(1);
+}
+
+const thumbsDir = path.join(MODULE_ROOT, 'data/thumbs');
+const { manifest, report } = buildManifest(walk(path.resolve(args.root)), {
+  czepekuTags: readJson(path.join(MODULE_ROOT, 'data/czepeku-tags.json')),
+  beneosTags: readJson(path.join(MODULE_ROOT, 'data/beneos-tags.json')),
+  thumbnails: fs.existsSync(thumbsDir) ? new Set(fs.readdirSync(thumbsDir)) : null,
+  beneosRoot: args.beneosRoot ?? 'Beneos',
+  manifest: {
+    ...(args.workerBaseUrl ? { worker_base_url: args.workerBaseUrl } : {}),
+    ...(args.onedriveApiBase ? { onedrive_api_base: args.onedriveApiBase } : {})
+  }
+});
+
+fs.writeFileSync(args.out, `${JSON.stringify(manifest, null, 2)}\n`);
+if (args.report) fs.writeFileSync(args.report, `${JSON.stringify(report, null, 2)}\n`);
+
+console.log(`Wrote ${args.out}: ${manifest.total_locations} locations, ${manifest.total_flavors} flavors, ${manifest.total_files} files`);
+for (const warning of report.warnings) console.warn(`warning: ${warning}`);
+for (const { path: file, reason } of report.unparseable) console.warn(`unparseable: ${file} - ${reason}`);